@@ -0,0 +1,636 @@
+// dates.mjs — Natural‑language dates and times for StylistSync
+//
+// parseDateExpression() turns the date and time wording in a stylist's
+// message into concrete instants in their timezone.  It understands:
+//   days    today, tonight, tomorrow, the day after tomorrow, yesterday,
+//           Friday, this/next/last Friday, in 3 days/weeks/months, in a
+//           week, 3 weeks from now, 2 days ago, Oct 3, 3 October 2026,
+//           10/3, 2026‑10‑03, the 15th, end of the month/week, start of
+//           next month
+//   times   2pm, 2:30 pm, 14:00, at 3, 2 o'clock, noon, midnight, half
+//           past two, quarter past 3, quarter to 4, in 2 hours
+//   ranges  3-5pm, 3pm–5pm, from 3 to 5, between 2 and 4pm
+//   parts   morning, afternoon, evening, tonight
+// The result is { start, end, hasDate, hasTime, partOfDay, confidence,
+// matched }.  start and end are UTC ISO strings: a bare day spans midnight
+// to midnight, a part of day its hours, a time range its two ends and a
+// single time has end equal to start.  Without a day, times fall on today.
+// confidence (0–1) drops for guesses such as a bare "at 3" read as 3 PM, a
+// weekday without "this" or "next", US‑style 10/3 or a part of day; matched
+// lists the phrases that were understood.  Nothing defaults to noon: when
+// hasTime is false the caller decides what to do.
+//
+// parseTimeWindow() reads the span of time a question is about — a day as
+// above, this/last/next week, month, weekend or year, the last/next N
+// days, or "between Oct 1 and Oct 15" — for counts, listings and reports.
+// Weeks start on Sunday unless the caller passes weekStart: 1 (Monday).
+//
+// All calendar arithmetic happens on the stylist's local calendar
+// ('YYYY-MM-DD' keys) and is converted to UTC last, so weekday offsets and
+// DST changes follow the stylist's timezone rather than the server's.
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11,
+  dec: 12, december: 12
+};
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3
+};
+const HOUR_WORD = '(\\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+const COUNT_WORD = '(\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|(?:a\\s+)?couple(?:\\s+of)?|(?:a\\s+)?few)';
+const MONTH_WORD = `(${Object.keys(MONTHS).join('|')})\\.?`;
+
+/**
+ * Parts of the day as [start, end) minutes after midnight.
+ */
+export const PARTS_OF_DAY = {
+  morning: [0, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 24 * 60]
+};
+
+// Convert a calendar date/time expressed in the target timezone
+// into a UTC ISO string (with Z).  This avoids ambiguous interpretation
+// when parsing the ISO string later.  It works by starting with the
+// supplied local time as UTC, then measuring the timezone's offset at that
+// instant (comparing full calendar dates, so early‑morning times that fall
+// on the previous UTC day come out right) and adjusting accordingly.  See
+// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DateTimeFormat
+// for Intl usage.  The result has no milliseconds and ends with 'Z'.
+export function localTimeToUTCISO(year, month, day, hour, minute, timezone, second = 0) {
+  // Start with a guess: treat the local time as if it were UTC
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Shift by the offset at the guess, then again by the offset at the
+  // result in case a DST change lies between the two.
+  let utcMs = guess - timezoneOffset(guess, timezone);
+  utcMs = guess - timezoneOffset(utcMs, timezone);
+  // Return an ISO string without milliseconds and with 'Z'.
+  return new Date(utcMs).toISOString().slice(0, 19) + 'Z';
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds.
+ * @param {number} ms
+ * @param {string} timezone
+ * @returns {number}
+ */
+function timezoneOffset(ms, timezone) {
+  const p = localParts(ms, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The local calendar fields of an instant in a timezone.
+ * @param {number} ms
+ * @param {string} timezone
+ * @returns {{year:number, month:number, day:number, hour:number, minute:number, second:number, weekday:number, dateKey:string}}
+ */
+export function localParts(ms, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(ms));
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  const year = get('year');
+  const month = get('month');
+  const day = get('day');
+  return {
+    year,
+    month,
+    day,
+    hour: get('hour') % 24,
+    minute: get('minute'),
+    second: get('second'),
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    dateKey: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+  };
+}
+
+/**
+ * Add whole days to a 'YYYY-MM-DD' key.
+ * @param {string} dateKey
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDaysToKey(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(n => parseInt(n, 10));
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole months to a 'YYYY-MM-DD' key, clamping to the month's last
+ * day (Jan 31 + 1 month → Feb 28).
+ * @param {string} dateKey
+ * @param {number} months
+ * @returns {string}
+ */
+export function addMonthsToKey(dateKey, months) {
+  const [y, m, d] = dateKey.split('-').map(n => parseInt(n, 10));
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Weekday (0 = Sunday) of a 'YYYY-MM-DD' key.
+ * @param {string} dateKey
+ * @returns {number}
+ */
+export function weekdayOfKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(n => parseInt(n, 10));
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * The UTC ISO instant of a local clock time on a given day.
+ * @param {string} dateKey
+ * @param {number} minutes minutes after midnight (1440 = next midnight)
+ * @param {string} timezone
+ * @returns {string}
+ */
+function keyToISO(dateKey, minutes, timezone) {
+  const key = minutes >= 24 * 60 ? addDaysToKey(dateKey, 1) : dateKey;
+  const m = minutes % (24 * 60);
+  const [y, mo, d] = key.split('-').map(n => parseInt(n, 10));
+  return localTimeToUTCISO(y, mo, d, Math.floor(m / 60), m % 60, timezone);
+}
+
+/**
+ * Build a valid 'YYYY-MM-DD' key, or null for dates like Feb 30.
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {string|null}
+ */
+function makeKey(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Read a count word: "3", "a", "a couple of", "few".
+ * @param {string} word
+ * @returns {number}
+ */
+function countValue(word) {
+  const w = word.trim().replace(/^a\s+/, '').replace(/\s+of$/, '');
+  return /^\d+$/.test(w) ? parseInt(w, 10) : (NUMBER_WORDS[w] || 1);
+}
+
+/**
+ * Turn an hour (1–12, or 0–23), optional minute and optional meridiem into
+ * minutes after midnight.  Without a meridiem, 1–7 are read as afternoon
+ * hours (salon hours) and flagged as a guess.
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string|undefined} meridiem 'am' or 'pm'
+ * @returns {{minutes:number, guessed:boolean}|null}
+ */
+function clockMinutes(hour, minute, meridiem) {
+  if (hour > 23 || minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    let h = hour % 12;
+    if (meridiem === 'pm') h += 12;
+    return { minutes: h * 60 + minute, guessed: false };
+  }
+  if (hour >= 13 || hour === 0) return { minutes: hour * 60 + minute, guessed: false };
+  const h = hour === 12 ? 12 : hour <= 7 ? hour + 12 : hour;
+  return { minutes: h * 60 + minute, guessed: true };
+}
+
+/**
+ * Hour value of a digit string or number word.
+ * @param {string} word
+ * @returns {number}
+ */
+function hourValue(word) {
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word];
+}
+
+/**
+ * Find the time of day in a text.  Returns { start, end, guessed, matched }
+ * in minutes after midnight (end === start for a single time), or null.
+ * Used by parseDateExpression() and parseTimeOfDay(); callers outside
+ * this module that only care about the clock time use parseTimeOfDay().
+ * @param {string} text lower‑cased text with dates already removed
+ * @returns {{start:number, end:number, guessed:boolean, matched:string}|null}
+ */
+function findTime(text) {
+  let m;
+  // Ranges: "3-5pm", "3pm-5pm", "from 3 to 5", "between 2 and 4pm"
+  const range = new RegExp(`\\b(from\\s+|between\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?\\s*(?:-|to|and|until|till)\\s*(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?\\b`);
+  m = text.match(range);
+  if (m && (m[1] || m[4] || m[7])) {
+    const endMer = m[7];
+    let startMer = m[4];
+    const startHour = parseInt(m[2], 10);
+    const endHour = parseInt(m[5], 10);
+    // "3-5pm": the start shares the end's meridiem unless that would put
+    // it after the end ("11-1pm" starts in the morning).
+    if (!startMer && endMer) {
+      startMer = endMer;
+      if (endMer === 'pm' && startHour !== 12 && (endHour === 12 || startHour > endHour)) startMer = 'am';
+    }
+    const s = clockMinutes(startHour, m[3] ? parseInt(m[3], 10) : 0, startMer);
+    const e = clockMinutes(endHour, m[6] ? parseInt(m[6], 10) : 0, endMer);
+    if (s && e && e.minutes > s.minutes) {
+      return { start: s.minutes, end: e.minutes, guessed: s.guessed || e.guessed, matched: m[0].trim() };
+    }
+  }
+  if ((m = text.match(/\b(?:at\s+)?(noon|midday|midnight)\b/))) {
+    const minutes = m[1] === 'midnight' ? 0 : 12 * 60;
+    return { start: minutes, end: minutes, guessed: false, matched: m[0].trim() };
+  }
+  // "half past two", "quarter past 3", "quarter to 4", optionally + am/pm
+  m = text.match(new RegExp(`\\b(?:at\\s+)?(half|(?:a\\s+)?quarter)\\s+(past|after|to|til|till)\\s+${HOUR_WORD}(?:\\s*(am|pm|in the morning|in the afternoon|in the evening))?\\b`));
+  if (m) {
+    let hour = hourValue(m[3]);
+    let minute = m[1] === 'half' ? 30 : 15;
+    if (/^(to|til|till)$/.test(m[2])) {
+      hour = hour === 1 ? 12 : hour - 1;
+      minute = 60 - minute;
+    }
+    const mer = m[4] ? (/am|morning/.test(m[4]) ? 'am' : 'pm') : undefined;
+    const c = clockMinutes(hour, minute, mer);
+    if (c) return { start: c.minutes, end: c.minutes, guessed: c.guessed, matched: m[0].trim() };
+  }
+  // "2pm", "2:30 pm", "2 o'clock", "2 in the afternoon"
+  m = text.match(new RegExp(`\\b${HOUR_WORD}(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.|o'?clock|in the morning|in the afternoon|in the evening)(?![a-z])`));
+  if (m) {
+    const suffix = m[3];
+    let mer;
+    if (/^a|morning/.test(suffix)) mer = 'am';
+    else if (/^p|afternoon|evening/.test(suffix)) mer = 'pm';
+    const c = clockMinutes(hourValue(m[1]), m[2] ? parseInt(m[2], 10) : 0, mer);
+    if (c) return { start: c.minutes, end: c.minutes, guessed: c.guessed, matched: m[0].trim() };
+  }
+  // 24‑hour "14:00"
+  if ((m = text.match(/\b(\d{1,2}):(\d{2})\b/))) {
+    const c = clockMinutes(parseInt(m[1], 10), parseInt(m[2], 10));
+    if (c) return { start: c.minutes, end: c.minutes, guessed: c.guessed, matched: m[0] };
+  }
+  // Bare "at 3"
+  if ((m = text.match(new RegExp(`\\bat\\s+${HOUR_WORD}\\b(?!\\s*(?:days?|weeks?|months?|%|g\\b|grams?|oz|ml))`)))) {
+    const c = clockMinutes(hourValue(m[1]), 0);
+    if (c) return { start: c.minutes, end: c.minutes, guessed: c.guessed, matched: m[0] };
+  }
+  return null;
+}
+
+/**
+ * Find the time of day in a message: "2pm", "half past two", "noon",
+ * "3-5pm" (the start).  Returns { hour, minute } or null.
+ * @param {string} text
+ * @returns {{hour:number, minute:number}|null}
+ */
+export function parseTimeOfDay(text) {
+  const found = findTime(normalise(stripDates(normalise(text))));
+  return found ? { hour: Math.floor(found.start / 60), minute: found.start % 60 } : null;
+}
+
+/**
+ * Lower‑case a message and unify quotes and dashes.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalise(text) {
+  return String(text || '').toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/[‐‑‒–—]/g, '-')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Remove absolute date forms so their numbers aren't read as times.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripDates(text) {
+  return text
+    .replace(/\b\d{4}-\d{2}-\d{2}\b/g, ' ')
+    .replace(/\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g, ' ')
+    .replace(new RegExp(`\\b${MONTH_WORD}\\s*(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s*(\\d{4}))?\\b`, 'g'), ' ')
+    .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_WORD}(?:,?\\s*(\\d{4}))?\\b`, 'g'), ' ')
+    .replace(/\bthe\s+\d{1,2}(?:st|nd|rd|th)\b/g, ' ')
+    .replace(new RegExp(`\\b(?:in\\s+${COUNT_WORD}\\s+(?:days?|weeks?|months?)|${COUNT_WORD}\\s+(?:days?|weeks?|months?)\\s+(?:from\\s+(?:now|today)|ago))\\b`, 'g'), ' ');
+}
+
+/**
+ * Parse the date/time wording in a message.  See the module header for
+ * what is understood and the shape of the result.
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.timezone IANA timezone of the stylist
+ * @param {string|number|Date} [options.now] the current instant
+ * @returns {Object|null}
+ */
+export function parseDateExpression(text, { timezone, now } = {}) {
+  const nowMs = now === undefined || now === null ? Date.now() : new Date(now).getTime();
+  const today = localParts(nowMs, timezone);
+  let rest = normalise(text);
+  const matched = [];
+  let confidence = 1;
+  let dayKey = null;
+  let partOfDay = null;
+  let relativeTime = null;
+
+  // Consume the first match of a pattern: record it, blank it out of the
+  // remaining text and return the match.
+  const take = (regex) => {
+    const m = rest.match(regex);
+    if (!m) return null;
+    matched.push(m[0].trim());
+    rest = rest.slice(0, m.index) + ' ' + rest.slice(m.index + m[0].length);
+    return m;
+  };
+  // A month/day with no year means the next such date.
+  const upcoming = (month, day, year) => {
+    if (year) return makeKey(year < 100 ? 2000 + year : year, month, day);
+    const key = makeKey(today.year, month, day);
+    if (key && key < today.dateKey) return makeKey(today.year + 1, month, day);
+    return key;
+  };
+
+  let m;
+  // Absolute dates
+  if ((m = take(/\b(\d{4})-(\d{2})-(\d{2})\b/))) {
+    dayKey = makeKey(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10));
+  } else if ((m = take(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    dayKey = upcoming(parseInt(m[1], 10), parseInt(m[2], 10), m[3] ? parseInt(m[3], 10) : null);
+    confidence *= 0.9;
+  } else if ((m = take(new RegExp(`\\b${MONTH_WORD}\\s*(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s*(\\d{4}))?\\b`)))) {
+    dayKey = upcoming(MONTHS[m[1]], parseInt(m[2], 10), m[3] ? parseInt(m[3], 10) : null);
+  } else if ((m = take(new RegExp(`\\b(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_WORD}(?:,?\\s*(\\d{4}))?\\b`)))) {
+    dayKey = upcoming(MONTHS[m[2]], parseInt(m[1], 10), m[3] ? parseInt(m[3], 10) : null);
+  } else if ((m = take(/\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\b/))) {
+    // "the 15th": this month, or next month once it has passed.
+    const day = parseInt(m[1], 10);
+    let key = makeKey(today.year, today.month, day);
+    if (!key || key < today.dateKey) {
+      const next = addMonthsToKey(`${today.dateKey.slice(0, 8)}01`, 1);
+      key = makeKey(parseInt(next.slice(0, 4), 10), parseInt(next.slice(5, 7), 10), day);
+    }
+    dayKey = key;
+    confidence *= 0.85;
+  }
+
+  // Relative days
+  if (!dayKey) {
+    if ((m = take(/\b(?:the\s+)?day after tomorrow\b/))) {
+      dayKey = addDaysToKey(today.dateKey, 2);
+    } else if ((m = take(/\btomorrow(?:\s+(morning|afternoon|evening|night))?\b/))) {
+      dayKey = addDaysToKey(today.dateKey, 1);
+      if (m[1]) partOfDay = m[1] === 'night' ? 'evening' : m[1];
+    } else if ((m = take(/\byesterday\b/))) {
+      dayKey = addDaysToKey(today.dateKey, -1);
+    } else if ((m = take(/\btonight\b/))) {
+      dayKey = today.dateKey;
+      partOfDay = 'evening';
+    } else if ((m = take(/\btoday\b/))) {
+      dayKey = today.dateKey;
+    } else if ((m = take(/\bthis\s+(morning|afternoon|evening)\b/))) {
+      dayKey = today.dateKey;
+      partOfDay = m[1];
+    } else if ((m = take(new RegExp(`\\bin\\s+${COUNT_WORD}\\s+(days?|weeks?|months?)\\b`))) ||
+               (m = take(new RegExp(`\\b${COUNT_WORD}\\s+(days?|weeks?|months?)\\s+from\\s+(?:now|today)\\b`)))) {
+      const n = countValue(m[1]);
+      if (/^month/.test(m[2])) {
+        dayKey = addMonthsToKey(today.dateKey, n);
+      } else {
+        dayKey = addDaysToKey(today.dateKey, /^week/.test(m[2]) ? n * 7 : n);
+      }
+      if (/couple|few/.test(m[1])) confidence *= 0.8;
+    } else if ((m = take(new RegExp(`\\b${COUNT_WORD}\\s+(days?|weeks?)\\s+ago\\b`)))) {
+      const n = countValue(m[1]);
+      dayKey = addDaysToKey(today.dateKey, -(/^week/.test(m[2]) ? n * 7 : n));
+    } else if ((m = take(/\b(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?(month|week)\b/))) {
+      if (m[1] === 'month') {
+        const firstOfNext = addMonthsToKey(`${today.dateKey.slice(0, 8)}01`, 1);
+        dayKey = addDaysToKey(firstOfNext, -1);
+      } else {
+        // Weeks end on Saturday for "end of the week".
+        dayKey = addDaysToKey(today.dateKey, (6 - today.weekday + 7) % 7);
+      }
+      confidence *= 0.9;
+    } else if ((m = take(/\b(?:the\s+)?(?:start|beginning)\s+of\s+(?:the\s+)?next\s+month\b/))) {
+      dayKey = addMonthsToKey(`${today.dateKey.slice(0, 8)}01`, 1);
+      confidence *= 0.9;
+    } else if ((m = take(new RegExp(`\\b(?:(this|next|last|on)\\s+)?(${WEEKDAYS.join('|')})s?\\b`)))) {
+      // A bare weekday or "this"/"next" Friday is the coming one (today
+      // counts, except for "next"); "last Friday" is the previous one.
+      const target = WEEKDAYS.indexOf(m[2]);
+      let ahead = (target - today.weekday + 7) % 7;
+      if (m[1] === 'next' && ahead === 0) ahead = 7;
+      if (m[1] === 'last') ahead = ahead === 0 ? -7 : ahead - 7;
+      if (!m[1] || m[1] === 'on') confidence *= 0.9;
+      dayKey = addDaysToKey(today.dateKey, ahead);
+    }
+  }
+
+  // "in 2 hours", "in 30 minutes"
+  if ((m = take(/\bin\s+(\d+|an?|half an?)\s+(hours?|minutes?|mins?)\b/))) {
+    const n = /^half/.test(m[1]) ? 0.5 : countValue(m[1]);
+    const ms = nowMs + n * (/^h/.test(m[2]) ? 60 : 1) * 60000;
+    relativeTime = localParts(ms, timezone);
+  }
+
+  // Time of day
+  const time = relativeTime ? null : findTime(rest);
+  if (time) {
+    matched.push(time.matched);
+    rest = rest.replace(time.matched, ' ');
+    if (time.guessed) confidence *= 0.7;
+  }
+  if (!time && !partOfDay && (m = take(/\b(?:in\s+the\s+|this\s+)?(morning|afternoon|evening)s?\b/))) {
+    partOfDay = m[1];
+  }
+  if (partOfDay && !time) confidence *= 0.7;
+
+  if (!dayKey && !time && !partOfDay && !relativeTime) return null;
+  const hasDate = !!dayKey || !!relativeTime;
+  if (!dayKey) {
+    dayKey = relativeTime ? relativeTime.dateKey : today.dateKey;
+    if (!relativeTime) confidence *= 0.8;
+  }
+
+  let start;
+  let end;
+  let hasTime = false;
+  if (relativeTime) {
+    start = end = keyToISO(dayKey, relativeTime.hour * 60 + relativeTime.minute, timezone);
+    hasTime = true;
+  } else if (time) {
+    start = keyToISO(dayKey, time.start, timezone);
+    end = time.end === time.start ? start : keyToISO(dayKey, time.end, timezone);
+    hasTime = true;
+  } else if (partOfDay) {
+    const [from, to] = PARTS_OF_DAY[partOfDay];
+    start = keyToISO(dayKey, from, timezone);
+    end = keyToISO(dayKey, to, timezone);
+  } else {
+    start = keyToISO(dayKey, 0, timezone);
+    end = keyToISO(dayKey, 24 * 60, timezone);
+  }
+  return {
+    start,
+    end,
+    hasDate,
+    hasTime,
+    partOfDay,
+    confidence: Math.round(confidence * 100) / 100,
+    matched
+  };
+}
+
+/**
+ * Whole days from one 'YYYY-MM-DD' key to another (negative when `to` is
+ * earlier).
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export function daysBetweenKeys(from, to) {
+  const utc = (key) => {
+    const [y, m, d] = key.split('-').map(n => parseInt(n, 10));
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((utc(to) - utc(from)) / 86400000);
+}
+
+/**
+ * "Fri, Oct 23" for a 'YYYY-MM-DD' key, or "Oct 23" without the weekday.
+ * @param {string} dateKey
+ * @param {boolean} [withWeekday]
+ * @returns {string}
+ */
+function formatKey(dateKey, withWeekday = true) {
+  const [y, m, d] = dateKey.split('-').map(n => parseInt(n, 10));
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: 'UTC',
+    ...(withWeekday ? { weekday: 'short' } : {}),
+    month: 'short',
+    day: 'numeric'
+  }).format(new Date(Date.UTC(y, m - 1, d)));
+}
+
+/**
+ * Parse the span of time a message asks about.  Understands everything
+ * parseDateExpression() does (a single time stands for its whole day) plus
+ * this/last/next week, month, weekend and year, "the last/next 7 days" and
+ * "between Oct 1 and Oct 15" / "from Oct 1 to Oct 15" (both days
+ * included).  Returns { start, end, startKey, days, label, partOfDay,
+ * matched } where start/end are UTC ISO strings bounding [start, end),
+ * startKey is the first local day, days the number of local days touched
+ * and label reads naturally after a verb ("this week", "on Fri, Oct 23",
+ * "between Oct 1 and Oct 15").  Returns null when no span is named.
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.timezone IANA timezone of the stylist
+ * @param {string|number|Date} [options.now] the current instant
+ * @param {number} [options.weekStart] 0 = Sunday (default), 1 = Monday
+ * @returns {Object|null}
+ */
+export function parseTimeWindow(text, { timezone, now, weekStart = 0 } = {}) {
+  const nowMs = now === undefined || now === null ? Date.now() : new Date(now).getTime();
+  const today = localParts(nowMs, timezone);
+  const lower = normalise(text);
+  const firstOfMonth = `${today.dateKey.slice(0, 8)}01`;
+  // A window of whole local days [fromKey, toKey).
+  const span = (fromKey, toKey, label, matched) => ({
+    start: keyToISO(fromKey, 0, timezone),
+    end: keyToISO(toKey, 0, timezone),
+    startKey: fromKey,
+    days: daysBetweenKeys(fromKey, toKey),
+    label,
+    partOfDay: null,
+    matched: [matched]
+  });
+
+  let m = lower.match(/\b(?:between|from)\s+(.+?)\s+(?:and|to|until|till|through|thru|-)\s+(.+)$/);
+  if (m) {
+    const first = parseDateExpression(m[1], { timezone, now: nowMs });
+    const last = parseDateExpression(m[2], { timezone, now: nowMs });
+    if (first && last && first.hasDate && last.hasDate && !first.hasTime && !last.hasTime) {
+      let fromKey = localParts(Date.parse(first.start), timezone).dateKey;
+      let lastKey = localParts(Date.parse(last.start), timezone).dateKey;
+      // Without a year, a range that began in the last six months means
+      // this year's ("between Oct 1 and Oct 15" asked on Oct 19), and the
+      // end is the first such day after the start ("Dec 20 to Jan 5").
+      if (!/\d{4}/.test(m[1]) && parseInt(fromKey.slice(0, 4), 10) > today.year) {
+        const earlier = addMonthsToKey(fromKey, -12);
+        if (earlier >= addDaysToKey(today.dateKey, -183)) fromKey = earlier;
+      }
+      if (!/\d{4}/.test(m[2])) {
+        while (addMonthsToKey(lastKey, -12) >= fromKey) lastKey = addMonthsToKey(lastKey, -12);
+        if (lastKey < fromKey) lastKey = addMonthsToKey(lastKey, 12);
+      }
+      if (lastKey >= fromKey) {
+        const label = `between ${formatKey(fromKey, false)} and ${formatKey(lastKey, false)}`;
+        return span(fromKey, addDaysToKey(lastKey, 1), label, m[0].trim());
+      }
+    }
+  }
+
+  m = lower.match(/\b(this|last|past|previous|next|coming)\s+(week|weekend|month|year)\b/) ||
+      lower.match(/\b()(weekend)\b/);
+  if (m) {
+    const which = m[1] === 'past' || m[1] === 'previous' ? 'last' : m[1] === 'coming' ? 'next' : (m[1] || 'this');
+    const shift = which === 'last' ? -1 : which === 'next' ? 1 : 0;
+    const label = `${which} ${m[2]}`;
+    if (m[2] === 'week') {
+      const startKey = addDaysToKey(today.dateKey, -((today.weekday - weekStart + 7) % 7) + shift * 7);
+      return span(startKey, addDaysToKey(startKey, 7), label, m[0].trim());
+    }
+    if (m[2] === 'weekend') {
+      // Saturday and Sunday; on a Sunday "this weekend" is the one under way.
+      const saturday = addDaysToKey(today.dateKey, today.weekday === 0 ? -1 : 6 - today.weekday);
+      const startKey = addDaysToKey(saturday, shift * 7);
+      return span(startKey, addDaysToKey(startKey, 2), label, m[0].trim());
+    }
+    if (m[2] === 'month') {
+      const startKey = addMonthsToKey(firstOfMonth, shift);
+      return span(startKey, addMonthsToKey(startKey, 1), label, m[0].trim());
+    }
+    const startKey = `${today.year + shift}-01-01`;
+    return span(startKey, `${today.year + shift + 1}-01-01`, label, m[0].trim());
+  }
+
+  m = lower.match(/\b(?:the\s+)?(last|past|next)\s+(\d+)\s+days\b/);
+  if (m) {
+    const n = parseInt(m[2], 10);
+    const label = `in the ${m[1] === 'next' ? 'next' : 'last'} ${n} day${n === 1 ? '' : 's'}`;
+    if (m[1] === 'next') return span(today.dateKey, addDaysToKey(today.dateKey, n), label, m[0].trim());
+    return span(addDaysToKey(today.dateKey, -n + 1), addDaysToKey(today.dateKey, 1), label, m[0].trim());
+  }
+
+  const expr = parseDateExpression(text, { timezone, now: nowMs });
+  if (!expr || !(expr.hasDate || expr.partOfDay)) return null;
+  const dayKey = localParts(Date.parse(expr.start), timezone).dateKey;
+  let start = expr.start;
+  let end = expr.end;
+  if (expr.hasTime && end === start) {
+    start = keyToISO(dayKey, 0, timezone);
+    end = keyToISO(dayKey, 24 * 60, timezone);
+  }
+  const phrase = expr.matched.join(' ');
+  const label = /^(?:today|tonight|tomorrow|yesterday|this (?:morning|afternoon|evening))(?: (?:morning|afternoon|evening|night))?$/.test(phrase)
+    ? phrase
+    : `on ${formatKey(dayKey)}${expr.partOfDay ? ` (${expr.partOfDay})` : ''}`;
+  return {
+    start,
+    end,
+    startKey: dayKey,
+    days: Math.max(1, daysBetweenKeys(dayKey, localParts(Date.parse(end) - 1, timezone).dateKey) + 1),
+    label,
+    partOfDay: expr.partOfDay,
+    matched: expr.matched
+  };
+}
@@ -0,0 +1,179 @@
+// Table-driven tests for the date parser in dates.mjs.  Run with `npm test`.
+//
+// Unless a case says otherwise "now" is Monday 19 October 2026, 11:00 in
+// New York (15:00 UTC), a fortnight before the clocks go back on 1 November.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateExpression, parseTimeWindow } from './dates.mjs';
+
+const NOW = '2026-10-19T15:00:00Z';
+const NY = 'America/New_York';
+
+// ----------------------------------------------------------------------------
+// parseDateExpression
+// ----------------------------------------------------------------------------
+
+// Each case lists only the fields it checks.
+const EXPRESSIONS = [
+  // Whole days
+  { text: 'today', start: '2026-10-19T04:00:00Z', end: '2026-10-20T04:00:00Z', hasDate: true, hasTime: false, confidence: 1 },
+  { text: 'tomorrow', start: '2026-10-20T04:00:00Z', end: '2026-10-21T04:00:00Z', hasTime: false },
+  { text: 'yesterday', start: '2026-10-18T04:00:00Z' },
+  { text: 'the day after tomorrow', start: '2026-10-21T04:00:00Z' },
+  { text: '2026-12-25', start: '2026-12-25T05:00:00Z', end: '2026-12-26T05:00:00Z', confidence: 1 },
+  { text: 'Dec 25', start: '2026-12-25T05:00:00Z' },
+  { text: '25th of December', start: '2026-12-25T05:00:00Z' },
+  { text: '12/25', start: '2026-12-25T05:00:00Z', confidence: 0.9 },
+  { text: 'Oct 1', start: '2027-10-01T04:00:00Z', note: 'a past day with no year is next year' },
+  { text: 'Feb 30', expect: null },
+
+  // Relative offsets
+  { text: 'in 3 days', start: '2026-10-22T04:00:00Z', confidence: 1 },
+  { text: 'in two weeks', start: '2026-11-02T05:00:00Z', note: 'lands after the clocks go back' },
+  { text: 'in 1 month', start: '2026-11-19T05:00:00Z' },
+  { text: 'in a couple of days', start: '2026-10-21T04:00:00Z', confidence: 0.8 },
+  { text: '3 days from now', start: '2026-10-22T04:00:00Z' },
+  { text: '2 days ago', start: '2026-10-17T04:00:00Z' },
+  { text: 'a week ago', start: '2026-10-12T04:00:00Z' },
+  { text: 'in 2 hours', start: '2026-10-19T17:00:00Z', hasDate: true, hasTime: true },
+  { text: 'in half an hour', start: '2026-10-19T15:30:00Z' },
+
+  // Weekdays (today is a Monday)
+  { text: 'friday', start: '2026-10-23T04:00:00Z', confidence: 0.9 },
+  { text: 'this friday', start: '2026-10-23T04:00:00Z', confidence: 1 },
+  { text: 'next friday', start: '2026-10-23T04:00:00Z' },
+  { text: 'monday', start: '2026-10-19T04:00:00Z', note: 'today counts' },
+  { text: 'next monday', start: '2026-10-26T04:00:00Z' },
+  { text: 'last monday', start: '2026-10-12T04:00:00Z' },
+  { text: 'last friday', start: '2026-10-16T04:00:00Z' },
+
+  // The 15th and the end of the month
+  { text: 'the 20th', start: '2026-10-20T04:00:00Z', confidence: 0.85 },
+  { text: 'the 15th', start: '2026-11-15T05:00:00Z', note: 'passed this month' },
+  { text: 'on the 31st', now: '2026-11-05T15:00:00Z', start: '2026-12-31T05:00:00Z', note: 'November has no 31st' },
+  { text: 'end of the month', start: '2026-10-31T04:00:00Z', confidence: 0.9 },
+  { text: 'end of the month', now: '2028-02-10T15:00:00Z', start: '2028-02-29T05:00:00Z', note: 'leap year' },
+  { text: 'end of the month', now: '2026-12-31T15:00:00Z', start: '2026-12-31T05:00:00Z' },
+  { text: 'end of the week', start: '2026-10-24T04:00:00Z' },
+  { text: 'start of next month', start: '2026-11-01T04:00:00Z' },
+
+  // Times of day
+  { text: 'tomorrow at 2pm', start: '2026-10-20T18:00:00Z', end: '2026-10-20T18:00:00Z', hasTime: true, confidence: 1 },
+  { text: 'friday at 10:30am', start: '2026-10-23T14:30:00Z' },
+  { text: 'tomorrow 14:00', start: '2026-10-20T18:00:00Z', confidence: 1 },
+  { text: 'tomorrow at noon', start: '2026-10-20T16:00:00Z' },
+  { text: 'tomorrow at half past two', start: '2026-10-20T18:30:00Z', confidence: 0.7, note: 'guessed afternoon' },
+  { text: 'tomorrow at quarter to 9am', start: '2026-10-20T12:45:00Z', confidence: 1 },
+  { text: 'tomorrow 3-5pm', start: '2026-10-20T19:00:00Z', end: '2026-10-20T21:00:00Z' },
+  { text: 'tomorrow 11-1pm', start: '2026-10-20T15:00:00Z', end: '2026-10-20T17:00:00Z' },
+  { text: 'at 3', start: '2026-10-19T19:00:00Z', hasDate: false, hasTime: true, confidence: 0.56 },
+  { text: 'tomorrow morning', start: '2026-10-20T04:00:00Z', end: '2026-10-20T16:00:00Z', partOfDay: 'morning', hasTime: false, confidence: 0.7 },
+  { text: 'tonight', start: '2026-10-19T21:00:00Z', partOfDay: 'evening' },
+  { text: 'in 3 days for 5 grams', start: '2026-10-22T04:00:00Z', hasTime: false },
+
+  // Days the clocks change (1 Nov 2026 and 14 Mar 2027 in New York)
+  { text: 'Nov 1', start: '2026-11-01T04:00:00Z', end: '2026-11-02T05:00:00Z', note: '25-hour day' },
+  { text: 'Nov 1 at 9am', start: '2026-11-01T14:00:00Z' },
+  { text: '2027-03-14', start: '2027-03-14T05:00:00Z', end: '2027-03-15T04:00:00Z', note: '23-hour day' },
+  { text: '2027-03-14 at 3pm', start: '2027-03-14T19:00:00Z' },
+  { text: 'Mar 29 at 10am', timezone: 'Europe/London', start: '2027-03-29T09:00:00Z' },
+  { text: 'Mar 27 at 10am', timezone: 'Europe/London', start: '2027-03-27T10:00:00Z' },
+
+  // The stylist's timezone, not the server's clock, decides what "today" is
+  { text: 'today', now: '2026-10-20T02:00:00Z', start: '2026-10-19T04:00:00Z', note: 'still the 19th in New York' },
+  { text: 'today', now: '2026-10-20T02:00:00Z', timezone: 'Pacific/Auckland', start: '2026-10-19T11:00:00Z' },
+  { text: 'tomorrow', now: '2026-10-19T11:30:00Z', timezone: 'Pacific/Auckland', start: '2026-10-20T11:00:00Z', note: 'already the 20th in Auckland' },
+  { text: 'tomorrow at 9am', timezone: 'Asia/Kolkata', start: '2026-10-20T03:30:00Z' },
+  { text: 'tomorrow at 9am', timezone: 'UTC', start: '2026-10-20T09:00:00Z' },
+
+  // Nothing to find
+  { text: 'hello there', expect: null },
+  { text: '', expect: null },
+  { text: 'mix 30 grams with 20 volume', expect: null }
+];
+
+for (const c of EXPRESSIONS) {
+  const tz = c.timezone || NY;
+  test(`parseDateExpression: "${c.text}" (${tz}${c.now ? `, now ${c.now}` : ''})${c.note ? ` — ${c.note}` : ''}`, () => {
+    const got = parseDateExpression(c.text, { timezone: tz, now: c.now || NOW });
+    if (c.expect === null) {
+      assert.equal(got, null);
+      return;
+    }
+    assert.ok(got, 'expected a match');
+    for (const key of ['start', 'end', 'hasDate', 'hasTime', 'partOfDay', 'confidence']) {
+      if (key in c) assert.equal(got[key], c[key], key);
+    }
+  });
+}
+
+// ----------------------------------------------------------------------------
+// parseTimeWindow
+// ----------------------------------------------------------------------------
+
+const WINDOWS = [
+  // Weeks, with Sunday or Monday as the first day
+  { text: 'this week', startKey: '2026-10-18', days: 7, label: 'this week' },
+  { text: 'this week', weekStart: 1, startKey: '2026-10-19', days: 7 },
+  { text: 'last week', startKey: '2026-10-11', days: 7 },
+  { text: 'last week', weekStart: 1, startKey: '2026-10-12', days: 7 },
+  { text: 'next week', startKey: '2026-10-25', start: '2026-10-25T04:00:00Z', end: '2026-11-01T04:00:00Z' },
+  { text: 'next week', weekStart: 1, startKey: '2026-10-26', end: '2026-11-02T05:00:00Z', note: 'crosses the clock change' },
+  { text: 'this week', now: '2026-10-18T15:00:00Z', weekStart: 1, startKey: '2026-10-12', note: 'Sunday ends a Monday week' },
+  { text: 'past week', label: 'last week', startKey: '2026-10-11' },
+
+  // Weekends, months and years
+  { text: 'this weekend', startKey: '2026-10-24', days: 2 },
+  { text: 'weekend', startKey: '2026-10-24', label: 'this weekend' },
+  { text: 'this weekend', now: '2026-10-25T15:00:00Z', startKey: '2026-10-24', note: 'Sunday is still this weekend' },
+  { text: 'next weekend', startKey: '2026-10-31', days: 2 },
+  { text: 'this month', startKey: '2026-10-01', days: 31, start: '2026-10-01T04:00:00Z', end: '2026-11-01T04:00:00Z' },
+  { text: 'next month', startKey: '2026-11-01', days: 30, end: '2026-12-01T05:00:00Z' },
+  { text: 'last month', startKey: '2026-09-01', days: 30 },
+  { text: 'next month', now: '2026-12-15T15:00:00Z', startKey: '2027-01-01', days: 31 },
+  { text: 'this month', now: '2028-02-10T15:00:00Z', days: 29 },
+  { text: 'this year', startKey: '2026-01-01', days: 365 },
+  { text: 'last year', startKey: '2025-01-01' },
+
+  // Rolling days
+  { text: 'the last 7 days', startKey: '2026-10-13', days: 7, label: 'in the last 7 days' },
+  { text: 'next 3 days', startKey: '2026-10-19', days: 3, label: 'in the next 3 days' },
+  { text: 'past 1 days', startKey: '2026-10-19', days: 1, label: 'in the last 1 day' },
+
+  // Ranges (both days included)
+  { text: 'between Oct 1 and Oct 15', startKey: '2026-10-01', days: 15, label: 'between Oct 1 and Oct 15', note: 'began earlier this month' },
+  { text: 'from Dec 20 to Jan 5', startKey: '2026-12-20', days: 17, label: 'between Dec 20 and Jan 5' },
+  { text: 'from 2026-10-30 to 2026-11-02', startKey: '2026-10-30', days: 4, end: '2026-11-03T05:00:00Z' },
+  { text: 'between tomorrow and friday', startKey: '2026-10-20', days: 4 },
+
+  // Single days, with or without a time
+  { text: 'tomorrow', startKey: '2026-10-20', days: 1, label: 'tomorrow' },
+  { text: 'tomorrow at 3pm', startKey: '2026-10-20', days: 1, start: '2026-10-20T04:00:00Z', end: '2026-10-21T04:00:00Z', note: 'a single time stands for its day' },
+  { text: 'friday', startKey: '2026-10-23', label: 'on Fri, Oct 23' },
+  { text: 'tomorrow morning', startKey: '2026-10-20', label: 'tomorrow morning', partOfDay: 'morning' },
+  { text: 'the 15th', startKey: '2026-11-15', label: 'on Sun, Nov 15' },
+  { text: 'Nov 1', startKey: '2026-11-01', days: 1, end: '2026-11-02T05:00:00Z' },
+  { text: 'today', now: '2026-10-20T02:00:00Z', startKey: '2026-10-19' },
+  { text: 'today', now: '2026-10-20T02:00:00Z', timezone: 'Pacific/Auckland', startKey: '2026-10-20' },
+
+  // Nothing to find; a bare time names no day
+  { text: 'how are you', expect: null },
+  { text: 'at 3', expect: null }
+];
+
+for (const c of WINDOWS) {
+  const tz = c.timezone || NY;
+  const weekStart = c.weekStart === undefined ? 0 : c.weekStart;
+  test(`parseTimeWindow: "${c.text}" (${tz}, weekStart ${weekStart}${c.now ? `, now ${c.now}` : ''})${c.note ? ` — ${c.note}` : ''}`, () => {
+    const got = parseTimeWindow(c.text, { timezone: tz, now: c.now || NOW, weekStart });
+    if (c.expect === null) {
+      assert.equal(got, null);
+      return;
+    }
+    assert.ok(got, 'expected a window');
+    for (const key of ['start', 'end', 'startKey', 'days', 'label', 'partOfDay']) {
+      if (key in c) assert.equal(got[key], c[key], key);
+    }
+  });
+}
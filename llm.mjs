@@ -0,0 +1,485 @@
+// llm.mjs — Language model providers for the StylistSync assistant
+//
+// The /assistant fallback talks to a model only through the provider
+// interface below, so the backend can change without touching the HTTP
+// layer:
+//   provider.name                      → 'openai' | 'openai-compatible' | 'mock'
+//   provider.model                     → model name sent with each request
+//   provider.complete({ messages,      → { text, toolCalls, provider, model }
+//                       tools, signal })
+//   provider.stream({ messages,        → async iterator of { text } pieces,
+//                     tools, signal })   then { toolCalls } if any
+// messages are chat messages ({ role, content }); aborting signal cancels
+// the request, so a client that goes away stops using tokens.  tools are
+// OpenAI function definitions ({ type: 'function', function: { name,
+// description, parameters } }); when the model calls them, toolCalls lists
+// { id, name, arguments, raw } with arguments parsed from JSON (null when
+// the model sent something unparseable) and raw as sent.  Three providers
+// exist:
+//   openai             api.openai.com; needs an API key
+//   openai-compatible  any server speaking the OpenAI chat completions API
+//                      (llama.cpp, Ollama, vLLM) at a base URL; the key is
+//                      optional
+//   mock               deterministic and offline: it answers "Mock reply
+//                      (model): <last user message>", and a message
+//                      containing "[mock:<error code>]" fails with that
+//                      code, so the error paths can be exercised without
+//                      a live key; with tools, it makes the scripted calls
+//                      in mockToolCalls (LLM_MOCK_TOOL_CALLS) for every
+//                      user message, and after tool results it answers
+//                      "Mock reply (model): <results>"
+// Failures throw an LLMError whose code says what went wrong:
+//   llm_not_configured  no provider, or a provider missing its key or URL
+//   llm_timeout         no answer within timeoutMs
+//   llm_auth_failed     the key was rejected (401/403)
+//   llm_rate_limited    429 from the provider
+//   llm_bad_request     the provider refused the request (other 4xx)
+//   llm_unavailable     network errors and 5xx responses
+//   llm_bad_response    the answer had neither message text nor tool calls
+// Timeouts, rate limits and unavailability are retried up to `retries`
+// times (for stream(), only until the first text arrives) with exponential
+// backoff: retryDelayMs, doubled each attempt, or the provider's
+// Retry-After when that is longer and under MAX_RETRY_DELAY_MS.
+
+export class LLMError extends Error {
+  constructor(code, message, status = 502) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODELS = { openai: 'gpt-4o-mini', 'openai-compatible': 'llama3', mock: 'mock-1' };
+const RETRYABLE_CODES = new Set(['llm_timeout', 'llm_rate_limited', 'llm_unavailable']);
+const MAX_RETRY_DELAY_MS = 10000;
+// HTTP status the assistant replies with for each error code.
+const STATUS_FOR_CODE = {
+  llm_not_configured: 503,
+  llm_timeout: 504,
+  llm_auth_failed: 502,
+  llm_rate_limited: 503,
+  llm_bad_request: 502,
+  llm_unavailable: 502,
+  llm_bad_response: 502
+};
+
+/**
+ * An LLMError for a code, with the HTTP status the assistant uses for it.
+ * @param {string} code
+ * @param {string} message
+ * @returns {LLMError}
+ */
+function llmError(code, message) {
+  return new LLMError(code, message, STATUS_FOR_CODE[code] || 502);
+}
+
+/**
+ * Read provider settings from environment variables:
+ *   LLM_PROVIDER        openai, openai-compatible, mock or none (default:
+ *                       openai-compatible when LLM_BASE_URL is set, openai
+ *                       when an API key is, otherwise none)
+ *   LLM_BASE_URL        base URL of an OpenAI‑compatible server
+ *   LLM_API_KEY         API key (falls back to OPENAI_API_KEY)
+ *   LLM_MODEL           model name (falls back to OPENAI_MODEL)
+ *   LLM_TIMEOUT_MS      per‑attempt timeout (default 10000)
+ *   LLM_RETRIES         extra attempts after a retryable failure (default 2)
+ *   LLM_RETRY_DELAY_MS  first backoff delay (default 500)
+ *   LLM_TEMPERATURE     sampling temperature (default 0.3)
+ *   LLM_MOCK_TOOL_CALLS tool calls the mock makes, as a JSON list of
+ *                       { name, arguments } (default none)
+ * @param {Object} env
+ * @returns {Object} settings for createProvider()
+ */
+export function llmConfigFromEnv(env) {
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY || null;
+  const baseURL = env.LLM_BASE_URL || null;
+  const provider = env.LLM_PROVIDER || (baseURL ? 'openai-compatible' : apiKey ? 'openai' : 'none');
+  const number = (value, fallback) => {
+    const n = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(n) ? n : fallback;
+  };
+  return {
+    provider,
+    apiKey,
+    baseURL,
+    model: env.LLM_MODEL || env.OPENAI_MODEL || null,
+    timeoutMs: number(env.LLM_TIMEOUT_MS, 10000),
+    retries: number(env.LLM_RETRIES, 2),
+    retryDelayMs: number(env.LLM_RETRY_DELAY_MS, 500),
+    temperature: number(env.LLM_TEMPERATURE, 0.3),
+    mockToolCalls: env.LLM_MOCK_TOOL_CALLS ? parseJsonSetting(env.LLM_MOCK_TOOL_CALLS) : []
+  };
+}
+
+/**
+ * Parse a JSON setting, or return null when it isn't valid JSON (so
+ * validateLLMConfig() reports it).
+ * @param {string} value
+ * @returns {*}
+ */
+function parseJsonSetting(value) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check provider settings.  Returns a list of problems (empty when valid).
+ * @param {Object} config
+ * @returns {Array<string>}
+ */
+export function validateLLMConfig(config) {
+  const problems = [];
+  if (config.provider === 'none') return problems;
+  if (!LLM_PROVIDERS.includes(config.provider)) {
+    problems.push(`provider must be one of ${LLM_PROVIDERS.join(', ')} or none`);
+  }
+  if (config.provider === 'openai' && !config.apiKey) problems.push('openai needs an API key');
+  if (config.provider === 'openai-compatible') {
+    if (!config.baseURL) problems.push('openai-compatible needs a base URL');
+    else if (!/^https?:\/\//.test(config.baseURL)) problems.push('base URL must start with http:// or https://');
+  }
+  if (!(config.timeoutMs > 0)) problems.push('timeoutMs must be positive');
+  if (!Number.isInteger(config.retries) || config.retries < 0 || config.retries > 5) problems.push('retries must be a whole number from 0 to 5');
+  if (!(config.retryDelayMs >= 0)) problems.push('retryDelayMs must not be negative');
+  if (!(config.temperature >= 0 && config.temperature <= 2)) problems.push('temperature must be between 0 and 2');
+  if (config.mockToolCalls !== undefined && !(Array.isArray(config.mockToolCalls) && config.mockToolCalls.every(call =>
+    call && typeof call.name === 'string' && (call.arguments === undefined || (call.arguments && typeof call.arguments === 'object'))))) {
+    problems.push('mockToolCalls must be a JSON list of { name, arguments } tool calls');
+  }
+  return problems;
+}
+
+/**
+ * Wait for ms milliseconds, or reject early when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(llmError('llm_timeout', 'request aborted'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(llmError('llm_timeout', 'request aborted'));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Map a failed HTTP response to an LLMError, keeping the provider's own
+ * message when it sends one.
+ * @param {Response} res
+ * @returns {Promise<LLMError>}
+ */
+async function errorForResponse(res) {
+  let detail = `HTTP ${res.status}`;
+  try {
+    const data = await res.json();
+    if (data && data.error) detail += `: ${data.error.message || data.error}`;
+  } catch {
+    // Not JSON; the status says enough.
+  }
+  const code = res.status === 401 || res.status === 403 ? 'llm_auth_failed'
+    : res.status === 429 ? 'llm_rate_limited'
+    : res.status >= 500 ? 'llm_unavailable'
+    : 'llm_bad_request';
+  const err = llmError(code, detail);
+  const retryAfter = parseFloat(res.headers.get('retry-after'));
+  if (Number.isFinite(retryAfter)) err.retryAfterMs = retryAfter * 1000;
+  return err;
+}
+
+/**
+ * Turn a fetch or stream failure into an LLMError.
+ * @param {Error} err
+ * @param {Object} config
+ * @param {AbortSignal} [signal]
+ * @returns {LLMError}
+ */
+function asLLMError(err, config, signal) {
+  if (err instanceof LLMError) return err;
+  if (err.name === 'AbortError') {
+    return llmError('llm_timeout', signal && signal.aborted ? 'request aborted' : `no answer within ${config.timeoutMs} ms`);
+  }
+  return llmError('llm_unavailable', String(err.message || err));
+}
+
+/**
+ * Tool calls from an OpenAI‑style answer as { id, name, arguments, raw }.
+ * @param {Array<Object>} [calls] message.tool_calls
+ * @returns {Array<Object>}
+ */
+function parseToolCalls(calls) {
+  if (!Array.isArray(calls)) return [];
+  return calls
+    .filter(call => call && call.function && typeof call.function.name === 'string' && call.function.name)
+    .map((call, i) => {
+      const raw = typeof call.function.arguments === 'string' ? call.function.arguments : '';
+      let args = null;
+      try {
+        const parsed = JSON.parse(raw || '{}');
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) args = parsed;
+      } catch {
+        // Left null; the caller tells the model its arguments were unreadable.
+      }
+      return { id: call.id || `call_${i}`, name: call.function.name, arguments: args, raw };
+    });
+}
+
+/**
+ * POST a chat completion request to an OpenAI‑style endpoint and wait for
+ * the response headers.  Returns a connection { res, touch, close }:
+ * touch() restarts the timeout (after each streamed chunk) and close()
+ * releases the request.  The caller's signal aborts it at any point.
+ * @param {Object} config
+ * @param {Array<Object>} messages
+ * @param {Array<Object>} [tools] function definitions offered to the model
+ * @param {AbortSignal} [signal]
+ * @param {boolean} stream
+ * @returns {Promise<Object>}
+ */
+async function postCompletion(config, messages, tools, signal, stream) {
+  const controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), config.timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  const connection = {
+    res: null,
+    touch() {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    },
+    close() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      // Stops a stream the caller gave up on; harmless once it has ended.
+      controller.abort();
+    }
+  };
+  try {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const body = { model: config.model, messages, temperature: config.temperature };
+    if (tools && tools.length) {
+      body.tools = tools;
+      body.tool_choice = 'auto';
+    }
+    if (stream) body.stream = true;
+    const res = await fetch(`${config.baseURL.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!res.ok) throw await errorForResponse(res);
+    connection.res = res;
+    return connection;
+  } catch (err) {
+    connection.close();
+    throw asLLMError(err, config, signal);
+  }
+}
+
+/**
+ * One chat completion request against an OpenAI‑style endpoint.
+ * @param {Object} config
+ * @param {Array<Object>} messages
+ * @param {Array<Object>} [tools]
+ * @param {AbortSignal} [signal] aborts the request (e.g. the client left)
+ * @returns {Promise<{text:string, toolCalls:Array<Object>}>}
+ */
+async function requestCompletion(config, messages, tools, signal) {
+  const connection = await postCompletion(config, messages, tools, signal, false);
+  try {
+    let data;
+    try {
+      data = await connection.res.json();
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      throw llmError('llm_bad_response', 'the answer was not JSON');
+    }
+    const message = data?.choices?.[0]?.message;
+    const text = typeof message?.content === 'string' ? message.content.trim() : '';
+    const toolCalls = parseToolCalls(message?.tool_calls);
+    if (!text && !toolCalls.length) throw llmError('llm_bad_response', 'the answer had no message text');
+    return { text, toolCalls };
+  } catch (err) {
+    throw asLLMError(err, config, signal);
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Stream a chat completion from an OpenAI‑style endpoint, yielding { text }
+ * as it arrives and, when the model called tools, one { toolCalls } once
+ * the stream ends (tool call fragments are put together by index).
+ * Opening the stream is retried like complete(); once text has been
+ * yielded a failure is thrown as is.  The timeout applies to each gap
+ * between chunks.
+ * @param {Object} config
+ * @param {Array<Object>} messages
+ * @param {Array<Object>} [tools]
+ * @param {AbortSignal} [signal]
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamCompletion(config, messages, tools, signal) {
+  const connection = await withRetries(config, () => postCompletion(config, messages, tools, signal, true), signal);
+  const decoder = new TextDecoder();
+  const calls = [];
+  let buffered = '';
+  let sent = false;
+  let done = false;
+  try {
+    for await (const chunk of connection.res.body) {
+      connection.touch();
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split(/\r?\n/);
+      buffered = lines.pop();
+      for (const line of lines) {
+        const m = line.match(/^data:\s?(.*)$/);
+        if (!m) continue;
+        if (m[1].trim() === '[DONE]') {
+          done = true;
+          break;
+        }
+        let data;
+        try {
+          data = JSON.parse(m[1]);
+        } catch {
+          continue;
+        }
+        const delta = data?.choices?.[0]?.delta;
+        for (const part of Array.isArray(delta?.tool_calls) ? delta.tool_calls : []) {
+          const call = calls[part.index ?? calls.length] ||= { id: null, function: { name: '', arguments: '' } };
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+        const text = delta?.content;
+        if (typeof text === 'string' && text) {
+          sent = true;
+          yield { text };
+        }
+      }
+      if (done) break;
+    }
+    const toolCalls = parseToolCalls(calls.filter(Boolean));
+    if (toolCalls.length) yield { toolCalls };
+    else if (!sent) throw llmError('llm_bad_response', 'the stream had no message text');
+  } catch (err) {
+    throw asLLMError(err, config, signal);
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Run attempt() and retry retryable LLMErrors with exponential backoff.
+ * A caller's abort is never retried.
+ * @param {Object} config
+ * @param {Function} attempt
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ */
+async function withRetries(config, attempt, signal) {
+  for (let tries = 0; ; tries++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      const aborted = signal && signal.aborted;
+      if (aborted || !(err instanceof LLMError) || !RETRYABLE_CODES.has(err.code) || tries >= config.retries) {
+        throw err;
+      }
+      const backoff = config.retryDelayMs * 2 ** tries;
+      const delay = err.retryAfterMs !== undefined && err.retryAfterMs <= MAX_RETRY_DELAY_MS
+        ? Math.max(backoff, err.retryAfterMs)
+        : backoff;
+      await sleep(Math.min(delay, MAX_RETRY_DELAY_MS), signal);
+    }
+  }
+}
+
+/**
+ * The deterministic offline provider's answer for a conversation.
+ * @param {Object} config
+ * @param {Array<Object>} messages
+ * @param {Array<Object>} [tools]
+ * @returns {{text:string, toolCalls:Array<Object>}}
+ */
+function mockCompletion(config, messages, tools) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  const text = last ? String(last.content) : '';
+  const failure = text.match(/\[mock:(llm_[a-z_]+)\]/);
+  if (failure) throw llmError(failure[1], `mock failure ${failure[1]}`);
+  // Tool results since the user's message are answered by echoing them.
+  const results = messages.slice(messages.lastIndexOf(last) + 1).filter(m => m.role === 'tool');
+  if (results.length) {
+    return { text: `Mock reply (${config.model}): ${results.map(m => m.content).join(' ')}`, toolCalls: [] };
+  }
+  // The scripted calls come from settings rather than the message, so
+  // they can be driven with messages the local handlers leave alone.
+  if (tools && tools.length && config.mockToolCalls && config.mockToolCalls.length) {
+    const calls = config.mockToolCalls.map((call, i) => ({
+      id: `mock_call_${i + 1}`,
+      type: 'function',
+      function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+    }));
+    return { text: '', toolCalls: parseToolCalls(calls) };
+  }
+  return { text: `Mock reply (${config.model}): ${text}`, toolCalls: [] };
+}
+
+/**
+ * Create a provider from settings (see llmConfigFromEnv()).  Returns null
+ * for provider 'none'; throws an LLMError (llm_not_configured) when the
+ * settings are invalid.
+ * @param {Object} config
+ * @returns {{name:string, model:string, complete:Function, stream:Function}|null}
+ */
+export function createProvider(config) {
+  if (!config || config.provider === 'none') return null;
+  const problems = validateLLMConfig(config);
+  if (problems.length) throw llmError('llm_not_configured', problems.join('; '));
+  const settings = {
+    ...config,
+    model: config.model || DEFAULT_MODELS[config.provider],
+    baseURL: config.provider === 'openai' ? (config.baseURL || OPENAI_BASE_URL) : config.baseURL
+  };
+  const name = config.provider;
+  return {
+    name,
+    model: settings.model,
+    async complete({ messages, tools, signal }) {
+      const answer = await withRetries(settings, () => (name === 'mock'
+        ? Promise.resolve().then(() => mockCompletion(settings, messages, tools))
+        : requestCompletion(settings, messages, tools, signal)), signal);
+      return { ...answer, provider: name, model: settings.model };
+    },
+    async *stream({ messages, tools, signal }) {
+      if (name !== 'mock') {
+        yield* streamCompletion(settings, messages, tools, signal);
+        return;
+      }
+      // The mock streams its answer a word at a time.
+      const answer = await withRetries(settings, () => Promise.resolve().then(() => mockCompletion(settings, messages, tools)), signal);
+      for (const piece of answer.text.match(/\S+\s*/g) || []) {
+        if (signal && signal.aborted) throw llmError('llm_timeout', 'request aborted');
+        yield { text: piece };
+      }
+      if (answer.toolCalls.length) yield { toolCalls: answer.toolCalls };
+    }
+  };
+}
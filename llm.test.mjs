@@ -0,0 +1,224 @@
+// Tests for the /assistant model fallback (llmFallback() in server.mjs)
+// against the offline mock provider in llm.mjs.  Run with `npm test`.
+//
+// server.mjs listens as soon as it is imported, so each group starts its
+// own server process on a free port with the LLM_* settings it needs and a
+// throwaway store file.  Messages carrying "[mock:<error code>]" make the
+// mock fail with that code.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SERVER = fileURLToPath(new URL('./server.mjs', import.meta.url));
+const NO_ANSWER_REPLY = 'I couldn’t find an answer. Try rephrasing or ask a specific brand question.';
+// A message none of the local handlers answer, so it reaches the model.
+const MESSAGE = 'tell me a story';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'stylistsync-llm-'));
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+/**
+ * A port nothing is listening on.
+ * @returns {Promise<number>}
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.mjs with the given LLM settings and wait until it listens.
+ * Returns { url, stop }.
+ * @param {Object} env
+ * @returns {Promise<{url:string, stop:Function}>}
+ */
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STORE_FILE: join(dataDir, `store-${port}.json`),
+      CATALOG_WATCH: '0',
+      LLM_TOOLS: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+  child.removeAllListeners('exit');
+  const stop = () => new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+  return { url: `http://127.0.0.1:${port}`, stop };
+}
+
+/**
+ * POST a message to /assistant.  Returns the status, the JSON body and how
+ * long the answer took.
+ * @param {string} url
+ * @param {string} message
+ * @returns {Promise<{status:number, body:Object, ms:number}>}
+ */
+async function ask(url, message) {
+  const started = Date.now();
+  const res = await fetch(`${url}/assistant`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, context: { clients: [], appointments: [] } })
+  });
+  const body = await res.json();
+  return { status: res.status, body, ms: Date.now() - started };
+}
+
+// ----------------------------------------------------------------------------
+// Typed errors
+// ----------------------------------------------------------------------------
+
+// Every failure answers with the code, its HTTP status and the no‑answer
+// reply rather than a 500.
+const ERRORS = [
+  { code: 'llm_timeout', status: 504 },
+  { code: 'llm_auth_failed', status: 502 },
+  { code: 'llm_rate_limited', status: 503 },
+  { code: 'llm_bad_request', status: 502 },
+  { code: 'llm_unavailable', status: 502 },
+  { code: 'llm_bad_response', status: 502 }
+];
+
+test('mock provider', async (t) => {
+  const server = await startServer({ LLM_PROVIDER: 'mock', LLM_RETRIES: '0' });
+  t.after(server.stop);
+
+  await t.test('answers with the mock reply', async () => {
+    const { status, body } = await ask(server.url, MESSAGE);
+    assert.equal(status, 200);
+    assert.equal(body.reply, `Mock reply (mock-1): ${MESSAGE}`);
+    assert.deepEqual(body.actions, []);
+    assert.equal(body.error, undefined);
+  });
+
+  for (const { code, status } of ERRORS) {
+    await t.test(`${code} answers ${status}`, async () => {
+      const res = await ask(server.url, `${MESSAGE} [mock:${code}]`);
+      assert.equal(res.status, status);
+      assert.equal(res.body.error, code);
+      assert.equal(res.body.detail, `mock failure ${code}`);
+      assert.equal(res.body.reply, NO_ANSWER_REPLY);
+      assert.deepEqual(res.body.actions, []);
+    });
+  }
+});
+
+test('without a provider the fallback answers without an error', async (t) => {
+  const server = await startServer({ LLM_PROVIDER: 'none' });
+  t.after(server.stop);
+  const { status, body } = await ask(server.url, MESSAGE);
+  assert.equal(status, 200);
+  assert.equal(body.reply, NO_ANSWER_REPLY);
+  assert.equal(body.error, undefined);
+});
+
+test('invalid settings answer llm_not_configured', async (t) => {
+  const server = await startServer({ LLM_PROVIDER: 'mock', LLM_TIMEOUT_MS: '-1' });
+  t.after(server.stop);
+  const { status, body } = await ask(server.url, MESSAGE);
+  assert.equal(status, 503);
+  assert.equal(body.error, 'llm_not_configured');
+  assert.match(body.detail, /timeoutMs must be positive/);
+});
+
+// ----------------------------------------------------------------------------
+// Retries and backoff
+// ----------------------------------------------------------------------------
+
+// Two retries with a 300 ms first delay wait 300 + 600 ms before giving up.
+const RETRY_DELAY_MS = 300;
+const BACKOFF_MS = RETRY_DELAY_MS + 2 * RETRY_DELAY_MS;
+
+test('retries', async (t) => {
+  const server = await startServer({ LLM_PROVIDER: 'mock', LLM_RETRIES: '2', LLM_RETRY_DELAY_MS: String(RETRY_DELAY_MS) });
+  t.after(server.stop);
+
+  for (const code of ['llm_timeout', 'llm_rate_limited', 'llm_unavailable']) {
+    await t.test(`${code} is retried with backoff`, async () => {
+      const { body, ms } = await ask(server.url, `${MESSAGE} [mock:${code}]`);
+      assert.equal(body.error, code);
+      assert.ok(ms >= BACKOFF_MS, `answered after ${ms} ms, expected at least ${BACKOFF_MS}`);
+    });
+  }
+
+  for (const code of ['llm_auth_failed', 'llm_bad_request', 'llm_bad_response']) {
+    await t.test(`${code} is not retried`, async () => {
+      const { body, ms } = await ask(server.url, `${MESSAGE} [mock:${code}]`);
+      assert.equal(body.error, code);
+      assert.ok(ms < RETRY_DELAY_MS, `answered after ${ms} ms, expected under ${RETRY_DELAY_MS}`);
+    });
+  }
+});
+
+// ----------------------------------------------------------------------------
+// Timeout
+// ----------------------------------------------------------------------------
+
+// The mock answers at once, so the per‑attempt timeout is checked against an
+// OpenAI‑compatible upstream that never replies.
+test('an upstream that never answers times out per attempt', async (t) => {
+  const requests = [];
+  const upstream = createServer((req) => { requests.push(req.url); });
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    upstream.closeAllConnections();
+    return new Promise(resolve => upstream.close(resolve));
+  });
+  const server = await startServer({
+    LLM_PROVIDER: 'openai-compatible',
+    LLM_BASE_URL: `http://127.0.0.1:${upstream.address().port}/v1`,
+    LLM_TIMEOUT_MS: '200',
+    LLM_RETRIES: '1',
+    LLM_RETRY_DELAY_MS: '50'
+  });
+  t.after(server.stop);
+
+  const { status, body, ms } = await ask(server.url, MESSAGE);
+  assert.equal(status, 504);
+  assert.equal(body.error, 'llm_timeout');
+  assert.equal(body.detail, 'no answer within 200 ms');
+  assert.equal(body.reply, NO_ANSWER_REPLY);
+  // One attempt, a 50 ms pause, then the retry.
+  assert.equal(requests.length, 2);
+  assert.ok(ms >= 450, `answered after ${ms} ms, expected at least 450`);
+});
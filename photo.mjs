@@ -0,0 +1,747 @@
+// photo.mjs — Hair colour analysis for Formula Guru photos
+//
+// analysePhoto() reads a JPEG or PNG upload and estimates the colour of the
+// hair in it without any external service:
+//   1. detectImageType() checks the magic bytes (JPEG, PNG or HEIC);
+//   2. the image is decoded at low resolution.  JPEGs are read from their
+//      DC coefficients only, which gives the average colour of every 8×8
+//      block (an image at 1/8 scale) without an inverse DCT; progressive
+//      JPEGs use their first DC scan.  PNGs are inflated with zlib and
+//      sampled on a grid;
+//   3. pixels from the centre of the frame are clustered in CIE Lab space
+//      into a small palette of dominant colours;
+//   4. the largest cluster that isn't a bright, colourless background is
+//      taken as the hair, and its lightness and hue give a level (1–10)
+//      and an undertone.
+// The estimate assumes the photo is framed on the hair; lighting and white
+// balance shift it, so confidence never exceeds 0.9.  HEIC photos are
+// recognised but can't be decoded here (HEVC needs a codec), so they raise
+// a PhotoError the caller can turn into a helpful response.
+
+import { inflateSync } from 'zlib';
+
+export class PhotoError extends Error {
+  constructor(code, message, status = 422) {
+    super(message);
+    this.name = 'PhotoError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Decoded images larger than this are refused before inflating.  Inflating
+// is also capped at the size the PNG header promises (see pngDataLength()),
+// which guards against decompression bombs.
+const MAX_PIXELS = 50e6;
+// Pixels fed to the clustering step, and the palette size.
+const MAX_SAMPLES = 4096;
+const PALETTE_SIZE = 5;
+const KMEANS_ROUNDS = 12;
+// Fraction trimmed from each edge before sampling, to drop background.
+const EDGE_CROP = 0.15;
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+
+/**
+ * Identify an image from its first bytes.
+ * @param {Buffer} buf
+ * @returns {'jpeg'|'png'|'heic'|null}
+ */
+export function detectImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (buf.toString('latin1', 4, 8) === 'ftyp' && HEIC_BRANDS.has(buf.toString('latin1', 8, 12))) return 'heic';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// JPEG (DC coefficients only)
+
+/**
+ * Build a canonical Huffman decoding table from the 16 code‑length counts
+ * and the symbols of a DHT segment.
+ * @param {Uint8Array} counts
+ * @param {Uint8Array} symbols
+ * @returns {{maxCode:Int32Array, valPtr:Int32Array, minCode:Int32Array, symbols:Uint8Array}}
+ */
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valPtr = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    const n = counts[len - 1];
+    if (n) {
+      valPtr[len] = k;
+      minCode[len] = code;
+      code += n;
+      k += n;
+      maxCode[len] = code - 1;
+    }
+    code <<= 1;
+  }
+  return { maxCode, valPtr, minCode, symbols };
+}
+
+/**
+ * Decode a JPEG to the average colour of each 8×8 block.  Baseline and
+ * progressive Huffman‑coded JPEGs with one (grey) or three (YCbCr or
+ * Adobe RGB) components are supported.
+ * @param {Buffer} buf
+ * @returns {{width:number, height:number, data:Uint8Array, scale:number, sourceWidth:number, sourceHeight:number}}
+ */
+function decodeJpeg(buf) {
+  const quant = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let pos = 2;
+
+  const segmentLength = () => {
+    if (pos + 2 > buf.length) throw new PhotoError('image_not_decodable', 'truncated JPEG');
+    return buf.readUInt16BE(pos);
+  };
+
+  while (pos < buf.length) {
+    if (buf[pos] !== 0xff) { pos++; continue; }
+    const marker = buf[pos + 1];
+    pos += 2;
+    if (marker === 0xff) { pos--; continue; }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) continue;
+    if (marker === 0xd9) break;
+    const length = segmentLength();
+    const start = pos + 2;
+    const end = pos + length;
+    if (end > buf.length) throw new PhotoError('image_not_decodable', 'truncated JPEG');
+    if (marker === 0xdb) {
+      let p = start;
+      while (p < end) {
+        const precision = buf[p] >> 4;
+        const id = buf[p] & 15;
+        // Only the DC quantiser (the first entry) is needed.
+        quant[id] = precision ? buf.readUInt16BE(p + 1) : buf[p + 1];
+        p += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker === 0xc4) {
+      let p = start;
+      while (p < end) {
+        const cls = buf[p] >> 4;
+        const id = buf[p] & 15;
+        const counts = buf.subarray(p + 1, p + 17);
+        const total = counts.reduce((a, b) => a + b, 0);
+        const table = buildHuffmanTable(counts, buf.subarray(p + 17, p + 17 + total));
+        (cls ? acTables : dcTables)[id] = table;
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = buf.readUInt16BE(start);
+    } else if (marker === 0xee && buf.toString('latin1', start, start + 5) === 'Adobe') {
+      adobeTransform = buf[start + 11];
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      const height = buf.readUInt16BE(start + 1);
+      const width = buf.readUInt16BE(start + 3);
+      const count = buf[start + 5];
+      if (!width || !height) throw new PhotoError('image_not_decodable', 'JPEG has no size');
+      if (count !== 1 && count !== 3) {
+        throw new PhotoError('image_not_decodable', `JPEGs with ${count} colour components (CMYK) aren’t supported`);
+      }
+      const components = [];
+      for (let i = 0; i < count; i++) {
+        const o = start + 6 + i * 3;
+        components.push({ id: buf[o], h: buf[o + 1] >> 4, v: buf[o + 1] & 15, quantId: buf[o + 2] });
+      }
+      const hMax = Math.max(...components.map(c => c.h));
+      const vMax = Math.max(...components.map(c => c.v));
+      const mcusX = Math.ceil(width / (8 * hMax));
+      const mcusY = Math.ceil(height / (8 * vMax));
+      for (const c of components) {
+        c.blocksPerLine = mcusX * c.h;
+        c.blocksPerColumn = mcusY * c.v;
+        // Blocks actually covered by the image, for non‑interleaved scans.
+        c.usedPerLine = Math.ceil(Math.ceil(width * c.h / hMax) / 8);
+        c.usedPerColumn = Math.ceil(Math.ceil(height * c.v / vMax) / 8);
+        c.dc = new Float32Array(c.blocksPerLine * c.blocksPerColumn);
+      }
+      frame = { width, height, components, hMax, vMax, mcusX, mcusY, progressive: marker === 0xc2, dcDone: false };
+    } else if ((marker >= 0xc3 && marker <= 0xcf) && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new PhotoError('image_not_decodable', 'lossless and arithmetic‑coded JPEGs aren’t supported');
+    } else if (marker === 0xda) {
+      if (!frame) throw new PhotoError('image_not_decodable', 'JPEG scan before frame header');
+      const count = buf[start];
+      const scanComponents = [];
+      for (let i = 0; i < count; i++) {
+        const id = buf[start + 1 + i * 2];
+        const tables = buf[start + 2 + i * 2];
+        const component = frame.components.find(c => c.id === id);
+        if (!component) throw new PhotoError('image_not_decodable', 'JPEG scan names an unknown component');
+        scanComponents.push({ component, dcTable: dcTables[tables >> 4], acTable: acTables[tables & 15] });
+      }
+      const o = start + 1 + count * 2;
+      const spectralStart = buf[o];
+      const spectralEnd = buf[o + 1];
+      const approxHigh = buf[o + 2] >> 4;
+      const approxLow = buf[o + 2] & 15;
+      pos = end;
+      const wanted = frame.progressive
+        ? spectralStart === 0 && approxHigh === 0 && !frame.dcDone
+        : !frame.dcDone || scanComponents.some(s => !s.component.decoded);
+      if (wanted) {
+        pos = decodeScan(buf, pos, frame, scanComponents, {
+          restartInterval,
+          dcOnly: frame.progressive,
+          shift: frame.progressive ? approxLow : 0,
+          spectralEnd
+        });
+        scanComponents.forEach(s => { s.component.decoded = true; });
+        if (frame.components.every(c => c.decoded)) frame.dcDone = true;
+      }
+      pos = nextMarker(buf, pos);
+      continue;
+    }
+    pos = end;
+  }
+  if (!frame || !frame.components.every(c => c.decoded)) {
+    throw new PhotoError('image_not_decodable', 'JPEG has no image data');
+  }
+  return jpegBlocksToRgb(frame, quant, adobeTransform);
+}
+
+/**
+ * Position of the next marker that isn't a restart marker, starting at
+ * pos.  Used to step over entropy‑coded data.
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @returns {number}
+ */
+function nextMarker(buf, pos) {
+  while (pos < buf.length - 1) {
+    if (buf[pos] === 0xff) {
+      const next = buf[pos + 1];
+      if (next !== 0 && next !== 0xff && !(next >= 0xd0 && next <= 0xd7)) return pos;
+    }
+    pos++;
+  }
+  return buf.length;
+}
+
+/**
+ * Decode the DC coefficients of one scan into each component's dc array,
+ * skipping AC coefficients in baseline scans.  Returns the position after
+ * the data that was read.
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @param {Object} frame
+ * @param {Array<Object>} scanComponents
+ * @param {{restartInterval:number, dcOnly:boolean, shift:number, spectralEnd:number}} options
+ * @returns {number}
+ */
+function decodeScan(buf, pos, frame, scanComponents, { restartInterval, dcOnly, shift, spectralEnd }) {
+  let bitBuf = 0;
+  let bitCount = 0;
+  let atMarker = false;
+  const readBit = () => {
+    if (bitCount === 0) {
+      if (atMarker || pos >= buf.length) return 0;
+      let byte = buf[pos];
+      if (byte === 0xff) {
+        const next = buf[pos + 1];
+        if (next === 0) {
+          pos += 2;
+        } else {
+          // A marker ends the data early; pad with zero bits.
+          atMarker = true;
+          return 0;
+        }
+      } else {
+        pos++;
+      }
+      bitBuf = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bitBuf >> bitCount) & 1;
+  };
+  const readBits = (n) => {
+    let v = 0;
+    for (let i = 0; i < n; i++) v = (v << 1) | readBit();
+    return v;
+  };
+  const extend = (v, n) => (n && v < (1 << (n - 1)) ? v - (1 << n) + 1 : v);
+  const decodeSymbol = (table) => {
+    if (!table) throw new PhotoError('image_not_decodable', 'JPEG scan uses a missing Huffman table');
+    let code = 0;
+    for (let len = 1; len <= 16; len++) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxCode[len]) return table.symbols[table.valPtr[len] + code - table.minCode[len]];
+    }
+    throw new PhotoError('image_not_decodable', 'corrupt JPEG data');
+  };
+  const decodeBlock = (s, index) => {
+    const size = decodeSymbol(s.dcTable);
+    s.pred += extend(readBits(size), size);
+    s.component.dc[index] = s.pred * (1 << shift);
+    if (dcOnly || spectralEnd === 0) return;
+    for (let k = 1; k < 64;) {
+      const rs = decodeSymbol(s.acTable);
+      const run = rs >> 4;
+      const bits = rs & 15;
+      if (!bits) {
+        if (run !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      readBits(bits);
+      k++;
+    }
+  };
+  const restart = () => {
+    bitCount = 0;
+    atMarker = false;
+    scanComponents.forEach(s => { s.pred = 0; });
+    pos = nextRestart(buf, pos);
+  };
+
+  scanComponents.forEach(s => { s.pred = 0; });
+  let units = 0;
+  if (scanComponents.length === 1) {
+    // Non‑interleaved: blocks in raster order over the covered area.
+    const s = scanComponents[0];
+    const c = s.component;
+    for (let row = 0; row < c.usedPerColumn; row++) {
+      for (let col = 0; col < c.usedPerLine; col++) {
+        if (restartInterval && units && units % restartInterval === 0) restart();
+        decodeBlock(s, row * c.blocksPerLine + col);
+        units++;
+      }
+    }
+  } else {
+    for (let my = 0; my < frame.mcusY; my++) {
+      for (let mx = 0; mx < frame.mcusX; mx++) {
+        if (restartInterval && units && units % restartInterval === 0) restart();
+        for (const s of scanComponents) {
+          const c = s.component;
+          for (let v = 0; v < c.v; v++) {
+            for (let h = 0; h < c.h; h++) {
+              decodeBlock(s, (my * c.v + v) * c.blocksPerLine + mx * c.h + h);
+            }
+          }
+        }
+        units++;
+      }
+    }
+  }
+  return pos;
+}
+
+/**
+ * Position just after the next restart marker (RST0–RST7) at or after pos.
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @returns {number}
+ */
+function nextRestart(buf, pos) {
+  while (pos < buf.length - 1) {
+    if (buf[pos] === 0xff && buf[pos + 1] >= 0xd0 && buf[pos + 1] <= 0xd7) return pos + 2;
+    pos++;
+  }
+  return buf.length;
+}
+
+/**
+ * Turn per‑component block averages into an RGB image with one pixel per
+ * 8×8 block of the full‑size picture.
+ * @param {Object} frame
+ * @param {Array<number>} quant
+ * @param {?number} adobeTransform
+ * @returns {{width:number, height:number, data:Uint8Array, scale:number, sourceWidth:number, sourceHeight:number}}
+ */
+function jpegBlocksToRgb(frame, quant, adobeTransform) {
+  const width = Math.ceil(frame.width / 8);
+  const height = Math.ceil(frame.height / 8);
+  const data = new Uint8Array(width * height * 3);
+  const channels = frame.components.map(c => {
+    const q = quant[c.quantId] || 1;
+    return (x, y) => {
+      const bx = Math.min(c.blocksPerLine - 1, Math.floor(x * c.h / frame.hMax));
+      const by = Math.min(c.blocksPerColumn - 1, Math.floor(y * c.v / frame.vMax));
+      return c.dc[by * c.blocksPerLine + bx] * q / 8 + 128;
+    };
+  });
+  // Three components are YCbCr unless an Adobe marker says otherwise or
+  // the components are named R, G and B.
+  const rgbIds = frame.components.map(c => String.fromCharCode(c.id)).join('') === 'RGB';
+  const ycc = channels.length === 3 && adobeTransform !== 0 && !rgbIds;
+  const clamp = (n) => (n < 0 ? 0 : n > 255 ? 255 : Math.round(n));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 3;
+      if (channels.length === 1) {
+        data[o] = data[o + 1] = data[o + 2] = clamp(channels[0](x, y));
+      } else if (ycc) {
+        const Y = channels[0](x, y);
+        const cb = channels[1](x, y) - 128;
+        const cr = channels[2](x, y) - 128;
+        data[o] = clamp(Y + 1.402 * cr);
+        data[o + 1] = clamp(Y - 0.344136 * cb - 0.714136 * cr);
+        data[o + 2] = clamp(Y + 1.772 * cb);
+      } else {
+        for (let i = 0; i < 3; i++) data[o + i] = clamp(channels[i](x, y));
+      }
+    }
+  }
+  return { width, height, data, scale: 8, sourceWidth: frame.width, sourceHeight: frame.height };
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+// Adam7 passes as [xStart, yStart, xStep, yStep].
+const ADAM7_PASSES = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+/**
+ * Bytes of filtered image data a PNG header promises: one filter byte per
+ * row plus the packed pixels, summed over the Adam7 passes when interlaced.
+ * @param {{width:number, height:number, interlace:number}} header
+ * @param {number} bitsPerPixel
+ * @returns {number}
+ */
+function pngDataLength(header, bitsPerPixel) {
+  const passes = header.interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+  let total = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const width = header.width > x0 ? Math.ceil((header.width - x0) / dx) : 0;
+    const height = header.height > y0 ? Math.ceil((header.height - y0) / dy) : 0;
+    if (width && height) total += height * (Math.ceil((width * bitsPerPixel) / 8) + 1);
+  }
+  return total;
+}
+
+/**
+ * Decode a PNG to RGB, keeping at most about MAX_SAMPLES × 16 pixels.
+ * Fully transparent pixels are dropped from the result's mask.  Interlaced
+ * PNGs use their first Adam7 pass, which is already an image at 1/8 scale.
+ * @param {Buffer} buf
+ * @returns {{width:number, height:number, data:Uint8Array, mask:?Uint8Array, scale:number, sourceWidth:number, sourceHeight:number}}
+ */
+function decodePng(buf) {
+  let pos = 8;
+  let header = null;
+  let palette = null;
+  let paletteAlpha = null;
+  const idat = [];
+  while (pos + 8 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + length);
+    if (body.length < length) throw new PhotoError('image_not_decodable', 'truncated PNG');
+    if (type === 'IHDR') {
+      if (body.length < 13) throw new PhotoError('image_not_decodable', 'PNG header too short');
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        depth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      paletteAlpha = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+  if (!header || !idat.length) throw new PhotoError('image_not_decodable', 'PNG has no image data');
+  const { depth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth)) throw new PhotoError('image_not_decodable', 'unsupported PNG format');
+  if (colorType === 3 && !palette) throw new PhotoError('image_not_decodable', 'PNG palette missing');
+  if (header.width * header.height > MAX_PIXELS) {
+    throw new PhotoError('image_too_large', `images over ${MAX_PIXELS / 1e6} megapixels can’t be analysed`, 413);
+  }
+  // Adam7 pass 1 takes every 8th pixel of every 8th row.
+  const width = interlace ? Math.ceil(header.width / 8) : header.width;
+  const height = interlace ? Math.ceil(header.height / 8) : header.height;
+  const bitsPerPixel = channels * depth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  let raw;
+  try {
+    // Interlaced data runs past pass 1, which is all that is read, but is
+    // still capped at what all seven passes need.
+    raw = inflateSync(Buffer.concat(idat), { maxOutputLength: Math.max(1, pngDataLength(header, bitsPerPixel)) });
+  } catch {
+    throw new PhotoError('image_not_decodable', 'corrupt PNG data');
+  }
+  if (raw.length < (rowBytes + 1) * height) throw new PhotoError('image_not_decodable', 'truncated PNG data');
+
+  // Keep every step‑th pixel so large photos stay cheap to analyse.
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / (MAX_SAMPLES * 16))));
+  const outWidth = Math.ceil(width / step);
+  const outHeight = Math.ceil(height / step);
+  const data = new Uint8Array(outWidth * outHeight * 3);
+  const mask = new Uint8Array(outWidth * outHeight).fill(1);
+  const maxSample = (1 << depth) - 1;
+  let prev = new Uint8Array(rowBytes);
+  let row = new Uint8Array(rowBytes);
+  const sample = (x, channel) => {
+    if (depth === 8) return row[x * channels + channel];
+    if (depth === 16) return row[(x * channels + channel) * 2];
+    const bit = (x * channels + channel) * depth;
+    return (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxSample;
+  };
+  const scaleSample = (v) => (depth >= 8 ? v : Math.round((v * 255) / maxSample));
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowBytes + 1)];
+    const line = raw.subarray(y * (rowBytes + 1) + 1, (y + 1) * (rowBytes + 1));
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+      const up = prev[i];
+      const upLeft = i >= bytesPerPixel ? prev[i - bytesPerPixel] : 0;
+      let value = line[i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        value += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      } else if (filter !== 0) {
+        throw new PhotoError('image_not_decodable', 'corrupt PNG data');
+      }
+      row[i] = value & 255;
+    }
+    if (y % step === 0) {
+      for (let x = 0; x < width; x += step) {
+        const o = (y / step) * outWidth + x / step;
+        let r, g, b, a = 255;
+        if (colorType === 3) {
+          const index = sample(x, 0);
+          r = palette[index * 3];
+          g = palette[index * 3 + 1];
+          b = palette[index * 3 + 2];
+          if (paletteAlpha && index < paletteAlpha.length) a = paletteAlpha[index];
+        } else if (colorType === 0 || colorType === 4) {
+          r = g = b = scaleSample(sample(x, 0));
+          if (colorType === 4) a = sample(x, 1);
+        } else {
+          r = sample(x, 0);
+          g = sample(x, 1);
+          b = sample(x, 2);
+          if (colorType === 6) a = sample(x, 3);
+        }
+        data[o * 3] = r;
+        data[o * 3 + 1] = g;
+        data[o * 3 + 2] = b;
+        if (a < 128) mask[o] = 0;
+      }
+    }
+    [prev, row] = [row, prev];
+  }
+  return {
+    width: outWidth,
+    height: outHeight,
+    data,
+    mask,
+    scale: (interlace ? 8 : 1) * step,
+    sourceWidth: header.width,
+    sourceHeight: header.height
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Colour analysis
+
+/**
+ * Convert an sRGB colour (0–255 channels) to CIE Lab under D65.
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @returns {[number, number, number]}
+ */
+export function rgbToLab(r, g, b) {
+  const linear = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+  const R = linear(r);
+  const G = linear(g);
+  const B = linear(b);
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116);
+  const fx = f((R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047);
+  const fy = f(R * 0.2126 + G * 0.7152 + B * 0.0722);
+  const fz = f((R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Hex notation for an RGB triple: [181, 140, 92] → "#b58c5c".
+ * @param {Array<number>} rgb
+ * @returns {string}
+ */
+function toHex(rgb) {
+  return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Pixels from the centre of a decoded image, on a grid of at most
+ * MAX_SAMPLES points, as [r, g, b, L, a, b] rows.
+ * @param {{width:number, height:number, data:Uint8Array, mask?:Uint8Array}} image
+ * @returns {Array<Array<number>>}
+ */
+function samplePixels(image) {
+  const { width, height, data, mask } = image;
+  const x0 = Math.floor(width * EDGE_CROP);
+  const y0 = Math.floor(height * EDGE_CROP);
+  const x1 = Math.max(x0 + 1, Math.ceil(width * (1 - EDGE_CROP)));
+  const y1 = Math.max(y0 + 1, Math.ceil(height * (1 - EDGE_CROP)));
+  const step = Math.max(1, Math.sqrt(((x1 - x0) * (y1 - y0)) / MAX_SAMPLES));
+  const samples = [];
+  for (let y = y0; y < y1; y += step) {
+    for (let x = x0; x < x1; x += step) {
+      const i = Math.floor(y) * width + Math.floor(x);
+      if (mask && !mask[i]) continue;
+      const r = data[i * 3];
+      const g = data[i * 3 + 1];
+      const b = data[i * 3 + 2];
+      samples.push([r, g, b, ...rgbToLab(r, g, b)]);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Cluster samples in Lab space with k‑means.  Centres start from the
+ * sample nearest the median lightness and then the farthest remaining
+ * sample each time, so the same photo always gives the same palette.
+ * @param {Array<Array<number>>} samples
+ * @param {number} k
+ * @returns {Array<{rgb:Array<number>, lab:Array<number>, share:number}>}
+ */
+function clusterColours(samples, k) {
+  const dist = (s, c) => (s[3] - c[0]) ** 2 + (s[4] - c[1]) ** 2 + (s[5] - c[2]) ** 2;
+  const byLightness = [...samples].sort((a, b) => a[3] - b[3]);
+  const centres = [byLightness[Math.floor(byLightness.length / 2)].slice(3)];
+  while (centres.length < k) {
+    let best = null;
+    let bestDist = 0;
+    for (const s of samples) {
+      const d = Math.min(...centres.map(c => dist(s, c)));
+      if (d > bestDist) { best = s; bestDist = d; }
+    }
+    // Fewer distinct colours than k.
+    if (!best || bestDist < 4) break;
+    centres.push(best.slice(3));
+  }
+  const assignment = new Int32Array(samples.length);
+  for (let round = 0; round < KMEANS_ROUNDS; round++) {
+    let moved = false;
+    samples.forEach((s, i) => {
+      let nearest = 0;
+      for (let c = 1; c < centres.length; c++) {
+        if (dist(s, centres[c]) < dist(s, centres[nearest])) nearest = c;
+      }
+      if (assignment[i] !== nearest) { assignment[i] = nearest; moved = true; }
+    });
+    centres.forEach((c, ci) => {
+      const members = samples.filter((_, i) => assignment[i] === ci);
+      if (!members.length) return;
+      for (let d = 0; d < 3; d++) c[d] = members.reduce((sum, s) => sum + s[3 + d], 0) / members.length;
+    });
+    if (!moved && round > 0) break;
+  }
+  return centres
+    .map((centre, ci) => {
+      const members = samples.filter((_, i) => assignment[i] === ci);
+      if (!members.length) return null;
+      const rgb = [0, 1, 2].map(d => members.reduce((sum, s) => sum + s[d], 0) / members.length);
+      return { rgb, lab: centre, share: members.length / samples.length };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Name the undertone of a hair colour from its Lab hue and chroma:
+ * 'neutral' or 'ash' when nearly colourless, otherwise 'red', 'copper',
+ * 'gold', 'green', 'ash' (blue) or 'violet'.
+ * @param {Array<number>} lab
+ * @returns {string}
+ */
+export function undertoneOfLab([, a, b]) {
+  const chroma = Math.hypot(a, b);
+  if (chroma < 6) return b < -1 ? 'ash' : 'neutral';
+  const hue = (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  if (hue < 40) return 'red';
+  if (hue < 62) return 'copper';
+  if (hue < 105) return 'gold';
+  if (hue < 200) return 'green';
+  if (hue < 290) return 'ash';
+  if (hue < 335) return 'violet';
+  return 'red';
+}
+
+/**
+ * Estimate a hair level (1 = black … 10 = lightest blonde) from Lab
+ * lightness.  Black hair photographs at about L* 15 and platinum at 80.
+ * @param {number} lightness
+ * @returns {number}
+ */
+export function levelOfLightness(lightness) {
+  return Math.min(10, Math.max(1, Math.round(1 + ((lightness - 15) * 9) / 65)));
+}
+
+/**
+ * Decode an uploaded photo and estimate its hair colour.  Returns
+ * {
+ *   image:   { type, width, height },
+ *   palette: [{ hex, share, lightness, undertone }], largest first,
+ *   hair:    { hex, level, undertone, lightness, chroma, confidence }
+ * }.  Throws a PhotoError for unsupported, undecodable or oversized
+ * images.
+ * @param {Buffer} buf
+ * @returns {Object}
+ */
+export function analysePhoto(buf) {
+  const type = detectImageType(buf);
+  if (!type) throw new PhotoError('unsupported_image_type', 'expected a JPEG, PNG or HEIC photo', 415);
+  if (type === 'heic') {
+    throw new PhotoError('image_not_decodable', 'HEIC photos can’t be decoded on this server; send a JPEG or PNG');
+  }
+  const image = type === 'jpeg' ? decodeJpeg(buf) : decodePng(buf);
+  const samples = samplePixels(image);
+  if (!samples.length) throw new PhotoError('image_not_decodable', 'the photo has no visible pixels');
+  const clusters = clusterColours(samples, PALETTE_SIZE);
+  const round = (n, places = 1) => Math.round(n * 10 ** places) / 10 ** places;
+  const palette = clusters.map(c => ({
+    hex: toHex(c.rgb),
+    share: round(c.share, 2),
+    lightness: round(c.lab[0]),
+    undertone: undertoneOfLab(c.lab)
+  }));
+  // Bright, colourless clusters are walls, towels or capes.
+  const isBackground = (c) => c.lab[0] > 90 && Math.hypot(c.lab[1], c.lab[2]) < 8;
+  const hair = clusters.find(c => !isBackground(c)) || clusters[0];
+  return {
+    image: { type, width: image.sourceWidth, height: image.sourceHeight },
+    palette,
+    hair: {
+      hex: toHex(hair.rgb),
+      level: levelOfLightness(hair.lab[0]),
+      undertone: undertoneOfLab(hair.lab),
+      lightness: round(hair.lab[0]),
+      chroma: round(Math.hypot(hair.lab[1], hair.lab[2])),
+      confidence: round(Math.min(0.9, 0.3 + hair.share * 0.6), 2)
+    }
+  };
+}
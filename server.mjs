@@ -1,77 +1,416 @@
 // server.mjs — Lightweight StylistSync assistant and brand catalogue
 //
 // This server provides a minimal set of endpoints for the Hair Hub app.  It
-// exposes the brand catalogue (/brands) and a calendar‑aware assistant
-// endpoint (/assistant) capable of answering basic hair formula questions and
-// synthesising create/delete actions for clients and appointments.  The
+// exposes the brand catalogue (/brands), the Shades EQ shade catalogue
+// (/shades, /shades/:code), a toner formula builder (/formula/toner), a
+// mixing calculator (/mix) and a calendar‑aware assistant endpoint
+// (/assistant) capable of answering basic hair formula questions and
+// proposing create, move and delete actions for clients and appointments,
+// which are applied with /assistant/actions/:id/commit.  Conversations carry
+// a sessionId so follow‑ups like "make it 3pm instead" refer to the previous
+// turn, and bookings missing a client, date, time or service come back with
+// a clarifying question and a `pending` object instead of actions.  Proposed
+// bookings are checked against service durations, working hours and breaks
+// (config/schedule.json), with overlaps reported in `warnings` alongside the
+// nearest free slots; open gaps are listed by GET /availability and the
+// "when can I fit…" intent, and calendar analytics (busiest day, service
+// mix, rebooking candidates, hours booked) by GET /stats and matching
+// questions.  Standing bookings ("every 6 weeks") are stored as recurring
+// series and expanded into visits wherever appointments are read.  Dates and
+// times in messages ("in 3 weeks", "the 15th at half past two", "3-5pm") are
+// parsed in the stylist's timezone by dates.mjs.  Brands and shade lines are
+// loaded from JSON files under catalog/ and reload when those files change
+// (or via POST /admin/catalog/reload).  Clients and appointments persist
+// server‑side through store.mjs and are exposed as REST resources (/clients,
+// /appointments); client records keep contact details, allergies, patch
+// tests and a colour formula history (/clients/:id/formulas) that the
+// assistant answers "what did I use on Maria last time?" from.  Client names
+// typed in messages (several words, accents, lowercase) are matched loosely
+// (nicknames, misspellings, first names only), ambiguous names are asked
+// about, and GET /clients/duplicates lists likely duplicate records.  The
 // implementation avoids external dependencies such as Express so that it
-// runs in environments where `npm install` is not available.  If you need
-// advanced Formula Guru features or photo analysis, you can extend this
-// module or run your own server with those capabilities.
+// runs in environments where `npm install` is not available.  Photos sent to
+// POST /analyze are measured locally by photo.mjs (palette, level,
+// undertone, nearest Shades EQ shades); a vision service at ANALYZE_URL is
+// an optional extra.  Questions the local handlers can't answer fall back to
+// a language model through llm.mjs (OpenAI, an OpenAI‑compatible server or
+// an offline mock, chosen with LLM_PROVIDER), which can look up clients and
+// appointments and propose bookings and cancellations through tool calls
+// that are checked like local ones.  The model is told the catalogue's rules
+// and shades for what the conversation mentions, and ratios, developers and
+// shade codes in its reply that contradict the catalogue come back as
+// warnings.  POST /assistant/stream sends the reply as Server‑Sent Events
+// while the model writes it.  If you need advanced Formula Guru features,
+// you can extend this module or run your own server with those capabilities.
 
 import http from 'http';
-import { URL } from 'url';
+import { readFileSync, readdirSync, existsSync, watch } from 'fs';
+import { join } from 'path';
+import { URL, fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { createFileStore, StoreError } from './store.mjs';
+import { analysePhoto, detectImageType, PhotoError } from './photo.mjs';
+import { createProvider, llmConfigFromEnv, LLMError } from './llm.mjs';
+import {
+  parseDateExpression, parseTimeWindow, parseTimeOfDay, localTimeToUTCISO, addDaysToKey, addMonthsToKey,
+  daysBetweenKeys, PARTS_OF_DAY
+} from './dates.mjs';
 
 // -------------------------------------------------------------------------
-// Data: Brand catalogues and mixing rules.  Each entry maps a brand name
-// (case‑sensitive) to its mixing ratio, recommended developer and any notes.
+// Data: Brand catalogues and mixing rules.  Brands are loaded from JSON
+// files in the catalogue directory (see loadCatalog() below) and map a brand
+// name (case‑sensitive) to a structured rule:
+//   - category:          'permanent', 'demi' or 'semi'
+//   - aliases:           short names stylists use ("majirel", "shades eq")
+//   - ratio:             default mix as a string ('1:1', '1:1.5', 'RTU')
+//   - ratioOrder:        'color:developer' (default) or 'developer:color'
+//   - developer:         the brand's developer/activator product
+//   - developerVolumes:  volumes allowed with that developer (empty for
+//                        dedicated processing liquids and RTU lines)
+//   - processingMinutes: typical [min, max] processing time
+//   - lines:             sub‑line overrides keyed by line name; each may
+//                        replace ratio, processingMinutes or notes and list
+//                        aliases stylists use for it
+//   - shades:            optional shade catalogue file in catalog/shades
+//   - notes:             anything else the stylist should know
 // These values mirror those used by the Swift client for offline replies.
-const BRAND_RULES = {
-  // Permanent
-  'Redken Color Gels Lacquers': { ratio: '1:1', developer: 'Redken Pro‑oxide Cream Developer 10/20/30/40 vol', notes: 'Standard 1:1; 20 vol typical for grey coverage.' },
-  'Wella Koleston Perfect': { ratio: '1:1', developer: 'Welloxon Perfect 3%/6%/9%/12%', notes: 'Core shades 1:1.' },
-  'Wella Illumina Color': { ratio: '1:1', developer: 'Welloxon Perfect 3%/6%/9%', notes: 'Reflective permanent; 1:1 mix.' },
-  'L’Oréal Professionnel Majirel': { ratio: '1:1.5', developer: 'L’Oréal Oxydant Creme', notes: 'Standard Majirel 1:1.5 (High Lift lines may be 1:2).' },
-  'Matrix SoColor Permanent': { ratio: '1:1', developer: 'Matrix Cream Developer 10/20/30/40 vol', notes: 'Standard 1:1 (Ultra.Blonde 1:2; HIB 1:1.5 exceptions).' },
-  'Goldwell Topchic': { ratio: '1:1', developer: 'Goldwell Topchic Developer Lotion 6%/9%/12%', notes: 'Most shades 1:1.' },
-  'Schwarzkopf Igora Royal': { ratio: '1:1', developer: 'IGORA Oil Developer 3%/6%/9%/12%', notes: 'Standard 1:1.' },
-  'Pravana ChromaSilk Permanent Crème Color': { ratio: '1:1.5', developer: 'PRAVANA Crème Developer 10/20/30/40 vol', notes: 'ChromaSilk 1:1.5 (High Lifts 1:2).' },
-  // Demi
-  'Redken Shades EQ': { ratio: '1:1', developer: 'Shades EQ Processing Solution', notes: 'Acidic gloss; up to ~20 minutes typical.' },
-  'Wella Color Touch': { ratio: '1:2', developer: 'Color Touch Emulsion 1.9% || 4%', notes: 'Standard 1:2.' },
-  'Paul Mitchell The Demi': { ratio: '1:1', developer: 'The Demi Processing Liquid', notes: 'Mix 1:1.' },
-  'Matrix SoColor Sync': { ratio: '1:1', developer: 'SoColor Sync Activator', notes: 'Mix 1:1.' },
-  'Goldwell Colorance': { ratio: '2:1', developer: 'Colorance System Developer Lotion 2% (7 vol)', notes: 'Core Colorance 2:1 (lotion:color). **Gloss Tones = 1:1**.' },
-  'Schwarzkopf Igora Vibrance': { ratio: '1:1', developer: 'IGORA VIBRANCE Activator Gel (1.9%/4%) OR Activator Lotion (1.9%/4%)', notes: 'All shades 1:1; name Gel || Lotion.' },
-  'Pravana ChromaSilk Express Tones': { ratio: '1:1.5', developer: 'PRAVANA Zero Lift Creme Developer', notes: '5 minutes only; watch visually. Use shade names (Violet, Platinum, Ash, Beige, Gold, Copper, Rose, Silver, Natural, Clear). Do NOT use level codes.' },
-  // Semi
-  'Wella Color Fresh': { ratio: 'RTU', developer: 'None', notes: 'Ready‑to‑use acidic semi.' },
-  'Goldwell Elumen': { ratio: 'RTU', developer: 'None', notes: 'Use Elumen Prepare/Lock support; no developer.' },
-  'Pravana ChromaSilk Vivids': { ratio: 'RTU', developer: 'None', notes: 'Direct dye; dilute with Clear if needed.' },
-  'Schwarzkopf Chroma ID': { ratio: 'RTU', developer: 'None', notes: 'Direct dye; dilute with Clear Bonding Mask.' },
-  'Matrix SoColor Cult': { ratio: 'RTU', developer: 'None', notes: 'Direct dye (no developer).' }
-};
+// The objects are filled in place on every reload so references held by
+// the helpers below stay valid.
+const BRAND_RULES = {};
+// Shade catalogues keyed by brand name (e.g. 'Redken Shades EQ').
+const SHADE_CATALOGS = {};
+const SHADES_EQ_BRAND = 'Redken Shades EQ';
 
-// Categorised lists for the /brands endpoint
-const DEMI_BRANDS = Object.keys(BRAND_RULES).filter(k => BRAND_RULES[k].ratio !== undefined && BRAND_RULES[k].ratio !== null && BRAND_RULES[k].ratio === '1:1' && BRAND_RULES[k].developer.includes('Processing'));
-// For simplicity, we hard‑code the brand categories separately; you may adjust
-// this if your catalogue grows.
-const PERMANENT_BRANDS = [
-  'Redken Color Gels Lacquers',
-  'Wella Koleston Perfect',
-  'Wella Illumina Color',
-  'L’Oréal Professionnel Majirel',
-  'Matrix SoColor Permanent',
-  'Goldwell Topchic',
-  'Schwarzkopf Igora Royal',
-  'Pravana ChromaSilk Permanent Crème Color'
-];
-const SEMI_BRANDS = [
-  'Wella Color Fresh',
-  'Goldwell Elumen',
-  'Pravana ChromaSilk Vivids',
-  'Schwarzkopf Chroma ID',
-  'Matrix SoColor Cult'
-];
-const DEMI_LIST = [
-  'Redken Shades EQ',
-  'Wella Color Touch',
-  'Paul Mitchell The Demi',
-  'Matrix SoColor Sync',
-  'Goldwell Colorance',
-  'Schwarzkopf Igora Vibrance',
-  'Pravana ChromaSilk Express Tones'
-];
+/**
+ * List the brands in a category ('permanent', 'demi' or 'semi'), in
+ * catalogue order.
+ * @param {string} category
+ * @returns {Array<string>}
+ */
+function brandsInCategory(category) {
+  return Object.keys(BRAND_RULES).filter(name => BRAND_RULES[name].category === category);
+}
+
+/**
+ * Resolve the effective rule for a brand, applying a sub‑line override when
+ * one is named.  Returns null for unknown brands.  Unknown line names fall
+ * back to the brand defaults with line set to null.
+ * @param {string} brand
+ * @param {string} [line]
+ * @returns {Object|null}
+ */
+function resolveBrandRule(brand, line) {
+  const rule = BRAND_RULES[brand];
+  if (!rule) return null;
+  const lines = rule.lines || {};
+  const lineName = line
+    ? Object.keys(lines).find(name => [name, ...(lines[name].aliases || [])]
+      .some(n => n.toLowerCase() === String(line).toLowerCase()))
+    : null;
+  const override = lineName ? lines[lineName] : {};
+  return {
+    brand,
+    line: lineName || null,
+    category: rule.category,
+    ratio: override.ratio || rule.ratio,
+    ratioOrder: override.ratioOrder || rule.ratioOrder || 'color:developer',
+    developer: override.developer || rule.developer,
+    developerVolumes: override.developerVolumes || rule.developerVolumes || [],
+    processingMinutes: override.processingMinutes || rule.processingMinutes,
+    notes: override.notes || rule.notes
+  };
+}
+
+/**
+ * Describe a brand's rules in one line for replies and LLM prompts,
+ * including its sub‑line exceptions.  Example:
+ * "L’Oréal Professionnel Majirel (permanent): mix 1:1.5 with L’Oréal
+ * Oxydant Creme (10/20/30/40 vol); 30–35 min. Exceptions: High Lift 1:2.
+ * Standard Majirel 1:1.5."
+ * @param {string} brand
+ * @returns {string}
+ */
+function describeBrandRule(brand) {
+  const rule = BRAND_RULES[brand];
+  if (!rule) return '';
+  let line;
+  if (/^rtu$/i.test(rule.ratio)) {
+    line = `${brand} (${rule.category}): ready to use, no developer`;
+  } else {
+    const order = rule.ratioOrder === 'developer:color' ? ' (developer:color)' : '';
+    const volumes = rule.developerVolumes && rule.developerVolumes.length
+      ? ` (${rule.developerVolumes.join('/')} vol)`
+      : '';
+    line = `${brand} (${rule.category}): mix ${rule.ratio}${order} with ${rule.developer}${volumes}`;
+  }
+  if (rule.processingMinutes) {
+    const [min, max] = rule.processingMinutes;
+    line += `; ${min === max ? min : `${min}–${max}`} min`;
+  }
+  line += '.';
+  const lines = rule.lines || {};
+  const exceptions = Object.keys(lines).map(name => {
+    const o = lines[name];
+    const parts = [];
+    if (o.ratio) parts.push(o.ratio);
+    if (o.processingMinutes) {
+      const [min, max] = o.processingMinutes;
+      parts.push(`${min === max ? min : `${min}–${max}`} min`);
+    }
+    return `${name} ${parts.join(', ')}`;
+  });
+  if (exceptions.length) line += ` Exceptions: ${exceptions.join('; ')}.`;
+  if (rule.notes) line += ` ${rule.notes}`;
+  return line;
+}
+
+// ---------------------------------------------------------------------------
+// Catalogue loader
+//
+// Brands and shade lines are read from CATALOG_DIR (default ./catalog):
+//   catalog/brands/*.json  { "brands": { "<Brand name>": { rule }, ... } }
+//   catalog/shades/*.json  [ { code, family, name, level, undertone, notes } ]
+// Brand files load in file‑name order, so a regional file can add brands or
+// override a core definition without forking the server.  Every entry is
+// validated; bad entries are skipped and reported, the rest still load.  A
+// reload that yields no valid brands keeps the previous catalogue.  Files are
+// watched for changes (disable with CATALOG_WATCH=0) and admins can force a
+// reload with POST /admin/catalog/reload.
+const CATALOG_DIR = process.env.CATALOG_DIR || fileURLToPath(new URL('./catalog/', import.meta.url));
+const BRAND_CATEGORIES = ['permanent', 'demi', 'semi'];
+const RATIO_REGEX = /^(\d+(?:\.\d+)?:\d+(?:\.\d+)?|RTU)$/i;
+// Summary of the last load, returned by the reload endpoint.
+let catalogStatus = { loadedAt: null, brands: 0, shades: {}, errors: [] };
+
+/**
+ * Check a [min, max] minutes pair.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isMinutesRange(value) {
+  return Array.isArray(value) && value.length === 2
+    && value.every(n => typeof n === 'number' && n >= 0)
+    && value[0] <= value[1];
+}
+
+/**
+ * Check an optional list of non‑empty strings.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim());
+}
+
+/**
+ * Validate one brand rule from a catalogue file.  Returns a list of
+ * problems; an empty list means the rule is usable.
+ * @param {Object} rule
+ * @returns {Array<string>}
+ */
+function validateBrandRule(rule) {
+  const problems = [];
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['must be an object'];
+  }
+  if (!BRAND_CATEGORIES.includes(rule.category)) {
+    problems.push(`category must be one of ${BRAND_CATEGORIES.join(', ')}`);
+  }
+  if (typeof rule.ratio !== 'string' || !RATIO_REGEX.test(rule.ratio.trim())) {
+    problems.push('ratio must look like "1:1.5" or "RTU"');
+  }
+  if (rule.ratioOrder !== undefined && !['color:developer', 'developer:color'].includes(rule.ratioOrder)) {
+    problems.push('ratioOrder must be "color:developer" or "developer:color"');
+  }
+  if (typeof rule.developer !== 'string' || !rule.developer.trim()) {
+    problems.push('developer is required');
+  }
+  if (rule.developerVolumes !== undefined
+    && !(Array.isArray(rule.developerVolumes) && rule.developerVolumes.every(v => typeof v === 'number' && v > 0 && v <= 40))) {
+    problems.push('developerVolumes must be a list of volumes between 1 and 40');
+  }
+  if (!isMinutesRange(rule.processingMinutes)) {
+    problems.push('processingMinutes must be [min, max] with min <= max');
+  }
+  if (rule.aliases !== undefined && !isStringList(rule.aliases)) {
+    problems.push('aliases must be a list of strings');
+  }
+  if (rule.notes !== undefined && typeof rule.notes !== 'string') {
+    problems.push('notes must be a string');
+  }
+  if (rule.shades !== undefined && (typeof rule.shades !== 'string' || !/^[\w.-]+\.json$/.test(rule.shades))) {
+    problems.push('shades must be a .json file name in catalog/shades');
+  }
+  if (rule.lines !== undefined) {
+    if (!rule.lines || typeof rule.lines !== 'object' || Array.isArray(rule.lines)) {
+      problems.push('lines must be an object keyed by line name');
+    } else {
+      for (const [name, line] of Object.entries(rule.lines)) {
+        if (!line || typeof line !== 'object') {
+          problems.push(`line "${name}" must be an object`);
+          continue;
+        }
+        if (line.ratio !== undefined && (typeof line.ratio !== 'string' || !RATIO_REGEX.test(line.ratio.trim()))) {
+          problems.push(`line "${name}" ratio must look like "1:2" or "RTU"`);
+        }
+        if (line.processingMinutes !== undefined && !isMinutesRange(line.processingMinutes)) {
+          problems.push(`line "${name}" processingMinutes must be [min, max]`);
+        }
+        if (line.aliases !== undefined && !isStringList(line.aliases)) {
+          problems.push(`line "${name}" aliases must be a list of strings`);
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validate one shade from a shade catalogue file.  Returns a list of
+ * problems; an empty list means the shade is usable.
+ * @param {Object} shade
+ * @returns {Array<string>}
+ */
+function validateShade(shade) {
+  const problems = [];
+  if (!shade || typeof shade !== 'object' || Array.isArray(shade)) {
+    return ['must be an object'];
+  }
+  for (const field of ['code', 'name', 'family', 'undertone']) {
+    if (typeof shade[field] !== 'string' || !shade[field].trim()) {
+      problems.push(`${field} is required`);
+    }
+  }
+  if (shade.level !== null && !(Number.isInteger(shade.level) && shade.level >= 0 && shade.level <= 12)) {
+    problems.push('level must be a whole number from 0 to 12, or null');
+  }
+  if (shade.notes !== undefined && typeof shade.notes !== 'string') {
+    problems.push('notes must be a string');
+  }
+  return problems;
+}
+
+/**
+ * Read and parse a JSON file, recording a clear error on failure.
+ * @param {string} file
+ * @param {Array<Object>} errors
+ * @returns {*} the parsed value, or undefined
+ */
+function readCatalogFile(file, errors) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    errors.push({ file, message: `could not be read: ${err.message}` });
+    return undefined;
+  }
+}
+
+/**
+ * List the *.json files in a catalogue sub‑directory, sorted by name.
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function listCatalogFiles(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+}
+
+/**
+ * Load the catalogue from CATALOG_DIR and swap it in.  Returns a status
+ * object: { ok, loadedAt, brands, shades, errors }.  Invalid entries are
+ * listed in errors with their file and brand/shade; when nothing valid
+ * loads, the current catalogue is kept and ok is false.
+ * @returns {Object}
+ */
+function loadCatalog() {
+  const errors = [];
+  const brands = {};
+  const brandsDir = join(CATALOG_DIR, 'brands');
+  const shadesDir = join(CATALOG_DIR, 'shades');
+  for (const fileName of listCatalogFiles(brandsDir)) {
+    const file = join(brandsDir, fileName);
+    const data = readCatalogFile(file, errors);
+    if (data === undefined) continue;
+    if (!data || typeof data.brands !== 'object' || Array.isArray(data.brands)) {
+      errors.push({ file, message: 'must contain a "brands" object keyed by brand name' });
+      continue;
+    }
+    for (const [name, rule] of Object.entries(data.brands)) {
+      const problems = validateBrandRule(rule);
+      if (problems.length) {
+        errors.push({ file, brand: name, message: problems.join('; ') });
+        continue;
+      }
+      brands[name] = rule;
+    }
+  }
+  const shades = {};
+  for (const [name, rule] of Object.entries(brands)) {
+    if (!rule.shades) continue;
+    const file = join(shadesDir, rule.shades);
+    const data = readCatalogFile(file, errors);
+    if (data === undefined) continue;
+    if (!Array.isArray(data)) {
+      errors.push({ file, brand: name, message: 'must be an array of shades' });
+      continue;
+    }
+    shades[name] = data.filter((shade, index) => {
+      const problems = validateShade(shade);
+      if (problems.length) {
+        const label = shade && shade.code ? shade.code : `#${index}`;
+        errors.push({ file, shade: label, message: problems.join('; ') });
+        return false;
+      }
+      return true;
+    });
+  }
+  for (const e of errors) {
+    console.error(`Catalogue: ${e.file}${e.brand ? ` [${e.brand}]` : ''}${e.shade ? ` [${e.shade}]` : ''}: ${e.message}`);
+  }
+  if (Object.keys(brands).length === 0) {
+    console.error(`Catalogue: no valid brands in ${CATALOG_DIR}; keeping the current catalogue.`);
+    return { ok: false, ...catalogStatus, errors };
+  }
+  // Swap the new data into the shared objects in place.
+  for (const key of Object.keys(BRAND_RULES)) delete BRAND_RULES[key];
+  Object.assign(BRAND_RULES, brands);
+  for (const key of Object.keys(SHADE_CATALOGS)) delete SHADE_CATALOGS[key];
+  Object.assign(SHADE_CATALOGS, shades);
+  BRAND_WORDS_SET.clear();
+  Object.keys(BRAND_RULES).forEach(brand => {
+    brand.split(/\s+/).forEach(w => BRAND_WORDS_SET.add(w.toLowerCase()));
+  });
+  catalogStatus = {
+    loadedAt: new Date().toISOString(),
+    brands: Object.keys(brands).length,
+    shades: Object.fromEntries(Object.entries(shades).map(([name, list]) => [name, list.length])),
+    errors
+  };
+  return { ok: true, ...catalogStatus };
+}
+
+/**
+ * Reload the catalogue whenever a file under CATALOG_DIR changes.  Editors
+ * often write a file in several steps, so reloads are debounced.
+ */
+function watchCatalog() {
+  let timer = null;
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const status = loadCatalog();
+      console.log(`Catalogue reloaded: ${status.brands} brands, ${status.errors.length} error(s).`);
+    }, 250);
+  };
+  for (const dir of [join(CATALOG_DIR, 'brands'), join(CATALOG_DIR, 'shades')]) {
+    if (!existsSync(dir)) continue;
+    try {
+      watch(dir, schedule);
+    } catch (err) {
+      console.error(`Catalogue: cannot watch ${dir}: ${err.message}`);
+    }
+  }
+}
 
 // Service keywords and verb phrases for simple intent detection
 const SERVICE_KEYWORDS = [
@@ -80,7 +419,11 @@ const SERVICE_KEYWORDS = [
   'consultation', 'appointment', 'style', 'perm', 'updo'
 ];
 const BOOKING_PHRASES = ['book', 'schedule', 'set up', 'set‑up', 'reserve', 'make', 'create appointment', 'add appointment', 'appointment', 'add '];
-const CANCEL_PHRASES = ['cancel appointment', 'cancel', 'delete appointment', 'remove appointment', 'reschedule'];
+const CANCEL_PHRASES = ['cancel appointment', 'cancel', 'delete appointment', 'remove appointment'];
+// Verbs that move or change an existing appointment.  Matched as whole
+// words so "remove" doesn't read as "move".
+const RESCHEDULE_PHRASES = ['reschedule', 'move', 'push', 'bump', 'shift', 'change', 'modify'];
+const RESCHEDULE_REGEX = new RegExp(`\\b(?:${RESCHEDULE_PHRASES.join('|')})\\b`);
 const CREATE_CLIENT_PHRASES = ['new client', 'add client', 'add a client', 'add new client', 'create client', 'register client'];
 const DELETE_CLIENT_PHRASES = ['delete client', 'remove client', 'cancel client'];
 
@@ -108,833 +451,4808 @@ function isQuestionLike(text) {
 }
 
 // Sets used to ignore certain tokens when extracting names
-const GENERIC_WORDS = new Set(['i','me','you','we','us','they','them','he','she','it','my','our','your','their','clients','client','appointment','appointments','book','schedule','cancel','delete','add','new','remove','for','at','on','in','the','a','an']);
+const GENERIC_WORDS = new Set(['i','me','you','we','us','they','them','he','she','it','my','our','your','their','clients','client','appointment','appointments','book','schedule','cancel','delete','add','new','remove','for','at','on','in','the','a','an','every','starting','until']);
 const DAYS_OF_WEEK = ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'];
 const VERB_SET = new Set([
   ...BOOKING_PHRASES.flatMap(p => p.toLowerCase().split(/\s+/)),
   ...CANCEL_PHRASES.flatMap(p => p.toLowerCase().split(/\s+/)),
+  ...RESCHEDULE_PHRASES,
   ...CREATE_CLIENT_PHRASES.flatMap(p => p.toLowerCase().split(/\s+/)),
   ...DELETE_CLIENT_PHRASES.flatMap(p => p.toLowerCase().split(/\s+/))
 ]);
 const SERVICE_SET = new Set(SERVICE_KEYWORDS.map(s => s.toLowerCase()));
-const BRAND_WORDS_SET = (() => {
-  const s = new Set();
-  Object.keys(BRAND_RULES).forEach(brand => {
-    brand.split(/\s+/).forEach(w => s.add(w.toLowerCase()));
-  });
-  return s;
-})();
+// Words from brand names, refreshed whenever the catalogue reloads.
+const BRAND_WORDS_SET = new Set();
 
 // ---------------------------------------------------------------------------
-// Utilities for friendly summaries and simple analytics
+// Salon schedule: service durations, working hours and breaks
 //
-// These helpers support proper‑casing strings, formatting dates/times for
-// human‑readable summaries and building concise action responses.  They also
-// handle count, listing and aggregate queries before invoking the LLM.  See
-// assistantResponse() for integration.
+// Bookings are checked against the stylist's day so the assistant can warn
+// about double‑bookings and out‑of‑hours slots.  DEFAULT_SCHEDULE holds the
+// defaults; a JSON file at SCHEDULE_FILE (default ./config/schedule.json)
+// may override any of its keys:
+//   { "durations":      { "balayage": 180, "trim": 30 },  // minutes
+//     "defaultDuration": 60,
+//     "workingHours":   { "mon": ["09:00", "18:00"], "sun": null },
+//     "breaks":         [ { "start": "13:00", "end": "13:30", "days": ["sat"] } ],
+//     "slotMinutes":    15,
+//     "weekStart":      "sun" }
+// Duration keys are SERVICE_KEYWORDS entries and merge with the defaults;
+// working hours replace the defaults day by day (null = closed); a break
+// without "days" applies every day.  Clock times are local to the stylist's
+// timezone.  weekStart ("sun" or "mon") decides what "this week" means.
+const SCHEDULE_FILE = process.env.SCHEDULE_FILE || fileURLToPath(new URL('./config/schedule.json', import.meta.url));
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CLOCK_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_SCHEDULE = {
+  durations: {
+    'balayage': 180, 'haircut': 45, 'hair cut': 45, 'color': 120, 'colour': 120,
+    'highlights': 150, 'highlight': 150, 'trim': 30, 'blowout': 45, 'blow‑dry': 45,
+    'root touchup': 90, 'root touch up': 90, 'toner': 45, 'extensions': 180,
+    'consultation': 15, 'appointment': 60, 'style': 60, 'perm': 150, 'updo': 60
+  },
+  defaultDuration: 60,
+  workingHours: {
+    sun: null,
+    mon: ['09:00', '18:00'],
+    tue: ['09:00', '18:00'],
+    wed: ['09:00', '18:00'],
+    thu: ['09:00', '18:00'],
+    fri: ['09:00', '18:00'],
+    sat: ['09:00', '18:00']
+  },
+  breaks: [],
+  slotMinutes: 15,
+  weekStart: 'sun'
+};
+// The schedule in effect; filled in place by loadSchedule().
+const SCHEDULE = structuredClone(DEFAULT_SCHEDULE);
 
 /**
- * Proper‑case a phrase by capitalising the first letter of each word and
- * lower‑casing the rest.  Hyphenated and multi‑word phrases are treated as
- * separate words.  Example: "brazilian blowout" → "Brazilian Blowout".
- * @param {string} str
- * @returns {string}
+ * Convert 'HH:MM' to minutes after midnight, or null when malformed.
+ * @param {string} clock
+ * @returns {number|null}
  */
-function properCase(str) {
-  if (!str) return str;
-  return String(str).split(/\s+/).map(w => {
-    if (!w) return '';
-    return w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
-  }).join(' ');
+function parseClock(clock) {
+  const m = typeof clock === 'string' ? clock.trim().match(CLOCK_REGEX) : null;
+  return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : null;
 }
 
 /**
- * Format an ISO date string into a concise human‑friendly string in the given
- * timezone.  The output uses the pattern "Mon, Sep 30 • 2:00 PM".  If the
- * date cannot be parsed, returns null.
- * @param {string} iso
- * @param {string} timezone
- * @returns {string|null}
+ * Check that a value is a ['HH:MM', 'HH:MM'] pair with start before end.
+ * @param {*} value
+ * @returns {boolean}
  */
-function formatDateForSummary(iso, timezone) {
-  if (!iso) return null;
-  const d = new Date(iso);
-  if (isNaN(d.getTime())) return null;
-  const fmt = new Intl.DateTimeFormat('en-US', {
-    timeZone: timezone,
-    weekday: 'short',
-    month: 'short',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: 'numeric',
-    hour12: true
-  });
-  const parts = fmt.formatToParts(d);
-  const get = (type) => {
-    const p = parts.find(pr => pr.type === type);
-    return p && p.value;
-  };
-  const weekday = get('weekday');
-  const month = get('month');
-  const day = get('day');
-  const hour = get('hour');
-  const minute = get('minute');
-  const dayPeriod = get('dayPeriod');
-  if (!weekday || !month || !day || !hour || !minute) return null;
-  // Ensure minute is two digits
-  const minStr = minute.toString().padStart(2, '0');
-  const time = `${hour}:${minStr} ${dayPeriod}`;
-  return `${weekday}, ${month} ${day} • ${time}`;
+function isClockRange(value) {
+  if (!Array.isArray(value) || value.length !== 2) return false;
+  const [start, end] = value.map(parseClock);
+  return start !== null && end !== null && start < end;
 }
 
 /**
- * Build a friendly summary of proposed actions.  When multiple actions
- * appear, returns one line per action separated by newlines.  Titles are
- * proper‑cased and dates are formatted in the stylist's timezone.
- * @param {Array<{type:string,payload:Object}>} actions
- * @param {string} timezone
- * @returns {string}
+ * Validate a schedule file.  Returns a list of problems; an empty list
+ * means the file is usable.
+ * @param {Object} data
+ * @returns {Array<string>}
  */
-function summarizeActions(actions, timezone) {
-  const lines = [];
-  for (const act of actions) {
-    const payload = act.payload || {};
-    switch (act.type) {
-      case 'createClient': {
-        const name = payload.name;
-        if (name) {
-          lines.push(`✅ Added client ${name}.`);
+function validateSchedule(data) {
+  const problems = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['must be an object'];
+  }
+  if (data.durations !== undefined) {
+    if (!data.durations || typeof data.durations !== 'object' || Array.isArray(data.durations)) {
+      problems.push('durations must be an object of service → minutes');
+    } else {
+      for (const [service, minutes] of Object.entries(data.durations)) {
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+          problems.push(`duration for "${service}" must be a positive whole number of minutes`);
         }
-        break;
       }
-      case 'deleteClient': {
-        const name = payload.name;
-        if (name) {
-          lines.push(`🗑️ Removed client ${name}.`);
+    }
+  }
+  if (data.defaultDuration !== undefined && !(Number.isInteger(data.defaultDuration) && data.defaultDuration > 0)) {
+    problems.push('defaultDuration must be a positive whole number of minutes');
+  }
+  if (data.workingHours !== undefined) {
+    if (!data.workingHours || typeof data.workingHours !== 'object' || Array.isArray(data.workingHours)) {
+      problems.push('workingHours must be an object keyed by day (sun … sat)');
+    } else {
+      for (const [day, hours] of Object.entries(data.workingHours)) {
+        if (!WEEKDAY_KEYS.includes(day)) {
+          problems.push(`workingHours day "${day}" must be one of ${WEEKDAY_KEYS.join(', ')}`);
+        } else if (hours !== null && !isClockRange(hours)) {
+          problems.push(`workingHours for ${day} must be ["HH:MM", "HH:MM"] or null`);
         }
-        break;
       }
-      case 'createAppointment': {
-        let title = null;
-        if (payload.serviceType) {
-          title = properCase(payload.serviceType);
-        } else if (payload.title) {
-          title = properCase(payload.title);
-        } else {
-          title = 'Appointment';
+    }
+  }
+  if (data.breaks !== undefined) {
+    if (!Array.isArray(data.breaks)) {
+      problems.push('breaks must be a list');
+    } else {
+      data.breaks.forEach((b, i) => {
+        if (!b || !isClockRange([b.start, b.end])) {
+          problems.push(`break #${i} needs "start" and "end" as HH:MM with start before end`);
         }
-        const when = payload.dateISO ? formatDateForSummary(payload.dateISO, timezone) : null;
-        const client = payload.clientName;
-        let line = `✅ Booked ${title}`;
-        if (client) line += ` for ${client}`;
-        if (when) line += ` on ${when}`;
-        line += '.';
-        lines.push(line);
-        break;
-      }
-      case 'deleteAppointment': {
-        let title = null;
-        if (payload.serviceType) {
-          title = properCase(payload.serviceType);
-        } else if (payload.title) {
-          title = properCase(payload.title);
-        } else {
-          title = 'Appointment';
+        if (b && b.days !== undefined && !(Array.isArray(b.days) && b.days.every(d => WEEKDAY_KEYS.includes(d)))) {
+          problems.push(`break #${i} days must list days from ${WEEKDAY_KEYS.join(', ')}`);
         }
-        const when = payload.dateISO ? formatDateForSummary(payload.dateISO, timezone) : null;
-        const client = payload.clientName;
-        let line = `🗑️ Canceled ${title}`;
-        if (client) line += ` for ${client}`;
-        if (when) line += ` on ${when}`;
-        line += '.';
-        lines.push(line);
-        break;
-      }
-      default:
-        break;
+      });
     }
   }
-  return lines.join('\n');
+  if (data.slotMinutes !== undefined && !(Number.isInteger(data.slotMinutes) && data.slotMinutes >= 5 && data.slotMinutes <= 120)) {
+    problems.push('slotMinutes must be a whole number from 5 to 120');
+  }
+  if (data.weekStart !== undefined && !['sun', 'mon'].includes(data.weekStart)) {
+    problems.push('weekStart must be "sun" or "mon"');
+  }
+  return problems;
 }
 
 /**
- * Handle count queries (how many clients or appointments).  Returns a reply
- * string if the message matches a count intent; otherwise returns null.
- * Appointments can be filtered by today, tomorrow, this week or this month.
- * @param {string} lower
- * @param {Object} context
- * @param {string} timezone
- * @returns {string|null}
+ * Load SCHEDULE_FILE over the defaults.  A missing file means the defaults;
+ * an invalid one is reported and ignored.
  */
-function handleCounts(lower, context, timezone) {
-  const clients = Array.isArray(context.clients) ? context.clients : [];
-  const appts = Array.isArray(context.appointments) ? context.appointments : [];
-  // Client count
-  if (/\b(how many|number of)\s+clients\b/.test(lower) || /\bclient count\b/.test(lower)) {
-    return `You have ${clients.length} client${clients.length === 1 ? '' : 's'}.`;
+function loadSchedule() {
+  if (!existsSync(SCHEDULE_FILE)) return;
+  const errors = [];
+  const data = readCatalogFile(SCHEDULE_FILE, errors);
+  const problems = data === undefined ? errors.map(e => e.message) : validateSchedule(data);
+  if (problems.length) {
+    console.error(`Schedule: ${SCHEDULE_FILE}: ${problems.join('; ')}; using the defaults.`);
+    return;
   }
-  // Appointment count
-  if (/\b(how many|number of)\s+appointments\b/.test(lower) || /\bappointment count\b/.test(lower)) {
-    // Determine timeframe
-    const now = new Date();
-    const list = appts.map(a => {
-      const iso = a.dateISO || (typeof a.dateISO === 'string' ? a.dateISO : (a.dateISO ? a.dateISO : null));
-      return { date: iso ? new Date(iso) : null };
+  Object.assign(SCHEDULE.durations, data.durations || {});
+  if (data.defaultDuration) SCHEDULE.defaultDuration = data.defaultDuration;
+  Object.assign(SCHEDULE.workingHours, data.workingHours || {});
+  if (data.breaks) SCHEDULE.breaks = data.breaks;
+  if (data.slotMinutes) SCHEDULE.slotMinutes = data.slotMinutes;
+  if (data.weekStart) SCHEDULE.weekStart = data.weekStart;
+}
+
+/**
+ * Parse the span of time a message asks about (see parseTimeWindow() in
+ * dates.mjs) using the salon's week start.
+ * @param {string} text
+ * @param {string} timezone
+ * @param {string} [nowIso]
+ * @returns {Object|null}
+ */
+function timeWindow(text, timezone, nowIso) {
+  return parseTimeWindow(text, { timezone, now: nowIso, weekStart: WEEKDAY_KEYS.indexOf(SCHEDULE.weekStart) });
+}
+
+/**
+ * Default length of a service in minutes.  Matches the longest duration key
+ * contained in the service name, so "root touch up + toner" counts as a
+ * root touch up.
+ * @param {string} [service]
+ * @returns {number}
+ */
+function serviceDuration(service) {
+  const lower = String(service || '').toLowerCase().trim();
+  if (!lower) return SCHEDULE.defaultDuration;
+  if (SCHEDULE.durations[lower]) return SCHEDULE.durations[lower];
+  const key = Object.keys(SCHEDULE.durations)
+    .sort((a, b) => b.length - a.length)
+    .find(k => lower.includes(k));
+  return key ? SCHEDULE.durations[key] : SCHEDULE.defaultDuration;
+}
+
+/**
+ * Length of an appointment in minutes: its own durationMinutes when set,
+ * otherwise the default for its service (or title).
+ * @param {Object} appt
+ * @returns {number}
+ */
+function appointmentDuration(appt) {
+  if (Number.isInteger(appt.durationMinutes) && appt.durationMinutes > 0) return appt.durationMinutes;
+  return serviceDuration(appt.serviceType || appt.title);
+}
+
+/**
+ * The local calendar day, weekday key and minutes after midnight of an
+ * instant in the given timezone.
+ * @param {number} ms
+ * @param {string} timezone
+ * @returns {{dateKey:string, weekday:string, minutes:number}}
+ */
+function localClock(ms, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+    weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+  }).formatToParts(new Date(ms));
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: get('weekday').toLowerCase().slice(0, 3),
+    minutes: (parseInt(get('hour'), 10) % 24) * 60 + parseInt(get('minute'), 10)
+  };
+}
+
+/**
+ * The instant a local clock time falls on for a given day.
+ * @param {string} dateKey 'YYYY-MM-DD'
+ * @param {number} minutes minutes after midnight
+ * @param {string} timezone
+ * @returns {number} epoch milliseconds
+ */
+function instantForClock(dateKey, minutes, timezone) {
+  const [y, m, d] = dateKey.split('-').map(n => parseInt(n, 10));
+  return Date.parse(localTimeToUTCISO(y, m, d, Math.floor(minutes / 60), minutes % 60, timezone));
+}
+
+/**
+ * The bookable windows of a day: working hours with breaks cut out.
+ * Returns [] when the salon is closed.
+ * @param {string} dateKey
+ * @param {string} timezone
+ * @returns {Array<{start:number, end:number}>}
+ */
+function openWindows(dateKey, timezone) {
+  const [y, m, d] = dateKey.split('-').map(n => parseInt(n, 10));
+  const weekday = WEEKDAY_KEYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+  const hours = SCHEDULE.workingHours[weekday];
+  if (!hours) return [];
+  let windows = [{ start: parseClock(hours[0]), end: parseClock(hours[1]) }];
+  for (const b of SCHEDULE.breaks) {
+    if (b.days && !b.days.includes(weekday)) continue;
+    const bs = parseClock(b.start);
+    const be = parseClock(b.end);
+    windows = windows.flatMap(w => {
+      if (be <= w.start || bs >= w.end) return [w];
+      return [{ start: w.start, end: bs }, { start: be, end: w.end }].filter(x => x.end > x.start);
     });
-    const lc = lower;
-    const startOfDay = (d) => {
-      const t = new Date(d);
-      t.setHours(0, 0, 0, 0);
-      return t;
-    };
-    const addDays = (d, n) => {
-      const t = new Date(d);
-      t.setDate(t.getDate() + n);
-      return t;
-    };
-    const startOfWeek = (d) => {
-      const t = new Date(d);
-      const day = t.getDay();
-      t.setDate(t.getDate() - day);
-      t.setHours(0, 0, 0, 0);
-      return t;
-    };
-    const startOfMonth = (d) => {
-      return new Date(d.getFullYear(), d.getMonth(), 1, 0, 0, 0, 0);
-    };
-    let start = null;
-    let end = null;
-    if (lc.includes('today')) {
-      start = startOfDay(now);
-      end = addDays(start, 1);
-    } else if (lc.includes('tomorrow')) {
-      start = startOfDay(addDays(now, 1));
-      end = addDays(start, 1);
-    } else if (lc.includes('this week')) {
-      start = startOfWeek(now);
-      end = addDays(start, 7);
-    } else if (lc.includes('this month')) {
-      start = startOfMonth(now);
-      end = new Date(now.getFullYear(), now.getMonth() + 1, 1, 0, 0, 0, 0);
-    }
-    let count = 0;
-    if (start && end) {
-      for (const item of list) {
-        if (item.date && item.date >= start && item.date < end) {
-          count++;
-        }
-      }
-      const frame = lc.includes('today') ? 'today' : lc.includes('tomorrow') ? 'tomorrow' : lc.includes('this week') ? 'this week' : 'this month';
-      return `You have ${count} appointment${count === 1 ? '' : 's'} ${frame}.`;
-    } else {
-      // Total appointments
-      return `You have ${appts.length} appointment${appts.length === 1 ? '' : 's'}.`;
-    }
   }
-  return null;
+  return windows.map(w => ({
+    start: instantForClock(dateKey, w.start, timezone),
+    end: instantForClock(dateKey, w.end, timezone)
+  }));
 }
 
 /**
- * Handle listing queries such as "upcoming appointments", "what’s next",
- * "next 5 appointments" or "appointments on Monday/September 30".  Returns a
- * reply string or null.  The appointments are sorted ascending and formatted
- * using the same summary rules.
- * @param {string} lower
- * @param {Object} context
+ * Busy intervals for a list of appointments, skipping any without a date.
+ * @param {Array<Object>} appointments
+ * @returns {Array<{start:number, end:number, appt:Object}>}
+ */
+function busyIntervals(appointments) {
+  return (appointments || [])
+    .map(appt => {
+      const start = Date.parse(appt.dateISO);
+      return { start, end: start + appointmentDuration(appt) * 60000, appt };
+    })
+    .filter(b => !isNaN(b.start));
+}
+
+/**
+ * Format the clock time of an instant ("2:00 PM").
+ * @param {number} ms
  * @param {string} timezone
- * @param {string} nowIso
- * @returns {string|null}
+ * @returns {string}
  */
-function handleListings(lower, context, timezone, nowIso) {
-  const appts = Array.isArray(context.appointments) ? context.appointments : [];
-  const list = appts.map(a => {
-    const iso = a.dateISO || (typeof a.dateISO === 'string' ? a.dateISO : (a.dateISO ? a.dateISO : null));
-    return {
-      date: iso ? new Date(iso) : null,
-      title: a.title,
-      clientName: a.clientName
-    };
-  }).filter(it => it.date);
-  list.sort((a, b) => a.date - b.date);
-  const now = nowIso ? new Date(nowIso) : new Date();
-  if (/\b(what\'?s next|whats next|upcoming appointments)\b/.test(lower) || (/\bnext\b/.test(lower) && /\bappointments\b/.test(lower))) {
-    let num = 5;
-    const nextMatch = lower.match(/next\s+(\d+)/);
-    if (nextMatch && nextMatch[1]) {
-      const n = parseInt(nextMatch[1], 10);
-      if (!isNaN(n) && n > 0) {
-        num = n;
+function formatClock(ms, timezone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true })
+    .format(new Date(ms));
+}
+
+/**
+ * Find the free slots nearest to a requested start.  Candidates step by
+ * SCHEDULE.slotMinutes through each day's open windows, from the day
+ * before the requested one and looking `days` ahead; slots before `notBefore` or
+ * overlapping a busy interval are skipped.  The `limit` nearest slots, at
+ * least an hour (or one duration) apart, are returned in time order.
+ * @param {Object} options
+ * @param {number} options.durationMinutes
+ * @param {Array<Object>} options.appointments
+ * @param {string} options.timezone
+ * @param {number} options.near requested start (epoch ms)
+ * @param {number} [options.notBefore] earliest allowed start (epoch ms)
+ * @param {number} [options.days=7]
+ * @param {number} [options.limit=3]
+ * @returns {Array<number>} slot starts (epoch ms)
+ */
+function findFreeSlots({ durationMinutes, appointments, timezone, near, notBefore = -Infinity, days = 7, limit = 3 }) {
+  const busy = busyIntervals(appointments);
+  const length = durationMinutes * 60000;
+  const step = SCHEDULE.slotMinutes * 60000;
+  // Start a day early so "Sunday 5pm" can suggest late Saturday.
+  const firstDay = localClock(Math.max(near - 24 * 60 * 60000, notBefore), timezone).dateKey;
+  const slots = [];
+  for (let i = 0; i < days; i++) {
+    for (const w of openWindows(addDaysToKey(firstDay, i), timezone)) {
+      for (let t = w.start; t + length <= w.end; t += step) {
+        if (t < notBefore) continue;
+        if (busy.some(b => t < b.end && b.start < t + length)) continue;
+        slots.push(t);
       }
     }
-    const upcoming = list.filter(item => item.date >= now).slice(0, num);
-    if (upcoming.length === 0) {
-      return `You have no upcoming appointments.`;
-    }
-    const lines = upcoming.map(item => {
-      const when = formatDateForSummary(item.date.toISOString(), timezone);
-      const t = properCase(item.title || 'Appointment');
-      if (item.clientName) {
-        return `${t} for ${item.clientName} on ${when}`;
-      } else {
-        return `${t} on ${when}`;
-      }
-    });
-    return `Your next ${upcoming.length} appointment${upcoming.length === 1 ? '' : 's'}:\n` + lines.join('\n');
   }
-  const onMatch = lower.match(/appointments on ([^\?\.\!]+)/);
-  if (onMatch && onMatch[1]) {
-    const datePhrase = onMatch[1].trim();
-    const iso = parseDateTime(datePhrase, timezone, nowIso);
-    if (iso) {
-      const target = new Date(iso);
-      const start = new Date(target);
-      start.setHours(0, 0, 0, 0);
-      const end = new Date(start);
-      end.setDate(end.getDate() + 1);
-      const matches = list.filter(item => item.date >= start && item.date < end);
-      const heading = formatDateForSummary(start.toISOString(), timezone);
-      if (matches.length === 0) {
-        return `No appointments on ${heading ? heading.split(' •')[0] : datePhrase}.`;
+  // Nearest first, but spread out so the suggestions are real alternatives
+  // rather than 2:00, 2:15 and 2:30.
+  const gap = Math.max(length, 60 * 60000);
+  const picked = [];
+  for (const t of slots.sort((a, b) => Math.abs(a - near) - Math.abs(b - near))) {
+    if (picked.length >= limit) break;
+    if (picked.some(p => Math.abs(p - t) < gap)) continue;
+    picked.push(t);
+  }
+  return picked.sort((a, b) => a - b);
+}
+
+/**
+ * Format a length in minutes as "45 min", "2 h" or "1 h 30 min".
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (h === 0) return `${m} min`;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
+
+/**
+ * Open gaps in the working day between appointments, day by day.  Gaps
+ * are clipped to the part of day when given, never start before
+ * `notBefore` (rounded up to the slot grid) and are dropped when shorter
+ * than `minMinutes`.
+ * @param {Object} options
+ * @param {Array<Object>} options.appointments
+ * @param {string} options.timezone
+ * @param {string} options.from first day, 'YYYY-MM-DD'
+ * @param {number} [options.days=7]
+ * @param {string} [options.partOfDay] 'morning', 'afternoon' or 'evening'
+ * @param {number} [options.minMinutes=30]
+ * @param {number} [options.notBefore] epoch ms
+ * @returns {Array<{start:number, end:number}>}
+ */
+function findOpenGaps({ appointments, timezone, from, days = 7, partOfDay, minMinutes = 30, notBefore = -Infinity }) {
+  const busy = busyIntervals(appointments).sort((a, b) => a.start - b.start);
+  const step = SCHEDULE.slotMinutes * 60000;
+  const earliest = Math.ceil(notBefore / step) * step;
+  const gaps = [];
+  for (let i = 0; i < days; i++) {
+    const dateKey = addDaysToKey(from, i);
+    let windows = openWindows(dateKey, timezone);
+    if (partOfDay) {
+      const [ps, pe] = PARTS_OF_DAY[partOfDay];
+      const partStart = instantForClock(dateKey, ps, timezone);
+      const partEnd = pe >= 24 * 60 ? instantForClock(addDaysToKey(dateKey, 1), 0, timezone) : instantForClock(dateKey, pe, timezone);
+      windows = windows
+        .map(w => ({ start: Math.max(w.start, partStart), end: Math.min(w.end, partEnd) }))
+        .filter(w => w.end > w.start);
+    }
+    for (const w of windows) {
+      let cursor = Math.max(w.start, earliest);
+      for (const b of busy) {
+        if (b.end <= cursor || b.start >= w.end) continue;
+        if (b.start > cursor) gaps.push({ start: cursor, end: b.start });
+        cursor = Math.max(cursor, b.end);
       }
-      const lines = matches.map(item => {
-        const when = formatDateForSummary(item.date.toISOString(), timezone);
-        const t = properCase(item.title || 'Appointment');
-        if (item.clientName) {
-          return `${t} for ${item.clientName} on ${when}`;
-        } else {
-          return `${t} on ${when}`;
-        }
-      });
-      return `Appointments on ${heading ? heading.split(' •')[0] : datePhrase}:\n` + lines.join('\n');
+      if (cursor < w.end) gaps.push({ start: cursor, end: w.end });
     }
   }
-  return null;
+  return gaps.filter(g => g.end - g.start >= minMinutes * 60000);
 }
 
 /**
- * Handle aggregate queries such as "most booked client this month/week".
- * Returns a reply string or null.  If multiple clients tie, lists them.
- * @param {string} lower
- * @param {Object} context
- * @returns {string|null}
+ * Compute open gaps for GET /availability and the "when can I fit…"
+ * intent.  The minimum gap is the explicit duration, else the service's
+ * default duration, else 30 minutes.  Returns { error, detail } for bad
+ * input.
+ * @param {Object} input
+ * @param {Array<Object>} input.appointments
+ * @param {string} input.timezone
+ * @param {string} [input.from] first day, 'YYYY-MM-DD' (default today)
+ * @param {number} [input.days=7] number of days, 1–31
+ * @param {string} [input.service]
+ * @param {number} [input.durationMinutes]
+ * @param {string} [input.partOfDay]
+ * @param {string} [input.nowISO]
+ * @returns {Object}
  */
-function handleAggregates(lower, context) {
-  if (!/\bmost booked client\b/.test(lower)) {
-    return null;
+function computeAvailability(input) {
+  const { appointments = [], timezone, service, partOfDay } = input;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    return { error: 'invalid_timezone', detail: `Unknown timezone ${timezone}` };
   }
-  const appts = Array.isArray(context.appointments) ? context.appointments : [];
-  let range = null; // 'week' or 'month'
-  if (lower.includes('this week')) range = 'week';
-  else if (lower.includes('this month')) range = 'month';
-  const now = new Date();
-  let start = null;
-  if (range === 'week') {
-    const t = new Date(now);
-    const day = t.getDay();
-    t.setDate(t.getDate() - day);
-    t.setHours(0, 0, 0, 0);
-    start = t;
-  } else if (range === 'month') {
-    start = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0);
+  const now = Date.parse(input.nowISO || new Date().toISOString());
+  const from = input.from || localClock(now, timezone).dateKey;
+  // Date.parse() rolls 2026-02-31 over into March; only real days pass.
+  if (!dayArgument(from)) {
+    return { error: 'invalid_date', detail: 'from must be a date like 2025-09-30' };
   }
-  const counts = {};
-  for (const a of appts) {
-    const name = a.clientName;
-    const iso = a.dateISO || a.date;
-    if (!name) continue;
-    let include = true;
-    if (start && iso) {
-      const d = new Date(iso);
-      if (range === 'week') {
-        const end = new Date(start);
-        end.setDate(end.getDate() + 7);
-        include = d >= start && d < end;
-      } else if (range === 'month') {
-        const end = new Date(start.getFullYear(), start.getMonth() + 1, 1, 0, 0, 0, 0);
-        include = d >= start && d < end;
-      }
-    }
-    if (!include) continue;
-    counts[name] = (counts[name] || 0) + 1;
+  const days = input.days === undefined ? 7 : Number(input.days);
+  if (!Number.isInteger(days) || days < 1 || days > 31) {
+    return { error: 'invalid_days', detail: 'days must be a whole number from 1 to 31' };
   }
-  const entries = Object.entries(counts);
-  if (entries.length === 0) {
-    return range ? `No appointments ${range === 'week' ? 'this week' : 'this month'}.` : `No appointments.`;
+  if (partOfDay !== undefined && !PARTS_OF_DAY[partOfDay]) {
+    return { error: 'invalid_part', detail: `part must be one of ${Object.keys(PARTS_OF_DAY).join(', ')}` };
   }
-  let max = 0;
-  for (const [, count] of entries) {
-    if (count > max) max = count;
+  let durationMinutes = null;
+  if (input.durationMinutes !== undefined) {
+    durationMinutes = Number(input.durationMinutes);
+    if (!Number.isInteger(durationMinutes) || durationMinutes <= 0 || durationMinutes > 24 * 60) {
+      return { error: 'invalid_duration', detail: 'duration must be a whole number of minutes up to 24 hours' };
+    }
+  } else if (service) {
+    durationMinutes = serviceDuration(service);
   }
-  const top = entries.filter(([name, count]) => count === max).map(([name]) => name);
-  const rangeLabel = range === 'week' ? 'This week' : range === 'month' ? 'This month' : '';
-  if (top.length === 1) {
-    return `${rangeLabel ? rangeLabel + ': ' : ''}${top[0]} (${max}).`;
-  } else {
-    return `${rangeLabel ? rangeLabel + ': ' : ''}${top.join(', ')} (${max}).`;
+  const gaps = findOpenGaps({
+    appointments,
+    timezone,
+    from,
+    days,
+    partOfDay,
+    minMinutes: durationMinutes || 30,
+    notBefore: now
+  });
+  return {
+    timezone,
+    from,
+    days,
+    service: service || null,
+    durationMinutes,
+    partOfDay: partOfDay || null,
+    gaps: gaps.map(g => ({
+      start: new Date(g.start).toISOString(),
+      end: new Date(g.end).toISOString(),
+      minutes: Math.round((g.end - g.start) / 60000)
+    }))
+  };
+}
+
+/**
+ * Check a proposed slot against working hours, breaks and other
+ * appointments.  Returns human‑readable warnings (empty when the slot is
+ * clear).  `label` prefixes each warning, e.g. with the visit's date.
+ * @param {number} start epoch ms
+ * @param {number} durationMinutes
+ * @param {Array<Object>} appointments
+ * @param {string} timezone
+ * @param {string} [label]
+ * @returns {Array<string>}
+ */
+function slotConflicts(start, durationMinutes, appointments, timezone, label = '') {
+  const warnings = [];
+  const end = start + durationMinutes * 60000;
+  for (const b of busyIntervals(appointments)) {
+    if (start < b.end && b.start < end) {
+      const who = b.appt.clientName ? ` for ${b.appt.clientName}` : '';
+      warnings.push(`⚠️ ${label}Overlaps ${properCase(b.appt.title || b.appt.serviceType || 'Appointment')}${who} (${formatClock(b.start, timezone)}–${formatClock(b.end, timezone)}).`);
+    }
+  }
+  const { dateKey, weekday } = localClock(start, timezone);
+  const hours = SCHEDULE.workingHours[weekday];
+  const dayName = DAYS_OF_WEEK[WEEKDAY_KEYS.indexOf(weekday)];
+  if (!hours) {
+    warnings.push(`⚠️ ${label}You’re not working on ${properCase(dayName)}s.`);
+    return warnings;
+  }
+  const windows = openWindows(dateKey, timezone);
+  if (!windows.some(w => start >= w.start && end <= w.end)) {
+    const open = instantForClock(dateKey, parseClock(hours[0]), timezone);
+    const close = instantForClock(dateKey, parseClock(hours[1]), timezone);
+    if (start < open || end > close) {
+      warnings.push(`⚠️ ${label}Outside working hours (${formatClock(open, timezone)}–${formatClock(close, timezone)} on ${properCase(dayName)}s).`);
+    } else {
+      warnings.push(`⚠️ ${label}Runs into a break.`);
+    }
   }
+  return warnings;
 }
 
-// ----------------------------------------------------------------------------
-// Helper: parse JSON body with size limit
-function readJson(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk;
-      if (body.length > 1e6) {
-        req.socket.destroy();
-        reject(new Error('Payload too large'));
+/**
+ * Add durations, conflict warnings and nearby free slots to a result whose
+ * actions book or move appointments.  Appointments the same batch cancels
+ * or moves don't count as conflicts; a new recurring series is checked per
+ * visit (without slot suggestions).  Sets result.suggestedSlots to the ISO
+ * starts of the nearest free slots when there is a conflict.
+ * @param {{actions:Array, warnings:Array}} result
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowISO
+ */
+function addScheduleWarnings(result, context, timezone, nowISO) {
+  const vacated = result.actions.flatMap(a => {
+    if (a.type === 'deleteAppointment' && a.payload.dateISO) return [a.payload];
+    if (a.type === 'updateAppointment' && a.payload.fromISO) {
+      return [{ id: a.payload.appointmentId, clientName: a.payload.clientName, dateISO: a.payload.fromISO, dateOnly: a.payload.fromDateOnly }];
+    }
+    return [];
+  });
+  const appointments = (context.appointments || []).filter(appt => !vacated.some(v =>
+    (v.id && v.id === appt.id)
+    || ((v.dateOnly
+      ? localDateKey(v.dateISO, timezone) === localDateKey(appt.dateISO, timezone)
+      : Math.abs(Date.parse(v.dateISO) - Date.parse(appt.dateISO)) < 60000)
+      && (!v.clientName || String(appt.clientName || '').toLowerCase() === v.clientName.toLowerCase()))));
+  for (const act of result.actions) {
+    let slot;
+    if (act.type === 'createAppointment' && act.payload.dateISO) {
+      slot = act.payload;
+    } else if (act.type === 'updateAppointment' && act.payload.changes) {
+      const { changes } = act.payload;
+      if (!changes.dateISO && !changes.serviceType) continue;
+      // The time of a move to a bare day is only known at commit.
+      if (changes.dateOnly) continue;
+      // A new service brings its own length; a plain move keeps the old one.
+      if (changes.serviceType && !changes.durationMinutes) {
+        changes.durationMinutes = serviceDuration(changes.serviceType);
       }
-    });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body || '{}');
-        resolve(data);
-      } catch (err) {
-        reject(err);
+      const existing = (context.appointments || []).find(a => a.id && a.id === act.payload.appointmentId);
+      slot = {
+        dateISO: changes.dateISO || act.payload.fromISO,
+        durationMinutes: changes.durationMinutes || (existing ? appointmentDuration(existing) : null),
+        serviceType: act.payload.serviceType,
+        title: act.payload.title
+      };
+      if (!slot.dateISO) continue;
+    } else {
+      continue;
+    }
+    const duration = slot.durationMinutes || serviceDuration(slot.serviceType || slot.title);
+    if (act.type === 'createAppointment') act.payload.durationMinutes = duration;
+    if (act.type === 'createAppointment' && act.payload.recurrence) {
+      // A new series is checked visit by visit over the horizon.
+      const horizonEnd = Date.parse(nowISO) + RECURRENCE_HORIZON_DAYS * 24 * 60 * 60000;
+      const MAX_LISTED = 5;
+      let clashes = 0;
+      for (const visit of occurrenceStarts(act.payload, -Infinity, horizonEnd)) {
+        const label = `${formatDateForSummary(new Date(visit.start).toISOString(), timezone)}: `;
+        const conflicts = slotConflicts(visit.start, duration, appointments, timezone, label);
+        if (conflicts.length === 0) continue;
+        clashes++;
+        if (clashes <= MAX_LISTED) result.warnings.push(...conflicts);
       }
+      if (clashes > MAX_LISTED) {
+        result.warnings.push(`⚠️ …and ${clashes - MAX_LISTED} more visit${clashes - MAX_LISTED === 1 ? '' : 's'} with conflicts.`);
+      }
+      continue;
+    }
+    const start = Date.parse(slot.dateISO);
+    const conflicts = slotConflicts(start, duration, appointments, timezone);
+    if (conflicts.length === 0) continue;
+    result.warnings.push(...conflicts);
+    const slots = findFreeSlots({
+      durationMinutes: duration,
+      appointments,
+      timezone,
+      near: start,
+      notBefore: Date.parse(nowISO)
     });
-  });
+    if (slots.length > 0) {
+      result.warnings.push(`💡 Nearest free slots: ${slots.map(t => formatDateForSummary(new Date(t).toISOString(), timezone)).join('; ')}.`);
+      result.suggestedSlots = slots.map(t => new Date(t).toISOString());
+    }
+  }
 }
 
-// Extract potential names from a message.  Looks for capitalised words that
-// aren’t verbs, days, services or generic tokens.  Brand words are also
-// ignored so we don’t confuse product names for clients.
-function findPotentialNames(text) {
-  const names = [];
-  const words = text.split(/\s+/);
-  // Set of common question words to ignore even if capitalised.  This
-  // prevents "How" or "What’s" from being treated as client names.
-  const QUESTION_WORDS = new Set(['How','What','Who','When','Where','Why','Show','Tell','List','Give','Display','Upcoming','Next']);
-  words.forEach((token, index) => {
-    let word = token.replace(/^[^a-zA-Z]+|[^a-zA-Z]+$/g, '');
-    if (!word) return;
-    const first = word[0];
-    if (first !== first.toUpperCase()) return;
-    // Ignore the first capitalised word if it's a question lead
-    if (index === 0 && QUESTION_WORDS.has(word)) return;
-    // Strip possessive endings
-    if (word.endsWith("'s")) {
-      word = word.slice(0, -2);
-    }
-    const cleaned = word.replace(/[^a-zA-Z]/g, '');
-    const lower = cleaned.toLowerCase();
-    if (!cleaned) return;
-    // Skip if it's in our ignore sets or question words
-    if (VERB_SET.has(lower) || DAYS_OF_WEEK.includes(lower) || SERVICE_SET.has(lower) || GENERIC_WORDS.has(lower) || BRAND_WORDS_SET.has(lower) || QUESTION_WORDS.has(cleaned)) {
-      return;
-    }
-    if (!names.find(n => n.toLowerCase() === word.toLowerCase())) {
-      names.push(word);
-    }
-  });
-  return names;
+// ---------------------------------------------------------------------------
+// Recurring appointments
+//
+// A standing booking is stored once as a series: an appointment whose
+// `recurrence` rule ({ freq, interval, count?, until?, timezone?,
+// exdates? }, see store.mjs) repeats it daily, weekly or monthly from its
+// dateISO.  Before answering, the assistant expands series into visits
+// within RECURRENCE_HORIZON_DAYS of now, so listings, counts, availability
+// and conflict checks see each visit as an ordinary appointment.  A visit
+// keeps the series fields plus seriesId and an id of "<seriesId>@<day>".
+// Cancelling "this one" adds the visit to exdates; "all future" ends the
+// series before it.
+const RECURRENCE_HORIZON_DAYS = 366;
+const MAX_OCCURRENCES = 520;
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, other: 2 };
+
+/**
+ * Visit starts of a series between two instants, at the series' local
+ * time of day.  Stops at the rule's count or until, and skips exdates.
+ * @param {Object} appt a stored appointment with a recurrence rule
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {Array<{start:number, index:number, dateKey:string}>}
+ */
+function occurrenceStarts(appt, fromMs, toMs) {
+  const rule = appt.recurrence;
+  const timezone = rule.timezone || 'America/Los_Angeles';
+  const first = Date.parse(appt.dateISO);
+  const { dateKey, minutes } = localClock(first, timezone);
+  const until = rule.until ? Date.parse(rule.until) : Infinity;
+  const skipped = new Set((rule.exdates || []).map(d => Date.parse(d)));
+  const starts = [];
+  for (let i = 0; i < MAX_OCCURRENCES; i++) {
+    if (rule.count && i >= rule.count) break;
+    const key = rule.freq === 'monthly'
+      ? addMonthsToKey(dateKey, i * rule.interval)
+      : addDaysToKey(dateKey, i * rule.interval * (rule.freq === 'weekly' ? 7 : 1));
+    const start = i === 0 ? first : instantForClock(key, minutes, timezone);
+    if (start > until || start >= toMs) break;
+    if (start >= fromMs && !skipped.has(start)) starts.push({ start, index: i, dateKey: key });
+  }
+  return starts;
 }
 
-// Extract service keyword from the message
-function extractService(msg) {
-  const lower = msg.toLowerCase();
-  // Sort by length descending to match multi‑word phrases first.
-  const sorted = [...SERVICE_KEYWORDS].sort((a, b) => b.length - a.length);
-  let found = null;
-  for (const s of sorted) {
-    if (lower.includes(s.toLowerCase())) {
-      found = s;
-      break;
+/**
+ * Expand recurring series into individual visits between two instants.
+ * One‑off appointments pass through unchanged.
+ * @param {Array<Object>} appointments
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {Array<Object>}
+ */
+function expandAppointments(appointments, fromMs, toMs) {
+  const out = [];
+  for (const appt of appointments || []) {
+    if (!appt.recurrence) {
+      out.push(appt);
+      continue;
     }
-  }
-  if (!found) return null;
-  // If the matched term is a generic "appointment" but another specific service
-  // appears in the message, prefer the more specific one.  We re‑scan the
-  // sorted list (excluding "appointment") for any other hits and return the
-  // longest such term.  This prevents naming every booking as "Appointment".
-  if (found.toLowerCase() === 'appointment') {
-    for (const s of sorted) {
-      if (s.toLowerCase() === 'appointment') continue;
-      if (lower.includes(s.toLowerCase())) {
-        found = s;
-        break;
-      }
+    for (const occ of occurrenceStarts(appt, fromMs, toMs)) {
+      out.push({
+        ...appt,
+        id: appt.id ? `${appt.id}@${occ.dateKey}` : undefined,
+        seriesId: appt.id || null,
+        occurrence: occ.index,
+        dateISO: new Date(occ.start).toISOString()
+      });
     }
   }
-  return found;
+  return out.sort((a, b) => Date.parse(a.dateISO) - Date.parse(b.dateISO));
 }
 
-// Parse relative dates like "tomorrow", "next Monday" and times like "2pm"
-function parseDateTime(msg, timezone, nowIso) {
-  // Normalise message for easier matching but keep original for case‑sensitive extraction
-  let lower = msg.toLowerCase();
-  const now = nowIso ? new Date(nowIso) : new Date();
+/**
+ * Expand series within the recurrence horizon around an instant.
+ * @param {Array<Object>} appointments
+ * @param {number} [nowMs]
+ * @returns {Array<Object>}
+ */
+function expandAroundNow(appointments, nowMs = Date.now()) {
+  const horizon = RECURRENCE_HORIZON_DAYS * 24 * 60 * 60000;
+  return expandAppointments(appointments, nowMs - horizon, nowMs + horizon);
+}
 
-  // Helper to convert a calendar date/time expressed in the target timezone
-  // into a UTC ISO string (with Z).  This avoids ambiguous interpretation
-  // when parsing the ISO string later.  It works by starting with the
-  // supplied local time as UTC, then computing how far off that guess is
-  // in the desired timezone and adjusting accordingly.  See
-  // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/DateTimeFormat
-  // for Intl usage.  The result has no milliseconds and ends with 'Z'.
-  function convertLocalTimeToUTCISO(year, month, day, hour, minute, second = 0) {
-    // Start with a guess: treat the local time as if it were UTC
-    let utcMs = Date.UTC(year, month - 1, day, hour, minute, second);
-    // Format that guess in the target timezone to see what time it appears as
-    const dt = new Date(utcMs);
-    const fmt = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone,
-      hour: '2-digit', minute: '2-digit', second: '2-digit',
-      hour12: false
-    });
-    const formatted = fmt.format(dt).split(':');
-    const tzHour = parseInt(formatted[0], 10);
-    const tzMinute = parseInt(formatted[1], 10);
-    const tzSecond = parseInt(formatted[2], 10);
-    // Determine the difference between the desired local time and the
-    // timezone-rendered time in minutes.  Positive diff means our guess is
-    // ahead and needs to be moved backwards.
-    const desiredMinutes = hour * 60 + minute;
-    const tzMinutes = tzHour * 60 + tzMinute;
-    const diffMinutes = tzMinutes - desiredMinutes;
-    const diffMs = diffMinutes * 60 * 1000;
-    // Adjust the UTC milliseconds by the difference to align the rendered
-    // timezone time with the desired local time.  Second-level accuracy is
-    // maintained from the original second parameter.
-    utcMs = utcMs - diffMs;
-    const finalDate = new Date(utcMs);
-    // Return an ISO string without milliseconds and with 'Z'.
-    return finalDate.toISOString().slice(0, 19) + 'Z';
-  }
-
-  // Remove ordinal suffixes from date numbers (e.g. "30th" -> "30").
-  lower = lower.replace(/\b(\d{1,2})(st|nd|rd|th)\b/g, '$1');
-
-  // Attempt to parse absolute date expressions first.  Support month names,
-  // abbreviations and numeric formats (mm/dd[/yyyy]).
-  const monthMap = {
-    jan: 1, january: 1,
-    feb: 2, february: 2,
-    mar: 3, march: 3,
-    apr: 4, april: 4,
-    may: 5,
-    jun: 6, june: 6,
-    jul: 7, july: 7,
-    aug: 8, august: 8,
-    sep: 9, sept: 9, september: 9,
-    oct: 10, octo: 10, october: 10,
-    nov: 11, november: 11,
-    dec: 12, december: 12
-  };
-  // Match month name followed by day and optional year
-  let absDate = null;
-  let providedYear = false;
-  const monthNameRegex = new RegExp('\\b(' + Object.keys(monthMap).join('|') + ')[\\s\\.]*([0-9]{1,2})(?:\\s*,?\\s*([0-9]{2,4}))?', 'i');
-  const mName = lower.match(monthNameRegex);
-  if (mName) {
-    const monStr = mName[1].toLowerCase().replace(/\./g, '');
-    const month = monthMap[monStr];
-    let day = parseInt(mName[2], 10);
-    let year = mName[3] ? parseInt(mName[3], 10) : now.getFullYear();
-    if (year && year < 100) year += 2000;
-    absDate = new Date(year, month - 1, day);
-    providedYear = !!mName[3];
+/**
+ * Parse a repeat rule from a booking message: "every 6 weeks", "every
+ * other Tuesday", "weekly", "monthly", with an optional "for 5 visits" /
+ * "6 times" count and an "until March 1" end.  Returns { rule, text }
+ * where text is the message with the count and end removed (so the start
+ * date can be parsed from it), or null when the message doesn't repeat.
+ * @param {string} msg
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {{rule:Object, text:string}|null}
+ */
+function parseRecurrence(msg, timezone, nowIso) {
+  const lower = msg.toLowerCase();
+  let freq = null;
+  let interval = 1;
+  const every = lower.match(/\bevery\s+(?:(\d+|one|two|three|four|five|six|seven|eight|nine|ten|twelve|other)\s+)?(day|week|month|sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?\b/);
+  if (every) {
+    if (every[1]) interval = /^\d+$/.test(every[1]) ? parseInt(every[1], 10) : NUMBER_WORDS[every[1]];
+    freq = every[2] === 'day' ? 'daily' : every[2] === 'month' ? 'monthly' : 'weekly';
+  } else if (/\b(?:bi-?weekly|fortnightly)\b/.test(lower)) {
+    freq = 'weekly';
+    interval = 2;
   } else {
-    // Match numeric mm/dd or mm/dd/yyyy
-    const mdRegex = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?/;
-    const mMd = lower.match(mdRegex);
-    if (mMd) {
-      let month = parseInt(mMd[1], 10);
-      let day = parseInt(mMd[2], 10);
-      let year = mMd[3] ? parseInt(mMd[3], 10) : now.getFullYear();
-      if (year && year < 100) year += 2000;
-      absDate = new Date(year, month - 1, day);
-      providedYear = !!mMd[3];
-    }
-  }
-  // Default time is noon when none is provided explicitly.  Times are
-  // detected in the original (case‑sensitive) message string to avoid
-  // confusing date numbers (e.g. "30th") with hours.  Preference is
-  // given to matches that include an AM/PM meridiem.  If no meridiem is
-  // found, a 24‑hour time with a colon is accepted.  Otherwise the
-  // default 12:00 is used.
-  let hour = 12;
-  let minute = 0;
-  {
-    // Match "2pm" or "2:00 pm" (case‑insensitive) using word boundaries
-    const amPmRegex = /\b(\d{1,2})(?:\:(\d{2}))?\s*(am|pm)\b/i;
-    // Match 24‑hour format like "14:00"
-    const m24Regex = /\b(\d{1,2})\:(\d{2})\b/;
-    const ampmMatch = msg.match(amPmRegex);
-    if (ampmMatch) {
-      hour = parseInt(ampmMatch[1], 10);
-      minute = ampmMatch[2] ? parseInt(ampmMatch[2], 10) : 0;
-      const ampm = ampmMatch[3];
-      if (/pm/i.test(ampm) && hour < 12) hour += 12;
-      if (/am/i.test(ampm) && hour === 12) hour = 0;
-    } else {
-      const m24 = msg.match(m24Regex);
-      if (m24) {
-        hour = parseInt(m24[1], 10);
-        minute = parseInt(m24[2], 10);
-      }
-    }
-  }
-  if (absDate) {
-    // Use absolute date; if missing time default to noon or parsed time
-    const d = new Date(absDate.getFullYear(), absDate.getMonth(), absDate.getDate(), hour, minute, 0, 0);
-    // If no year was provided and date has already passed this year, roll to next year
-    // Note: the previous check against mdRegex was removed; we no longer need
-    // to perform additional checks here.
-    // If only month/day provided and year omitted: ensure future date if past
-    if (!providedYear) {
-      const nowY = now.getFullYear();
-      const candidate = new Date(absDate.getFullYear(), absDate.getMonth(), absDate.getDate());
-      const nowDateOnly = new Date(nowY, now.getMonth(), now.getDate());
-      if (candidate < nowDateOnly) {
-        d.setFullYear(d.getFullYear() + 1);
-      }
-    }
-    // Convert the calendar date/time in the target timezone to a UTC ISO
-    // string.  Use the month/day/year and the parsed hour/minute.  This
-    // ensures that later parsing and formatting in different runtimes will
-    // preserve the intended local time.
-    return convertLocalTimeToUTCISO(
-      d.getFullYear(), d.getMonth() + 1, d.getDate(), hour, minute, 0
-    );
-  }
-  // No absolute date matched.  Use relative parsing for today/tomorrow/weekday semantics.
-  let offset = null;
-  let matchedWeekday = null;
-  if (lower.includes('tomorrow')) offset = 1;
-  else if (lower.includes('today')) offset = 0;
-  // next <day>
-  for (let i = 0; i < DAYS_OF_WEEK.length; i++) {
-    const day = DAYS_OF_WEEK[i];
-    if (lower.includes('next ' + day)) {
-      matchedWeekday = i; // 0 = Sunday
-      const current = now.getDay();
-      let ahead = (matchedWeekday - current + 7) % 7;
-      if (ahead === 0) ahead = 7;
-      offset = ahead;
-      break;
-    }
+    const named = lower.match(/\b(daily|weekly|monthly)\b/);
+    if (named) freq = named[1];
   }
-  // plain <day>
-  if (offset === null) {
-    for (let i = 0; i < DAYS_OF_WEEK.length; i++) {
-      const day = DAYS_OF_WEEK[i];
-      if (lower.includes(day)) {
-        matchedWeekday = i;
-        const current = now.getDay();
-        let ahead = (matchedWeekday - current + 7) % 7;
-        offset = ahead;
-        break;
-      }
+  if (!freq || interval < 1 || interval > 52) return null;
+  const rule = { freq, interval };
+  let text = msg;
+  const count = text.match(/\b(?:for\s+)?(\d+)\s+(?:times|visits|sessions|appointments|occurrences)\b/i);
+  if (count) {
+    rule.count = Math.min(parseInt(count[1], 10), MAX_OCCURRENCES);
+    text = text.replace(count[0], ' ');
+  }
+  const until = text.match(/\b(?:until|till|through|ending(?:\s+on)?)\s+(.+?)(?=\s+(?:starting|beginning|from|at)\b|[,.!]|$)/i);
+  if (until) {
+    const untilISO = parseDateTime(until[1], timezone, nowIso);
+    if (untilISO) {
+      // The whole end day counts.
+      rule.until = new Date(instantForClock(addDaysToKey(localDateKey(untilISO, timezone), 1), 0, timezone) - 60000).toISOString();
+      text = text.replace(until[0], ' ');
     }
   }
-  if (offset === null) return null;
-  const date = new Date(now);
-  date.setDate(now.getDate() + offset);
-  // The month/day/year values must be drawn from the adjusted date.  Use
-  // convertLocalTimeToUTCISO to ensure the ISO reflects the correct local
-  // time regardless of the server’s own timezone.
-  return convertLocalTimeToUTCISO(
-    date.getFullYear(), date.getMonth() + 1, date.getDate(), hour, minute, 0
-  );
+  return { rule, text };
 }
 
-// Detect if the message is asking about a known hair colour brand.  Returns
-// an array of information strings or an empty array if none are found.
-function detectBrandInfo(msg) {
-  const lower = msg.toLowerCase();
-  const info = [];
-  for (const brand of Object.keys(BRAND_RULES)) {
-    if (lower.includes(brand.toLowerCase())) {
-      const rule = BRAND_RULES[brand];
-      info.push(`${brand}: mix ${rule.ratio} with ${rule.developer}. ${rule.notes}`);
+/**
+ * Describe a recurrence rule: "every 6 weeks, 5 visits" or "every week
+ * until Mar 1".
+ * @param {Object} rule
+ * @param {string} timezone
+ * @returns {string}
+ */
+function describeRecurrence(rule, timezone) {
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.freq];
+  let text = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  if (rule.count) text += `, ${rule.count} visit${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) {
+    text += ` until ${new Intl.DateTimeFormat('en-US', { timeZone: timezone, month: 'short', day: 'numeric' }).format(new Date(rule.until))}`;
+  }
+  return text;
+}
+
+// ---------------------------------------------------------------------------
+// Shades EQ catalogue
+//
+// The shade list lives in catalog/shades/shades_eq_catalog.json and is
+// attached to Redken Shades EQ by its brand rule.  Each entry carries a code
+// (e.g. "09V"), family, name, level (null for clears, pastels and kickers),
+// undertone description and free‑form notes.
+
+/**
+ * The shade list for a brand, or an empty array when it has none.
+ * @param {string} [brand]
+ * @returns {Array<Object>}
+ */
+function shadeCatalogFor(brand = SHADES_EQ_BRAND) {
+  return SHADE_CATALOGS[brand] || [];
+}
+
+/**
+ * Normalise free text for catalogue comparisons: lower‑case, strip accents
+ * and collapse anything that is not a letter or digit.  "Café au Lait" and
+ * "cafe au lait" normalise to the same string.
+ * @param {string} str
+ * @returns {string}
+ */
+function normaliseForSearch(str) {
+  return String(str || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalise a shade code so that "9v", "09V" and "09 V" all compare equal.
+ * Leading zeros are dropped from the level part; "000" stays "000".
+ * @param {string} code
+ * @returns {string}
+ */
+function normaliseShadeCode(code) {
+  const compact = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (/^0+$/.test(compact)) return compact;
+  return compact.replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Levenshtein edit distance between two strings.  Used for typo‑tolerant
+ * shade name lookups ("lavendar ice" → "Lavender Ice") and client names.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
     }
+    prev = curr;
   }
-  return info;
+  return prev[b.length];
 }
 
-// Synthesize actions based on the message and context (clients + appointments)
-function extractActions(msg, context, timezone, nowIso) {
-  const actions = [];
-  const lower = msg.toLowerCase();
-  // Determine if the message is question‑like and whether it contains
-  // booking/cancel verbs or service keywords.  This guards against
-  // extracting actions from pure questions (e.g. "How many appointments")
-  // and ensures we only process messages that clearly intend to book
-  // appointments or mention a service.
-  const hasBookingVerb = BOOKING_PHRASES.some(ph => lower.includes(ph));
-  const hasServiceWord = SERVICE_KEYWORDS.some(k => lower.includes(k));
-  const hasCancelVerb = CANCEL_PHRASES.some(ph => lower.includes(ph));
-  const questiony = isQuestionLike(msg);
-  if (questiony && !hasBookingVerb) {
-    // Question without booking intent → no actions
-    return [];
+/**
+ * Score how well a query matches a single shade.  Exact code matches rank
+ * highest, followed by exact names, prefix/substring matches and finally
+ * close misspellings.  Returns 0 when the shade does not match at all.
+ * @param {Object} shade
+ * @param {string} query
+ * @returns {number}
+ */
+function scoreShadeMatch(shade, query) {
+  const code = normaliseShadeCode(query);
+  if (code && code === normaliseShadeCode(shade.code)) return 100;
+  const q = normaliseForSearch(query);
+  if (!q) return 0;
+  const name = normaliseForSearch(shade.name);
+  if (q === name) return 90;
+  if (name.startsWith(q)) return 75;
+  if (name.includes(q)) return 65;
+  // Allow roughly one typo per four characters, compared against the whole
+  // name and against each word so "crome" still finds "Chrome".
+  const allowed = Math.max(1, Math.floor(q.length / 4));
+  const candidates = [name, ...name.split(' ')];
+  let best = Infinity;
+  for (const c of candidates) {
+    best = Math.min(best, editDistance(q, c));
   }
-  if (!hasBookingVerb && !hasServiceWord && !hasCancelVerb) {
-    // No actionable verbs or service words → skip
-    return [];
+  if (best <= allowed) return 50 - best * 10;
+  return 0;
+}
+
+/**
+ * Look up a single shade by code or name.  Returns the best match or null.
+ * With exact set only the shade's code or its whole name counts, so "x"
+ * finds nothing rather than the closest spelling.
+ * @param {string} query
+ * @param {string} [brand] defaults to Shades EQ
+ * @param {{exact?:boolean}} [options]
+ * @returns {Object|null}
+ */
+function findShade(query, brand, { exact = false } = {}) {
+  const ranked = searchShades({ brand, q: query });
+  if (ranked.length === 0) return null;
+  if (exact && scoreShadeMatch(ranked[0], query) < 90) return null;
+  return ranked[0];
+}
+
+/**
+ * Filter and rank a shade catalogue (Shades EQ unless filters.brand names
+ * another brand with shades).  All filters are optional and combine with
+ * AND semantics:
+ *   - q:         fuzzy code or name ("09V", "Chrome", "lavender ice")
+ *   - level:     numeric level (1–10)
+ *   - family:    family code such as "V", "NB" or "GRo" (case‑insensitive)
+ *   - undertone: keyword matched against the undertone text ("violet")
+ * Results with a query are sorted by match quality; otherwise they keep
+ * catalogue order (lightest to darkest).
+ * @param {{brand?:string, q?:string, level?:number|string, family?:string, undertone?:string}} filters
+ * @returns {Array<Object>}
+ */
+function searchShades(filters = {}) {
+  const { q, family, undertone } = filters;
+  const level = filters.level !== undefined && filters.level !== null && filters.level !== ''
+    ? parseInt(filters.level, 10)
+    : null;
+  let results = shadeCatalogFor(filters.brand).filter(shade => {
+    if (level !== null && !isNaN(level) && shade.level !== level) return false;
+    if (family && String(shade.family).toLowerCase() !== String(family).toLowerCase()) return false;
+    if (undertone && !normaliseForSearch(shade.undertone).includes(normaliseForSearch(undertone))) return false;
+    return true;
+  });
+  if (q && String(q).trim()) {
+    results = results
+      .map(shade => ({ shade, score: scoreShadeMatch(shade, q) }))
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(r => r.shade);
   }
-  // Determine intent flags
-  const isBooking = BOOKING_PHRASES.some(ph => lower.includes(ph));
-  const isCancelAppt = CANCEL_PHRASES.some(ph => lower.includes(ph));
-  const isCreateClient = CREATE_CLIENT_PHRASES.some(ph => lower.includes(ph));
-  const isDeleteClient = DELETE_CLIENT_PHRASES.some(ph => lower.includes(ph));
-    const names = findPotentialNames(msg);
-  const service = extractService(msg);
-  const dateISO = parseDateTime(msg, timezone, nowIso);
-  // Booking logic
-  if (isBooking) {
-    // Choose the last candidate name that is not a month name.  This avoids
-    // picking "September" from phrases like "on September 30".
-    let clientName = null;
-    const monthNames = ['january','february','march','april','may','june','july','august','september','october','november','december','jan','feb','mar','apr','jun','jul','aug','sep','sept','oct','nov','dec'];
-    for (let i = names.length - 1; i >= 0; i--) {
-      const nm = names[i];
-      if (!nm) continue;
-      const lowerNm = nm.toLowerCase();
-      if (!monthNames.includes(lowerNm)) {
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Utilities for friendly summaries and simple analytics
+//
+// These helpers support proper‑casing strings, formatting dates/times for
+// human‑readable summaries and building concise action responses.  They also
+// handle count, listing and aggregate queries before invoking the LLM.  See
+// assistantResponse() for integration.
+
+/**
+ * Proper‑case a phrase by capitalising the first letter of each word and
+ * lower‑casing the rest.  Hyphenated and multi‑word phrases are treated as
+ * separate words.  Example: "brazilian blowout" → "Brazilian Blowout".
+ * @param {string} str
+ * @returns {string}
+ */
+function properCase(str) {
+  if (!str) return str;
+  return String(str).split(/\s+/).map(w => {
+    if (!w) return '';
+    return w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+  }).join(' ');
+}
+
+/**
+ * Format an ISO date string into a concise human‑friendly string in the given
+ * timezone.  The output uses the pattern "Mon, Sep 30 • 2:00 PM", or just
+ * "Mon, Sep 30" without the time.  If the date cannot be parsed, returns
+ * null.
+ * @param {string} iso
+ * @param {string} timezone
+ * @param {boolean} [withTime]
+ * @returns {string|null}
+ */
+function formatDateForSummary(iso, timezone, withTime = true) {
+  if (!iso) return null;
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return null;
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hour12: true
+  });
+  const parts = fmt.formatToParts(d);
+  const get = (type) => {
+    const p = parts.find(pr => pr.type === type);
+    return p && p.value;
+  };
+  const weekday = get('weekday');
+  const month = get('month');
+  const day = get('day');
+  const hour = get('hour');
+  const minute = get('minute');
+  const dayPeriod = get('dayPeriod');
+  if (!weekday || !month || !day) return null;
+  if (!withTime) return `${weekday}, ${month} ${day}`;
+  if (!hour || !minute) return null;
+  // Ensure minute is two digits
+  const minStr = minute.toString().padStart(2, '0');
+  const time = `${hour}:${minStr} ${dayPeriod}`;
+  return `${weekday}, ${month} ${day} • ${time}`;
+}
+
+/**
+ * Describe one action for summaries.  Returns the emoji, past‑tense and
+ * imperative verbs and the object phrase, e.g. for a booking
+ * { icon: '✅', done: 'Booked', verb: 'Book', what: 'Balayage for Maria on
+ * Mon, Sep 30 • 2:00 PM' }.  Returns null for unknown action types.
+ * @param {{type:string,payload:Object}} act
+ * @param {string} timezone
+ * @returns {{icon:string, done:string, verb:string, what:string}|null}
+ */
+function describeAction(act, timezone) {
+  const payload = act.payload || {};
+  switch (act.type) {
+    case 'createClient':
+      return payload.name ? { icon: '✅', done: 'Added', verb: 'Add', what: `client ${payload.name}` } : null;
+    case 'deleteClient':
+      return payload.name ? { icon: '🗑️', done: 'Removed', verb: 'Remove', what: `client ${payload.name}` } : null;
+    case 'createAppointment':
+    case 'deleteAppointment': {
+      let title = null;
+      if (payload.serviceType) {
+        title = properCase(payload.serviceType);
+      } else if (payload.title) {
+        title = properCase(payload.title);
+      } else {
+        title = 'Appointment';
+      }
+      const when = payload.dateISO ? formatDateForSummary(payload.dateISO, timezone, !payload.dateOnly) : null;
+      const client = payload.clientName;
+      let what = title;
+      if (client) what += ` for ${client}`;
+      if (when) what += ` on ${when}`;
+      if (payload.recurrence) what += `, ${describeRecurrence(payload.recurrence, timezone)}`;
+      if (payload.scope === 'future') what += ' and every later visit';
+      else if (payload.scope === 'series') what += ' (whole series)';
+      return act.type === 'createAppointment'
+        ? { icon: '✅', done: 'Booked', verb: 'Book', what }
+        : { icon: '🗑️', done: 'Canceled', verb: 'Cancel', what };
+    }
+    case 'updateAppointment': {
+      // payload describes the appointment as it is; payload.changes holds
+      // the new dateISO, serviceType/title or clientName.  fromDateOnly and
+      // changes.dateOnly mark days named without a time.
+      const changes = payload.changes || {};
+      let what = properCase(payload.serviceType || payload.title || 'Appointment');
+      if (payload.clientName) what += ` for ${payload.clientName}`;
+      const from = payload.fromISO ? formatDateForSummary(payload.fromISO, timezone, !payload.fromDateOnly) : null;
+      const to = changes.dateISO ? formatDateForSummary(changes.dateISO, timezone, !changes.dateOnly) : null;
+      const newService = changes.serviceType || changes.title ? properCase(changes.serviceType || changes.title) : null;
+      const target = [
+        newService,
+        changes.clientName ? `for ${changes.clientName}` : null,
+        to && (newService || changes.clientName) ? `on ${to}` : to
+      ].filter(Boolean).join(' ');
+      if (from) what += to ? ` from ${from}` : ` on ${from}`;
+      if (target) what += ` to ${target}`;
+      return to
+        ? { icon: '🔁', done: 'Moved', verb: 'Move', what }
+        : { icon: '🔁', done: 'Changed', verb: 'Change', what };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build a friendly summary of proposed actions.  When multiple actions
+ * appear, returns one line per action separated by newlines.  Titles are
+ * proper‑cased and dates are formatted in the stylist's timezone.  Nothing
+ * has been applied yet, so lines are worded as proposals ("📝 Book …");
+ * see summarizeResults() for the wording after a commit.
+ * @param {Array<{type:string,payload:Object}>} actions
+ * @param {string} timezone
+ * @returns {string}
+ */
+function summarizeActions(actions, timezone) {
+  const lines = [];
+  for (const act of actions) {
+    const d = describeAction(act, timezone);
+    if (d) lines.push(`📝 ${d.verb} ${d.what}.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarise the outcome of committing a proposal.  Applied actions use the
+ * past tense ("✅ Booked …"), no‑ops and failures say what really happened.
+ * @param {Array<{type:string,payload:Object,status:string,detail?:string}>} results
+ * @param {string} timezone
+ * @param {boolean} committed false when the batch was rolled back
+ * @returns {string}
+ */
+function summarizeResults(results, timezone, committed) {
+  const lines = [];
+  for (const r of results) {
+    // Describe applied appointment changes from the stored record so the
+    // summary shows the real time rather than the requested one.
+    const record = r.status === 'applied' && r.record && r.record.dateISO ? r.record : null;
+    let described = r;
+    if (record && r.type === 'updateAppointment' && r.previous) {
+      described = { type: r.type, payload: { ...appointmentIdentity(r.previous), changes: appointmentChanges(r.previous, record) } };
+    } else if (record) {
+      described = {
+        type: r.type,
+        payload: {
+          title: record.title,
+          serviceType: record.serviceType,
+          clientName: record.clientName,
+          dateISO: record.dateISO,
+          recurrence: r.type === 'createAppointment' ? record.recurrence : undefined,
+          scope: r.payload && r.payload.scope
+        }
+      };
+    }
+    const d = describeAction(described, timezone);
+    if (!d) continue;
+    if (r.status === 'applied') {
+      lines.push(`${d.icon} ${d.done} ${d.what}.`);
+    } else if (r.status === 'unchanged') {
+      lines.push(`ℹ️ ${d.verb} ${d.what}: ${r.detail}.`);
+    } else if (r.status === 'failed') {
+      lines.push(`⚠️ Couldn’t ${d.verb.toLowerCase()} ${d.what}: ${r.detail}.`);
+    }
+  }
+  if (!committed) lines.push('Nothing was changed.');
+  return lines.join('\n');
+}
+
+/**
+ * Handle count queries (how many clients or appointments).  Returns a reply
+ * string if the message matches a count intent; otherwise returns null.
+ * Appointments can be filtered by any span parseTimeWindow() understands
+ * (today, last week, this weekend, between Oct 1 and Oct 15, …).
+ * @param {string} lower
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string|null}
+ */
+function handleCounts(lower, context, timezone, nowIso) {
+  const clients = Array.isArray(context.clients) ? context.clients : [];
+  const appts = Array.isArray(context.appointments) ? context.appointments : [];
+  // Client count
+  if (/\b(how many|number of)\s+clients\b/.test(lower) || /\bclient count\b/.test(lower)) {
+    return `You have ${clients.length} client${clients.length === 1 ? '' : 's'}.`;
+  }
+  // Appointment count
+  if (/\b(how many|number of)\s+appointments\b/.test(lower) || /\bappointment count\b/.test(lower)) {
+    // Determine timeframe
+    const window = timeWindow(lower, timezone, nowIso);
+    if (window) {
+      const start = Date.parse(window.start);
+      const end = Date.parse(window.end);
+      const count = appts.filter(a => {
+        const t = Date.parse(a.dateISO);
+        return t >= start && t < end;
+      }).length;
+      const verb = end <= Date.parse(nowIso || new Date().toISOString()) ? 'had' : 'have';
+      return `You ${verb} ${count} appointment${count === 1 ? '' : 's'} ${window.label}.`;
+    } else {
+      // Total appointments
+      return `You have ${appts.length} appointment${appts.length === 1 ? '' : 's'}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Handle listing queries such as "upcoming appointments", "what’s next",
+ * "next 5 appointments" or "appointments on the 15th/next week".
+ * Returns a reply string or null.  The appointments are sorted ascending
+ * and formatted using the same summary rules.
+ * @param {string} lower
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string|null}
+ */
+function handleListings(lower, context, timezone, nowIso) {
+  const appts = Array.isArray(context.appointments) ? context.appointments : [];
+  const list = appts.map(a => {
+    const iso = a.dateISO || (typeof a.dateISO === 'string' ? a.dateISO : (a.dateISO ? a.dateISO : null));
+    return {
+      date: iso ? new Date(iso) : null,
+      title: a.title,
+      clientName: a.clientName
+    };
+  }).filter(it => it.date);
+  list.sort((a, b) => a.date - b.date);
+  const now = nowIso ? new Date(nowIso) : new Date();
+  // "next 5 appointments" lists upcoming ones; "appointments next week" is
+  // a window and handled below.
+  if (/\b(what\'?s next|whats next|upcoming appointments)\b/.test(lower) || (/\bnext\b/.test(lower) && /\bappointments\b/.test(lower) && !/\bnext\s+(?:week|weekend|month|year|\d+\s+days)\b/.test(lower))) {
+    let num = 5;
+    const nextMatch = lower.match(/next\s+(\d+)/);
+    if (nextMatch && nextMatch[1]) {
+      const n = parseInt(nextMatch[1], 10);
+      if (!isNaN(n) && n > 0) {
+        num = n;
+      }
+    }
+    const upcoming = list.filter(item => item.date >= now).slice(0, num);
+    if (upcoming.length === 0) {
+      return `You have no upcoming appointments.`;
+    }
+    const lines = upcoming.map(item => {
+      const when = formatDateForSummary(item.date.toISOString(), timezone);
+      const t = properCase(item.title || 'Appointment');
+      if (item.clientName) {
+        return `${t} for ${item.clientName} on ${when}`;
+      } else {
+        return `${t} on ${when}`;
+      }
+    });
+    return `Your next ${upcoming.length} appointment${upcoming.length === 1 ? '' : 's'}:\n` + lines.join('\n');
+  }
+  const onMatch = lower.match(/\bappointments?\s+((?:on|for|in|at|during|between|from)\s+[^\?\.\!]+|(?:today|tonight|tomorrow|yesterday|this|last|past|next)\b[^\?\.\!]*)/);
+  if (onMatch && onMatch[1]) {
+    const window = timeWindow(onMatch[1], timezone, nowIso);
+    if (window) {
+      const start = Date.parse(window.start);
+      const end = Date.parse(window.end);
+      const matches = list.filter(item => item.date.getTime() >= start && item.date.getTime() < end);
+      const heading = window.label;
+      if (matches.length === 0) {
+        return `No appointments ${heading}.`;
+      }
+      const lines = matches.map(item => {
+        const when = formatDateForSummary(item.date.toISOString(), timezone);
+        const t = properCase(item.title || 'Appointment');
+        if (item.clientName) {
+          return `${t} for ${item.clientName} on ${when}`;
+        } else {
+          return `${t} on ${when}`;
+        }
+      });
+      return `Appointments ${heading}:\n` + lines.join('\n');
+    }
+  }
+  return null;
+}
+
+/**
+ * Handle free‑time questions such as "when can I fit a 2‑hour colour this
+ * week?" or "any openings tomorrow morning?".  Understands the spans
+ * parseTimeWindow() does (default: the next 7 days), mornings/afternoons/
+ * evenings, explicit lengths ("90 min", "2‑hour") and service names for
+ * their default duration.  Returns a reply string or null.
+ * @param {string} lower
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string|null}
+ */
+function handleAvailability(lower, context, timezone, nowIso) {
+  if (!/\b(when can i (?:fit|squeeze|book|do)|(?:free|open) (?:slots?|time|spots?|gaps?)|openings?|availability|when am i free|am i free|any(?:thing)? (?:free|open)|fit (?:in )?an? )/.test(lower)) {
+    return null;
+  }
+  const now = Date.parse(nowIso || new Date().toISOString());
+  const today = localClock(now, timezone).dateKey;
+  let from = today;
+  let days = 7;
+  let label = 'in the next 7 days';
+  const window = timeWindow(lower, timezone, nowIso);
+  if (window) {
+    // Only the part of the window that is still ahead, up to 31 days.
+    const skip = Math.max(0, daysBetweenKeys(window.startKey, today));
+    if (skip < window.days) {
+      from = addDaysToKey(window.startKey, skip);
+      days = Math.min(window.days - skip, 31);
+      label = window.label;
+    }
+  }
+  const part = (window && window.partOfDay) || Object.keys(PARTS_OF_DAY).find(p => new RegExp(`\\b${p}s?\\b`).test(lower));
+  let durationMinutes;
+  const half = /\bhalf an? hour\b/.test(lower);
+  const lengthMatch = lower.match(/\b(\d+(?:\.\d+)?)\s*[-‑]?\s*(hours?|hrs?|h|minutes?|mins?|m)\b/);
+  if (half) {
+    durationMinutes = 30;
+  } else if (lengthMatch) {
+    const n = parseFloat(lengthMatch[1]);
+    durationMinutes = Math.round(/^h/.test(lengthMatch[2]) ? n * 60 : n);
+  } else if (/\ban hour\b/.test(lower)) {
+    durationMinutes = 60;
+  }
+  let service = extractService(lower);
+  if (service && service.toLowerCase() === 'appointment') service = null;
+  const result = computeAvailability({
+    appointments: Array.isArray(context.appointments) ? context.appointments : [],
+    timezone,
+    from,
+    days,
+    service: service || undefined,
+    durationMinutes,
+    partOfDay: part,
+    nowISO: nowIso
+  });
+  if (result.error) return null;
+  let what = '';
+  if (service) {
+    what = ` for ${properCase(service)} (${formatMinutes(result.durationMinutes)})`;
+  } else if (result.durationMinutes) {
+    what = ` for ${formatMinutes(result.durationMinutes)}`;
+  }
+  const when = part && !(window && window.partOfDay) ? `${label} (${part}s)` : label;
+  if (result.gaps.length === 0) {
+    return `No free time${what} ${when}.`;
+  }
+  const MAX_LINES = 8;
+  const lines = result.gaps.slice(0, MAX_LINES).map(g =>
+    `${formatDateForSummary(g.start, timezone)}–${formatClock(Date.parse(g.end), timezone)}`);
+  if (result.gaps.length > MAX_LINES) {
+    lines.push(`…and ${result.gaps.length - MAX_LINES} more.`);
+  }
+  return `Free time${what} ${when}:\n` + lines.join('\n');
+}
+
+/**
+ * Handle aggregate queries such as "most booked client this month/week".
+ * Any span parseTimeWindow() understands narrows the count ("last
+ * month", "between Oct 1 and Oct 15").  Returns a reply string or null.
+ * If multiple clients tie, lists them.
+ * @param {string} lower
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string|null}
+ */
+function handleAggregates(lower, context, timezone, nowIso) {
+  if (!/\bmost booked client\b/.test(lower)) {
+    return null;
+  }
+  const appts = Array.isArray(context.appointments) ? context.appointments : [];
+  const window = timeWindow(lower, timezone, nowIso);
+  const start = window ? Date.parse(window.start) : null;
+  const end = window ? Date.parse(window.end) : null;
+  const counts = {};
+  for (const a of appts) {
+    const name = a.clientName;
+    const iso = a.dateISO || a.date;
+    if (!name) continue;
+    if (window && iso) {
+      const t = Date.parse(iso);
+      if (!(t >= start && t < end)) continue;
+    }
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  const entries = Object.entries(counts);
+  if (entries.length === 0) {
+    return window ? `No appointments ${window.label}.` : `No appointments.`;
+  }
+  let max = 0;
+  for (const [, count] of entries) {
+    if (count > max) max = count;
+  }
+  const top = entries.filter(([name, count]) => count === max).map(([name]) => name);
+  const rangeLabel = window ? window.label.charAt(0).toUpperCase() + window.label.slice(1) : '';
+  if (top.length === 1) {
+    return `${rangeLabel ? rangeLabel + ': ' : ''}${top[0]} (${max}).`;
+  } else {
+    return `${rangeLabel ? rangeLabel + ': ' : ''}${top.join(', ')} (${max}).`;
+  }
+}
+
+// Clients whose last visit is older than this count as due for rebooking.
+const REBOOK_AFTER_WEEKS = 8;
+const WEEK_MS = 7 * 24 * 60 * 60000;
+
+/**
+ * Compute calendar analytics for GET /stats and the analytics intents:
+ * appointments per weekday, service mix, first‑time vs returning clients,
+ * hours booked vs available, average gap between visits per client and
+ * clients due for rebooking.  The window runs from `from` for `days` days
+ * (default: the last 30 days up to today).  Rebooking candidates and visit
+ * gaps look at each client's whole history rather than the window.
+ * Returns { error, detail } for bad input.
+ * @param {Object} input
+ * @param {Array<Object>} input.appointments expanded appointments
+ * @param {string} input.timezone
+ * @param {string} [input.from] first day, 'YYYY-MM-DD'
+ * @param {number} [input.days=30] number of days, 1–366
+ * @param {number} [input.rebookAfterWeeks=8]
+ * @param {string} [input.nowISO]
+ * @returns {Object}
+ */
+function computeStats(input) {
+  const { appointments = [], timezone } = input;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    return { error: 'invalid_timezone', detail: `Unknown timezone ${timezone}` };
+  }
+  const now = Date.parse(input.nowISO || new Date().toISOString());
+  const days = input.days === undefined ? 30 : Number(input.days);
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    return { error: 'invalid_days', detail: 'days must be a whole number from 1 to 366' };
+  }
+  const from = input.from || addDaysToKey(localClock(now, timezone).dateKey, 1 - days);
+  // Date.parse() rolls 2026-02-31 over into March; only real days pass.
+  if (!dayArgument(from)) {
+    return { error: 'invalid_date', detail: 'from must be a date like 2025-09-30' };
+  }
+  const rebookAfterWeeks = input.rebookAfterWeeks === undefined ? REBOOK_AFTER_WEEKS : Number(input.rebookAfterWeeks);
+  if (!Number.isInteger(rebookAfterWeeks) || rebookAfterWeeks < 1 || rebookAfterWeeks > 104) {
+    return { error: 'invalid_weeks', detail: 'rebookWeeks must be a whole number from 1 to 104' };
+  }
+  const start = instantForClock(from, 0, timezone);
+  const end = instantForClock(addDaysToKey(from, days), 0, timezone);
+  const dated = appointments
+    .map(appt => ({ appt, t: Date.parse(appt.dateISO) }))
+    .filter(x => !isNaN(x.t))
+    .sort((a, b) => a.t - b.t);
+  const inWindow = dated.filter(x => x.t >= start && x.t < end);
+
+  const byWeekday = WEEKDAY_KEYS.map(weekday => ({ weekday, appointments: 0, minutes: 0 }));
+  const services = new Map();
+  let bookedMinutes = 0;
+  for (const { appt, t } of inWindow) {
+    const minutes = appointmentDuration(appt);
+    bookedMinutes += minutes;
+    const day = byWeekday[WEEKDAY_KEYS.indexOf(localClock(t, timezone).weekday)];
+    day.appointments++;
+    day.minutes += minutes;
+    const service = properCase(appt.serviceType || appt.title || 'Appointment');
+    const entry = services.get(service) || { service, appointments: 0, minutes: 0 };
+    entry.appointments++;
+    entry.minutes += minutes;
+    services.set(service, entry);
+  }
+  const busiest = byWeekday.reduce((best, d) =>
+    d.appointments > best.appointments || (d.appointments === best.appointments && d.minutes > best.minutes) ? d : best);
+  const serviceMix = [...services.values()]
+    .sort((a, b) => b.appointments - a.appointments || b.minutes - a.minutes)
+    .map(s => ({ ...s, share: Math.round((s.appointments / inWindow.length) * 100) / 100 }));
+
+  // Each client's visits over their whole history, oldest first.
+  const visits = new Map();
+  for (const { appt, t } of dated) {
+    if (!appt.clientName) continue;
+    const key = appt.clientName.toLowerCase();
+    if (!visits.has(key)) visits.set(key, { clientName: appt.clientName, times: [] });
+    visits.get(key).times.push(t);
+  }
+  const firstTime = [];
+  const returning = [];
+  for (const name of new Set(inWindow.filter(x => x.appt.clientName).map(x => x.appt.clientName.toLowerCase()))) {
+    const client = visits.get(name);
+    (client.times[0] >= start ? firstTime : returning).push(client.clientName);
+  }
+  const rebookingCandidates = [];
+  const visitGaps = [];
+  for (const { clientName, times } of visits.values()) {
+    const past = times.filter(t => t <= now);
+    const last = past[past.length - 1];
+    if (last !== undefined && past.length === times.length && now - last >= rebookAfterWeeks * WEEK_MS) {
+      rebookingCandidates.push({
+        clientName,
+        lastVisit: new Date(last).toISOString(),
+        weeksSince: Math.floor((now - last) / WEEK_MS)
+      });
+    }
+    if (past.length >= 2) {
+      visitGaps.push({
+        clientName,
+        visits: past.length,
+        averageGapDays: Math.round(((last - past[0]) / (past.length - 1)) / 86400000 * 10) / 10
+      });
+    }
+  }
+  rebookingCandidates.sort((a, b) => b.weeksSince - a.weeksSince || a.clientName.localeCompare(b.clientName));
+  visitGaps.sort((a, b) => a.clientName.localeCompare(b.clientName));
+
+  let availableMinutes = 0;
+  for (let i = 0; i < days; i++) {
+    for (const w of openWindows(addDaysToKey(from, i), timezone)) {
+      availableMinutes += Math.round((w.end - w.start) / 60000);
+    }
+  }
+  return {
+    timezone,
+    from,
+    days,
+    totalAppointments: inWindow.length,
+    byWeekday,
+    busiestWeekday: busiest.appointments ? busiest.weekday : null,
+    serviceMix,
+    clients: {
+      total: firstTime.length + returning.length,
+      firstTime: firstTime.sort(),
+      returning: returning.sort()
+    },
+    hours: {
+      bookedMinutes,
+      availableMinutes,
+      utilisation: availableMinutes ? Math.round((bookedMinutes / availableMinutes) * 100) / 100 : null
+    },
+    visitGaps,
+    rebookAfterWeeks,
+    rebookingCandidates
+  };
+}
+
+const WEEKDAY_NAMES = { sun: 'Sunday', mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday' };
+
+/**
+ * Handle calendar analytics questions: "what's my busiest day?", "service
+ * mix this month", "who haven't I seen in 10 weeks?", "new vs returning
+ * clients", "how often does Maria come in?" and "hours booked this week".
+ * Any span parseTimeWindow() understands sets the window (default: the
+ * last 30 days).  Returns a reply string or null.
+ * @param {string} lower
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string|null}
+ */
+function handleStats(lower, context, timezone, nowIso) {
+  const kind =
+    /\bbusiest (?:day|weekday)|\bwhich days? (?:is|are) (?:the )?busiest\b/.test(lower) ? 'busiest'
+    : /\bservice (?:mix|breakdown|split)|\b(?:most )?popular services?\b|\bservices? (?:do i|did i) (?:do|book) most\b/.test(lower) ? 'services'
+    : /\b(?:not|haven'?t|havent)(?: i)? (?:seen|been in|come in|booked)|\brebooking\b|\bdue (?:for|to) (?:a )?(?:visit|rebook|come back)|\boverdue clients?\b/.test(lower) ? 'rebooking'
+    : /\b(?:first[- ]time|new) (?:vs\.? |versus |and |or )?(?:returning|repeat)|\b(?:first[- ]time|new|returning|repeat) clients\b/.test(lower) ? 'clients'
+    : /\b(?:average|avg) (?:gap|time) between visits\b|\bhow often (?:does|do|did)\b|\bvisit frequency\b/.test(lower) ? 'gaps'
+    : /\bhours booked\b|\bbooked (?:vs\.? |versus )?(?:available|free)\b|\butili[sz]ation\b|\bhow (?:full|busy) (?:am i|is my|was my)\b/.test(lower) ? 'hours'
+    : null;
+  if (!kind) return null;
+  const appointments = Array.isArray(context.appointments) ? context.appointments : [];
+
+  if (kind === 'rebooking') {
+    // "in 10 weeks" would read as a future date, so the threshold is
+    // parsed here rather than as a window.
+    const m = lower.match(/\b(\d+)\s*(weeks?|months?)\b/);
+    const weeks = m ? Math.min(104, Math.max(1, Math.round(parseInt(m[1], 10) * (/^month/.test(m[2]) ? 52 / 12 : 1)))) : REBOOK_AFTER_WEEKS;
+    const stats = computeStats({ appointments, timezone, nowISO: nowIso, rebookAfterWeeks: weeks });
+    if (stats.error) return null;
+    if (stats.rebookingCandidates.length === 0) {
+      return `Everyone has been in (or is booked) within the last ${weeks} weeks.`;
+    }
+    const lines = stats.rebookingCandidates.map(c =>
+      `${c.clientName} — last in ${formatDateForSummary(c.lastVisit, timezone).split(' •')[0]} (${c.weeksSince} weeks ago)`);
+    return `Clients not seen in ${weeks}+ weeks with nothing booked:\n` + lines.join('\n');
+  }
+
+  const window = timeWindow(lower, timezone, nowIso);
+  const stats = computeStats({
+    appointments,
+    timezone,
+    nowISO: nowIso,
+    ...(window ? { from: window.startKey, days: Math.min(window.days, 366) } : {})
+  });
+  if (stats.error) return null;
+  const label = window ? window.label : 'in the last 30 days';
+  const Label = label.charAt(0).toUpperCase() + label.slice(1);
+
+  if (kind === 'busiest') {
+    if (!stats.busiestWeekday) return `No appointments ${label}.`;
+    const day = stats.byWeekday.find(d => d.weekday === stats.busiestWeekday);
+    const rest = stats.byWeekday
+      .filter(d => d.appointments && d !== day)
+      .sort((a, b) => b.appointments - a.appointments)
+      .map(d => `${WEEKDAY_NAMES[d.weekday]} ${d.appointments}`);
+    return `${Label}, your busiest day is ${WEEKDAY_NAMES[day.weekday]} (${day.appointments} appointment${day.appointments === 1 ? '' : 's'}, ${formatMinutes(day.minutes)}).` +
+      (rest.length ? `\nThen: ${rest.join(', ')}.` : '');
+  }
+  if (kind === 'services') {
+    if (stats.serviceMix.length === 0) return `No appointments ${label}.`;
+    const lines = stats.serviceMix.map(s =>
+      `${s.service} — ${s.appointments} (${Math.round(s.share * 100)}%, ${formatMinutes(s.minutes)})`);
+    return `Service mix ${label}:\n` + lines.join('\n');
+  }
+  if (kind === 'clients') {
+    const { firstTime, returning } = stats.clients;
+    if (firstTime.length + returning.length === 0) return `No clients ${label}.`;
+    const names = firstTime.length ? ` (${firstTime.join(', ')})` : '';
+    return `${Label}: ${firstTime.length} first‑time client${firstTime.length === 1 ? '' : 's'}${names} and ${returning.length} returning.`;
+  }
+  if (kind === 'gaps') {
+    const known = [...(context.clients || []), ...stats.visitGaps.map(g => g.clientName)];
+    const named = known.find(n => new RegExp(`\\b${n.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower));
+    const gaps = named ? stats.visitGaps.filter(g => g.clientName.toLowerCase() === named.toLowerCase()) : stats.visitGaps;
+    if (gaps.length === 0) {
+      return named ? `${named} hasn’t had two visits yet.` : 'No client has had two visits yet.';
+    }
+    const lines = gaps.map(g => `${g.clientName} — every ${Math.round(g.averageGapDays / 7 * 10) / 10} weeks (${g.visits} visits)`);
+    return named ? lines[0] + '.' : `Average time between visits:\n` + lines.join('\n');
+  }
+  const { bookedMinutes, availableMinutes, utilisation } = stats.hours;
+  if (!availableMinutes) return `You have no working hours ${label}.`;
+  return `${Label}: ${formatMinutes(bookedMinutes)} booked of ${formatMinutes(availableMinutes)} available (${Math.round(utilisation * 100)}%).`;
+}
+
+// Words that signal a question is about Shades EQ shades rather than the
+// calendar.  Shade names such as "Silver" or "Blush" are only matched when
+// one of these appears so everyday words aren't mistaken for shades.
+const SHADE_CONTEXT_REGEX = /\b(shades?|eq|gloss|glosses|toners?|undertones?|redken)\b/;
+// Colour‑wheel opposites: the undertone keyword that neutralises each
+// unwanted warmth.
+const NEUTRALISING_UNDERTONES = { yellow: 'violet', orange: 'blue', red: 'green' };
+const UNDERTONE_KEYWORDS = ['violet', 'blue', 'green', 'gold', 'copper', 'red', 'rose', 'beige', 'neutral', 'brown', 'mahogany', 'chocolate', 'silver', 'peach', 'pink', 'warm'];
+
+/**
+ * Describe a catalogue shade in one line, citing its code, name, level,
+ * undertone and notes.  Example:
+ * "09V Platinum Ice — level 9, violet undertone (& Bonder Inside)".
+ * @param {Object} shade
+ * @returns {string}
+ */
+function describeShade(shade) {
+  const label = shade.code === shade.name ? shade.name : `${shade.code} ${shade.name}`;
+  const level = shade.level !== null && shade.level !== undefined ? `level ${shade.level}` : 'no level';
+  let line = `${label} — ${level}, ${shade.undertone} undertone`;
+  const notes = String(shade.notes || '').trim();
+  if (notes) {
+    line += notes.startsWith('(') ? ` ${notes}` : ` (${notes})`;
+  }
+  return line;
+}
+
+/**
+ * Find catalogue shades mentioned in a message, either by code ("09V",
+ * "9v", "000") or, when the message is clearly about shades, by name
+ * ("Chrome", "Lavender Ice").  Longer names win so "Platinum Ice" isn't
+ * also reported as "Platinum".
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function findShadesInMessage(text) {
+  const found = [];
+  const add = (shade) => {
+    if (shade && !found.includes(shade)) found.push(shade);
+  };
+  const codeTokens = String(text).match(/\b0*\d{1,2}[a-z]{1,3}\b|\b000\b/gi) || [];
+  for (const token of codeTokens) {
+    const code = normaliseShadeCode(token);
+    add(shadeCatalogFor().find(s => normaliseShadeCode(s.code) === code));
+  }
+  let normalised = ` ${normaliseForSearch(text)} `;
+  if (!SHADE_CONTEXT_REGEX.test(normalised)) return found;
+  const byLength = [...shadeCatalogFor()].sort((a, b) => b.name.length - a.name.length);
+  for (const shade of byLength) {
+    const name = normaliseForSearch(shade.name);
+    if (name.length < 4) continue;
+    const needle = ` ${name} `;
+    if (normalised.includes(needle)) {
+      add(shade);
+      normalised = normalised.replace(needle, ' ');
+    }
+  }
+  return found;
+}
+
+/**
+ * Handle Shades EQ catalogue questions such as "what undertone is 09V?",
+ * "tell me about Chrome" or "which 8-level shades cancel orange?".  Answers
+ * come straight from shades_eq_catalog.json so the assistant never invents
+ * shade names.  Returns a reply string or null.
+ * @param {string} lower
+ * @returns {string|null}
+ */
+function handleShades(lower) {
+  // Leave commands such as "book a gloss for Silver" to extractActions().
+  if (!isQuestionLike(lower) && BOOKING_PHRASES.some(ph => lower.includes(ph))) {
+    return null;
+  }
+  const named = findShadesInMessage(lower);
+  if (named.length === 1) {
+    return `Shades EQ ${describeShade(named[0])}.`;
+  }
+  if (named.length > 1) {
+    return 'Shades EQ:\n' + named.map(describeShade).join('\n');
+  }
+  if (!SHADE_CONTEXT_REGEX.test(lower)) return null;
+  // Level filter: "level 8", "8-level", "8 level"
+  let level = null;
+  const levelMatch = lower.match(/\blevel\s*-?\s*(\d{1,2})\b/) || lower.match(/\b(\d{1,2})\s*-?\s*level\b/);
+  if (levelMatch) level = parseInt(levelMatch[1], 10);
+  // Neutralising intent: "cancel orange", "neutralize yellow", "counteract red"
+  let unwanted = null;
+  const neutraliseMatch = lower.match(/\b(?:cancel|neutrali[sz]e|counteract|correct|tone out|control)\w*\s+(?:out\s+)?(?:the\s+)?(?:any\s+)?(yellow|orange|red)\b/);
+  if (neutraliseMatch) unwanted = neutraliseMatch[1];
+  let undertone = unwanted ? NEUTRALISING_UNDERTONES[unwanted] : null;
+  if (!undertone) {
+    undertone = UNDERTONE_KEYWORDS.find(k => new RegExp(`\\b${k}\\b`).test(lower)) || null;
+  }
+  if (level === null && !undertone) return null;
+  const matches = searchShades({ level: level === null ? undefined : level, undertone: undertone || undefined });
+  const parts = [];
+  if (level !== null) parts.push(`level ${level}`);
+  const description = unwanted
+    ? `that cancel ${unwanted} (${undertone} base)`
+    : undertone ? `with a ${undertone} undertone` : '';
+  const heading = `Shades EQ ${parts.length ? parts.join(' ') + ' ' : ''}shades${description ? ' ' + description : ''}`;
+  if (matches.length === 0) {
+    return `No ${heading} in the catalogue.`;
+  }
+  return `${heading}:\n` + matches.map(describeShade).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Toner formula builder
+//
+// Deterministic toner formulas for the demi‑permanent lines in BRAND_RULES.
+// Given the lifted level, the warmth to cancel and the desired result, the
+// builder picks shades using the colour wheel (violet cancels yellow,
+// blue/green cancels orange, green cancels red), splits a bowl into gram
+// amounts and adds the brand's developer, ratio and processing time from
+// BRAND_RULES.  The same input always yields the same formula.
+
+// Undertone preferences for Shades EQ, most specific first.  Each entry is
+// tried in order at the target level before falling back to neighbours.
+const CORRECTIVE_UNDERTONE_PREFS = {
+  yellow: [u => u === 'violet', u => u.startsWith('violet/blue'), u => u.startsWith('blue/violet')],
+  orange: [u => u.includes('controls orange'), u => u.includes('controls red/orange'), u => u.startsWith('blue/green'), u => u.startsWith('blue')],
+  red: [u => u.includes('controls red'), u => u.startsWith('blue/green'), u => u.includes('green')]
+};
+const TONE_UNDERTONE_PREFS = {
+  neutral: [u => u === 'neutral', u => u.startsWith('natural')],
+  natural: [u => u.startsWith('natural'), u => u === 'neutral'],
+  cool: [u => u === 'blue/violet', u => u.startsWith('blue/violet')],
+  ash: [u => u.startsWith('blue ash'), u => u === 'blue/violet', u => u.startsWith('blue')],
+  silver: [u => u.startsWith('silver'), u => u === 'blue/violet'],
+  platinum: [u => u === 'blue/violet', u => u.startsWith('silver')],
+  pearl: [u => u.startsWith('violet/blue')],
+  beige: [u => u.includes('beige')],
+  warm: [u => u === 'neutral/warm', u => u === 'warm gold'],
+  gold: [u => u === 'gold', u => u === 'warm gold'],
+  rose: [u => u.startsWith('gold/rose'), u => u.includes('rose')],
+  copper: [u => u === 'copper', u => u.startsWith('copper')]
+};
+// Pravana Express Tones are named rather than levelled (see BRAND_RULES).
+const EXPRESS_TONES_CORRECTIVE = { yellow: 'Violet', orange: 'Ash', red: 'Ash' };
+const EXPRESS_TONES_TONE = { neutral: 'Natural', natural: 'Natural', cool: 'Platinum', ash: 'Ash', silver: 'Silver', platinum: 'Platinum', pearl: 'Violet', beige: 'Beige', warm: 'Gold', gold: 'Gold', rose: 'Rose', copper: 'Copper' };
+
+/**
+ * Parse a BRAND_RULES ratio string into colour and developer parts.  Ratios
+ * are colour:developer unless the rule's ratioOrder says 'developer:color'
+ * (Goldwell Colorance is written lotion:color).  Returns { rtu: true } for
+ * ready‑to‑use lines and null when the ratio cannot be read.
+ * @param {string} ratio
+ * @param {string} [order]
+ * @returns {{rtu:boolean, color?:number, developer?:number, developerFirst?:boolean}|null}
+ */
+function parseMixingRatio(ratio, order) {
+  const r = String(ratio || '').trim();
+  if (/^rtu$/i.test(r)) return { rtu: true };
+  const m = r.match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+  if (!m) return null;
+  const first = parseFloat(m[1]);
+  const second = parseFloat(m[2]);
+  const developerFirst = order === 'developer:color';
+  return developerFirst
+    ? { rtu: false, color: second, developer: first, developerFirst }
+    : { rtu: false, color: first, developer: second, developerFirst };
+}
+
+/**
+ * Developer needed for an amount of colour under a parsed ratio, rounded to
+ * the nearest half gram.
+ * @param {{color:number, developer:number}} ratio
+ * @param {number} colorGrams
+ * @returns {number}
+ */
+function developerGramsFor(ratio, colorGrams) {
+  return roundHalf((colorGrams * ratio.developer) / ratio.color);
+}
+
+/**
+ * Round to the nearest half unit — finer than any salon scale reads.
+ * @param {number} n
+ * @returns {number}
+ */
+function roundHalf(n) {
+  return Math.round(n * 2) / 2;
+}
+
+/**
+ * Resolve a brand name supplied by a client against a list of brands
+ * (all of BRAND_RULES by default).  Accepts the exact name, any casing, or
+ * a unique fragment such as "shades eq" or "majirel".
+ * @param {string} brand
+ * @param {Array<string>} [candidates]
+ * @returns {string|null}
+ */
+function resolveBrand(brand, candidates = Object.keys(BRAND_RULES)) {
+  const q = normaliseForSearch(brand);
+  if (!q) return null;
+  const exact = candidates.find(b => normaliseForSearch(b) === q);
+  if (exact) return exact;
+  const partial = candidates.filter(b => normaliseForSearch(b).includes(q));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Pick a Shades EQ shade at (or next to) the given level whose undertone
+ * satisfies the first matching preference.  Lighter neighbours are tried
+ * before darker ones so the toner stays sheer.
+ * @param {number} level
+ * @param {Array<Function>} prefs
+ * @returns {Object|null}
+ */
+function pickShadesEqShade(level, prefs) {
+  for (const lvl of [level, level + 1, level - 1]) {
+    const atLevel = shadeCatalogFor().filter(s => s.level === lvl);
+    for (const pref of prefs) {
+      const hit = atLevel.find(s => pref(String(s.undertone).toLowerCase()));
+      if (hit) return hit;
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a bowl into gram amounts for the given parts, rounding to whole
+ * grams and giving any remainder to the first (largest) part.
+ * @param {number} total
+ * @param {Array<number>} parts
+ * @returns {Array<number>}
+ */
+function splitGrams(total, parts) {
+  const sum = parts.reduce((a, b) => a + b, 0);
+  const grams = parts.map(p => Math.round((total * p) / sum));
+  grams[0] += total - grams.reduce((a, b) => a + b, 0);
+  return grams;
+}
+
+/**
+ * Build a toner formula.  Input fields:
+ *   - startLevel:         lifted level of the hair (1–10)
+ *   - undesiredUndertone: 'yellow', 'orange' or 'red'
+ *   - targetLevel:        desired level (defaults to startLevel)
+ *   - targetTone:         desired finish, e.g. 'neutral', 'cool', 'beige'
+ *   - brand:              a demi‑permanent brand from BRAND_RULES
+ *   - colorGrams:         total colour in the bowl (default 60)
+ * Returns the formula object, or { error, detail } when the input is
+ * invalid.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function buildTonerFormula(input = {}) {
+  const demiBrands = brandsInCategory('demi');
+  const brand = resolveBrand(input.brand, demiBrands);
+  if (!brand) {
+    return { error: 'invalid_brand', detail: `Brand must be one of: ${demiBrands.join(', ')}` };
+  }
+  const startLevel = parseInt(input.startLevel, 10);
+  if (isNaN(startLevel) || startLevel < 1 || startLevel > 10) {
+    return { error: 'invalid_start_level', detail: 'startLevel must be a number from 1 to 10' };
+  }
+  const targetLevel = input.targetLevel === undefined || input.targetLevel === null || input.targetLevel === ''
+    ? startLevel
+    : parseInt(input.targetLevel, 10);
+  if (isNaN(targetLevel) || targetLevel < 1 || targetLevel > 10) {
+    return { error: 'invalid_target_level', detail: 'targetLevel must be a number from 1 to 10' };
+  }
+  if (targetLevel > startLevel) {
+    return { error: 'target_level_too_high', detail: 'Demi‑permanent toners deposit only; lift to the target level first' };
+  }
+  const undertone = String(input.undesiredUndertone || '').trim().toLowerCase();
+  if (!NEUTRALISING_UNDERTONES[undertone]) {
+    return { error: 'invalid_undertone', detail: 'undesiredUndertone must be yellow, orange or red' };
+  }
+  const warnings = [];
+  let tone = String(input.targetTone || 'neutral').trim().toLowerCase();
+  if (!TONE_UNDERTONE_PREFS[tone]) {
+    warnings.push(`Unknown target tone "${input.targetTone}"; using neutral.`);
+    tone = 'neutral';
+  }
+  const colorGrams = input.colorGrams !== undefined ? Number(input.colorGrams) : 60;
+  if (!(colorGrams > 0) || colorGrams > 500) {
+    return { error: 'invalid_color_grams', detail: 'colorGrams must be between 1 and 500' };
+  }
+  if (startLevel - targetLevel > 2) {
+    warnings.push('Depositing more than two levels with a demi may look muddy; consider a filler or permanent colour.');
+  }
+  const counter = NEUTRALISING_UNDERTONES[undertone];
+  // Yellow needs only a touch of violet; orange and red need equal parts.
+  const correctiveParts = undertone === 'yellow' ? 1 : 2;
+  const toneParts = 2;
+
+  let shades = [];
+  if (brand === SHADES_EQ_BRAND) {
+    const corrective = pickShadesEqShade(targetLevel, CORRECTIVE_UNDERTONE_PREFS[undertone]);
+    const toneShade = pickShadesEqShade(targetLevel, TONE_UNDERTONE_PREFS[tone]);
+    if (!corrective) {
+      return { error: 'no_matching_shade', detail: `No Shades EQ shade near level ${targetLevel} cancels ${undertone}` };
+    }
+    const picks = [{ shade: corrective, role: 'corrective', parts: correctiveParts }];
+    if (toneShade && toneShade !== corrective) {
+      picks.push({ shade: toneShade, role: 'tone', parts: toneParts });
+    }
+    picks.sort((a, b) => b.parts - a.parts);
+    const grams = splitGrams(colorGrams, picks.map(p => p.parts));
+    shades = picks.map((p, i) => ({
+      code: p.shade.code,
+      name: p.shade.name,
+      level: p.shade.level,
+      undertone: p.shade.undertone,
+      role: p.role,
+      grams: grams[i]
+    }));
+  } else if (brand === 'Pravana ChromaSilk Express Tones') {
+    const correctiveName = EXPRESS_TONES_CORRECTIVE[undertone];
+    const toneName = EXPRESS_TONES_TONE[tone];
+    const picks = [{ name: correctiveName, role: 'corrective', parts: correctiveParts }];
+    if (toneName && toneName !== correctiveName) {
+      picks.push({ name: toneName, role: 'tone', parts: toneParts });
+    }
+    picks.sort((a, b) => b.parts - a.parts);
+    const grams = splitGrams(colorGrams, picks.map(p => p.parts));
+    shades = picks.map((p, i) => ({ code: null, name: p.name, level: null, undertone: null, role: p.role, grams: grams[i] }));
+  } else {
+    // No shade catalogue for this line yet: describe the level and tone
+    // family so the stylist can pick the matching shade from the chart.
+    const picks = [{ name: `Level ${targetLevel} ${counter}`, undertone: counter, role: 'corrective', parts: correctiveParts }];
+    if (tone !== counter) {
+      picks.push({ name: `Level ${targetLevel} ${tone}`, undertone: tone, role: 'tone', parts: toneParts });
+    }
+    picks.sort((a, b) => b.parts - a.parts);
+    const grams = splitGrams(colorGrams, picks.map(p => p.parts));
+    shades = picks.map((p, i) => ({ code: null, name: p.name, level: targetLevel, undertone: p.undertone, role: p.role, grams: grams[i] }));
+    warnings.push(`No shade catalogue for ${brand}; choose the matching shades from the ${brand} chart.`);
+  }
+
+  const rule = resolveBrandRule(brand);
+  const ratio = parseMixingRatio(rule.ratio, rule.ratioOrder);
+  const developerGrams = ratio && !ratio.rtu ? developerGramsFor(ratio, colorGrams) : 0;
+  const [minMinutes, maxMinutes] = rule.processingMinutes;
+  return {
+    brand,
+    startLevel,
+    targetLevel,
+    undesiredUndertone: undertone,
+    targetTone: tone,
+    shades,
+    developer: { name: rule.developer, ratio: rule.ratio, grams: developerGrams },
+    totalGrams: colorGrams + developerGrams,
+    processingMinutes: { min: minMinutes, max: maxMinutes },
+    notes: rule.notes,
+    warnings
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Mixing calculator
+//
+// Turns the BRAND_RULES ratio strings into gram and millilitre amounts for a
+// bowl.  Ratios are read by parseMixingRatio(), so developer‑first ratios
+// (Goldwell Colorance lotion:color) and ready‑to‑use lines are handled in
+// one place.
+
+// Creme developers and activators weigh close to water; salons measure in
+// either unit, so millilitres are reported at this density.
+const DEVELOPER_GRAMS_PER_ML = 1;
+const GRAMS_PER_OUNCE = 28.35;
+
+/**
+ * Find the brands named in a message, by full name or catalogue alias.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function findBrandsInMessage(text) {
+  const normalised = ` ${normaliseForSearch(text)} `;
+  return Object.keys(BRAND_RULES).filter(brand => {
+    const names = [brand, ...(BRAND_RULES[brand].aliases || [])];
+    return names.some(n => normalised.includes(` ${normaliseForSearch(n)} `));
+  });
+}
+
+/**
+ * Find a brand's sub‑line named in a message ("majirel high lift").
+ * Returns the line name as stored in BRAND_RULES, or null.
+ * @param {string} brand
+ * @param {string} text
+ * @returns {string|null}
+ */
+function findBrandLineInMessage(brand, text) {
+  const lines = (BRAND_RULES[brand] && BRAND_RULES[brand].lines) || {};
+  const normalised = ` ${normaliseForSearch(text)} `;
+  return Object.keys(lines).find(name => [name, ...(lines[name].aliases || [])]
+    .some(n => normalised.includes(` ${normaliseForSearch(n)} `))) || null;
+}
+
+/**
+ * Calculate a bowl for a brand.  Input fields:
+ *   - brand:      any brand in BRAND_RULES (name or unique fragment)
+ *   - line:       optional sub‑line with its own ratio ("High Lift")
+ *   - shades:     optional [{ code|name, grams }] for multi‑shade formulas
+ *   - colorGrams: total colour when no shades are listed
+ *   - bowlGrams:  alternatively, the finished bowl weight to split
+ *   - bowls:      number of identical bowls (default 1)
+ * Returns the mix, or { error, detail } for invalid input and for
+ * ready‑to‑use brands, which take no developer.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function calculateMix(input = {}) {
+  const brand = resolveBrand(input.brand);
+  if (!brand) {
+    return { error: 'invalid_brand', detail: `Brand must be one of: ${Object.keys(BRAND_RULES).join(', ')}` };
+  }
+  const rule = resolveBrandRule(brand, input.line);
+  const ratio = parseMixingRatio(rule.ratio, rule.ratioOrder);
+  if (!ratio) {
+    return { error: 'unknown_ratio', detail: `No numeric ratio recorded for ${brand}` };
+  }
+  if (ratio.rtu) {
+    return { error: 'ready_to_use', detail: `${brand} is ready to use; no developer is mixed. ${rule.notes}` };
+  }
+  const bowls = input.bowls !== undefined ? parseInt(input.bowls, 10) : 1;
+  if (isNaN(bowls) || bowls < 1 || bowls > 20) {
+    return { error: 'invalid_bowls', detail: 'bowls must be a whole number from 1 to 20' };
+  }
+  const warnings = [];
+  if (input.line && !rule.line) {
+    warnings.push(`No "${input.line}" line recorded for ${brand}; using the standard ${rule.ratio} ratio.`);
+  }
+  let shades = [];
+  let colorGrams;
+  if (Array.isArray(input.shades) && input.shades.length > 0) {
+    for (const entry of input.shades) {
+      const grams = Number(entry && entry.grams);
+      const label = entry && (entry.code || entry.name);
+      if (!label || !(grams > 0)) {
+        return { error: 'invalid_shades', detail: 'Each shade needs a code or name and a positive grams value' };
+      }
+      let shade = String(label);
+      if (SHADE_CATALOGS[brand]) {
+        const found = findShade(label, brand);
+        if (found) shade = found.code === found.name ? found.name : `${found.code} ${found.name}`;
+        else warnings.push(`"${label}" is not in the ${brand} shade catalogue.`);
+      }
+      shades.push({ shade, grams: roundHalf(grams) });
+    }
+    colorGrams = shades.reduce((sum, s) => sum + s.grams, 0);
+  } else if (input.colorGrams !== undefined) {
+    colorGrams = Number(input.colorGrams);
+  } else if (input.bowlGrams !== undefined) {
+    const bowl = Number(input.bowlGrams);
+    colorGrams = bowl > 0 ? roundHalf((bowl * ratio.color) / (ratio.color + ratio.developer)) : NaN;
+  }
+  if (!(colorGrams > 0) || colorGrams > 1000) {
+    return { error: 'invalid_amount', detail: 'Provide shades, colorGrams or bowlGrams (up to 1000g)' };
+  }
+  const developerGrams = developerGramsFor(ratio, colorGrams);
+  const bowlGrams = roundHalf(colorGrams + developerGrams);
+  return {
+    brand,
+    line: rule.line,
+    ratio: rule.ratio,
+    order: ratio.developerFirst ? 'developer:color' : 'color:developer',
+    shades,
+    colorGrams,
+    developer: {
+      name: rule.developer,
+      grams: developerGrams,
+      ml: roundHalf(developerGrams / DEVELOPER_GRAMS_PER_ML)
+    },
+    bowlGrams,
+    bowls,
+    totals: {
+      colorGrams: roundHalf(colorGrams * bowls),
+      developerGrams: roundHalf(developerGrams * bowls),
+      grams: roundHalf(bowlGrams * bowls)
+    },
+    notes: rule.notes,
+    warnings
+  };
+}
+
+/**
+ * Format a gram amount without a trailing ".0".
+ * @param {number} n
+ * @returns {string}
+ */
+function formatGrams(n) {
+  return `${Number.isInteger(n) ? n : n.toFixed(1)}g`;
+}
+
+/**
+ * Handle mixing questions such as "how much developer for 45g Majirel?",
+ * "mix 30g 09V and 15g 09N shades eq" or "90g bowl of Color Touch".
+ * Returns a reply string or null.
+ * @param {string} lower
+ * @returns {string|null}
+ */
+function handleMixing(lower) {
+  const asksMix = /\b(how much|how many (grams|ml))\b.*\b(developer|activator|emulsion|lotion|processing solution|peroxide|oxidant)\b/.test(lower)
+    || /\b(mix|mixing|bowl)\b/.test(lower);
+  if (!asksMix) return null;
+  const brands = findBrandsInMessage(lower);
+  const amounts = [...lower.matchAll(/(\d+(?:\.\d+)?)\s*(g|grams?|gr|oz|ounces?)\b/g)]
+    .map(m => ({ index: m.index, end: m.index + m[0].length, grams: /^o/.test(m[2]) ? parseFloat(m[1]) * GRAMS_PER_OUNCE : parseFloat(m[1]) }));
+  if (brands.length !== 1) return null;
+  const brand = brands[0];
+  const line = findBrandLineInMessage(brand, lower);
+  const rule = resolveBrandRule(brand, line);
+  const ratio = parseMixingRatio(rule.ratio, rule.ratioOrder);
+  if (ratio && ratio.rtu) {
+    return `${brand} is ready to use — no developer is mixed. ${rule.notes}`;
+  }
+  if (amounts.length === 0) return null;
+  const input = { brand, line };
+  const bowlMatch = amounts.find(a => /^\s*(of\s+)?bowl\b/.test(lower.slice(a.end)) || /\bbowl\s+of\s*$/.test(lower.slice(0, a.index)));
+  if (bowlMatch) {
+    input.bowlGrams = bowlMatch.grams;
+  } else if (amounts.length === 1) {
+    input.colorGrams = amounts[0].grams;
+  } else {
+    // Several amounts: pair each with the shade token that follows it
+    // ("30g 09V + 15g 09N").
+    input.shades = amounts.map(a => {
+      const after = lower.slice(a.end).match(/^\s*(?:of\s+)?([a-z0-9][\w/.-]*)/);
+      return { name: after ? after[1].toUpperCase() : 'Shade', grams: a.grams };
+    });
+  }
+  const bowlsMatch = lower.match(/\b(\d+|two|three|four)\s+bowls\b/);
+  if (bowlsMatch) {
+    const words = { two: 2, three: 3, four: 4 };
+    input.bowls = words[bowlsMatch[1]] || parseInt(bowlsMatch[1], 10);
+  }
+  const mix = calculateMix(input);
+  if (mix.error) return mix.detail;
+  const orderNote = mix.order === 'developer:color' ? ` (${mix.ratio} developer:color)` : ` (${mix.ratio})`;
+  const label = mix.line ? `${brand} ${mix.line}` : brand;
+  const lines = [];
+  if (mix.shades.length > 0) {
+    lines.push(`${label}${orderNote}: ${mix.shades.map(sh => `${formatGrams(sh.grams)} ${sh.shade}`).join(' + ')} = ${formatGrams(mix.colorGrams)} colour.`);
+  } else {
+    lines.push(`${label}${orderNote}: ${formatGrams(mix.colorGrams)} colour.`);
+  }
+  lines.push(`Add ${formatGrams(mix.developer.grams)} (≈${mix.developer.ml} ml) ${mix.developer.name}.`);
+  lines.push(`Bowl total: ${formatGrams(mix.bowlGrams)}.`);
+  if (mix.bowls > 1) {
+    lines.push(`For ${mix.bowls} bowls: ${formatGrams(mix.totals.colorGrams)} colour + ${formatGrams(mix.totals.developerGrams)} developer = ${formatGrams(mix.totals.grams)}.`);
+  }
+  return lines.concat(mix.warnings).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Photo analysis
+//
+// POST /analyze takes a photo (multipart/form-data with an "image",
+// "photo" or "file" field, or a raw image/* body), estimates the hair level
+// and undertone with photo.mjs and maps them to the nearest Shades EQ
+// shades.  When ANALYZE_URL names a vision service the original upload is
+// also sent there and its answer is added under "vision"; that call is
+// optional and never replaces the local result.
+
+const ANALYZE_MAX_BYTES = parseInt(process.env.ANALYZE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const ANALYZE_TIMEOUT_MS = parseInt(process.env.ANALYZE_TIMEOUT_MS, 10) || 30000;
+const UPLOAD_FIELDS = ['image', 'photo', 'file'];
+// Shades EQ undertones that read as each photo undertone, best first.
+const PHOTO_UNDERTONE_PREFS = {
+  neutral: TONE_UNDERTONE_PREFS.neutral,
+  ash: TONE_UNDERTONE_PREFS.ash,
+  gold: [...TONE_UNDERTONE_PREFS.gold, u => u.startsWith('gold')],
+  copper: [...TONE_UNDERTONE_PREFS.copper, u => u.includes('copper')],
+  red: [u => u === 'red' || u === 'red/red', u => u.startsWith('red'), u => u.includes('red')],
+  violet: [u => u === 'violet', u => u.startsWith('violet')],
+  green: [u => u.startsWith('silver/green'), u => u.includes('green')]
+};
+// The warmth a toner would neutralise, keyed by photo undertone.
+const PHOTO_WARMTH = { gold: 'yellow', copper: 'orange', red: 'red' };
+
+/**
+ * Split a multipart/form-data body into its parts.  Returns null when the
+ * content type has no boundary or the body isn't multipart.
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {Array<{name:?string, filename:?string, contentType:?string, data:Buffer}>|null}
+ */
+function parseMultipart(body, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!m) return null;
+  const delimiter = Buffer.from(`--${(m[1] || m[2]).trim()}`);
+  const parts = [];
+  let pos = body.indexOf(delimiter);
+  if (pos < 0) return null;
+  while (pos >= 0) {
+    const start = pos + delimiter.length;
+    // "--" after the delimiter closes the body.
+    if (body[start] === 0x2d && body[start + 1] === 0x2d) break;
+    const headerEnd = body.indexOf('\r\n\r\n', start);
+    if (headerEnd < 0) break;
+    const next = body.indexOf(delimiter, headerEnd + 4);
+    if (next < 0) break;
+    const headers = body.toString('utf8', start, headerEnd);
+    const disposition = /content-disposition:([^\r\n]*)/i.exec(headers);
+    const type = /content-type:\s*([^\r\n;]*)/i.exec(headers);
+    const param = (key) => {
+      const found = disposition && new RegExp(`\\b${key}="([^"]*)"`, 'i').exec(disposition[1]);
+      return found ? found[1] : null;
+    };
+    // The part's data ends with the CRLF that precedes the next delimiter.
+    parts.push({
+      name: param('name'),
+      filename: param('filename'),
+      contentType: type ? type[1].trim().toLowerCase() : null,
+      data: body.subarray(headerEnd + 4, Math.max(headerEnd + 4, next - 2))
+    });
+    pos = next;
+  }
+  return parts;
+}
+
+/**
+ * Pull the image bytes out of an /analyze upload.  Throws a PhotoError
+ * when there is no image to analyse.
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {Buffer}
+ */
+function uploadedImage(body, contentType) {
+  const type = String(contentType || '').toLowerCase();
+  if (type.startsWith('multipart/form-data')) {
+    const parts = parseMultipart(body, contentType);
+    if (!parts) throw new PhotoError('invalid_multipart', 'could not read the multipart body', 400);
+    const part = parts.find(p => UPLOAD_FIELDS.includes(String(p.name).toLowerCase()) && p.data.length)
+      || parts.find(p => p.filename && p.data.length);
+    if (!part) throw new PhotoError('missing_image', 'send the photo in a field named "image", "photo" or "file"', 400);
+    return part.data;
+  }
+  if (type.startsWith('image/') || type.startsWith('application/octet-stream')) {
+    if (!body.length) throw new PhotoError('missing_image', 'the request body is empty', 400);
+    return body;
+  }
+  throw new PhotoError('invalid_upload', 'send multipart/form-data or an image/* body', 400);
+}
+
+/**
+ * The Shades EQ shades closest to a hair colour: the smallest level gap,
+ * then the best undertone match.  Shades without a level (clear, dilution)
+ * are skipped.
+ * @param {{level:number, undertone:string}} hair
+ * @param {number} [limit]
+ * @returns {Array<Object>}
+ */
+function nearestShadesForHair(hair, limit = 3) {
+  const prefs = PHOTO_UNDERTONE_PREFS[hair.undertone] || [];
+  return shadeCatalogFor()
+    .filter(shade => shade.level !== null && shade.level !== undefined)
+    .map((shade, index) => {
+      const undertone = String(shade.undertone).toLowerCase();
+      const rank = prefs.findIndex(pref => pref(undertone));
+      // An undertone miss weighs as much as three levels.
+      const score = Math.abs(shade.level - hair.level) + (rank < 0 ? 3 : rank * 0.5);
+      return { shade, score, index };
+    })
+    .sort((a, b) => a.score - b.score || a.index - b.index)
+    .slice(0, limit)
+    .map(r => r.shade);
+}
+
+/**
+ * Ask the optional vision service at ANALYZE_URL about the original
+ * upload.  Resolves to its JSON (or text) answer, or to { error, detail }
+ * when it fails or takes longer than ANALYZE_TIMEOUT_MS.
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {Promise<Object>}
+ */
+async function visionAnalysis(body, contentType) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), ANALYZE_TIMEOUT_MS);
+  try {
+    const upstreamRes = await fetch(process.env.ANALYZE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType || 'application/octet-stream' },
+      body,
+      signal: controller.signal
+    });
+    const text = await upstreamRes.text();
+    if (!upstreamRes.ok) {
+      return { error: 'vision_failed', detail: `upstream returned ${upstreamRes.status}` };
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      return { text };
+    }
+  } catch (err) {
+    return err.name === 'AbortError'
+      ? { error: 'vision_timeout', detail: `no answer within ${ANALYZE_TIMEOUT_MS} ms` }
+      : { error: 'vision_failed', detail: String(err.message || err) };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Analyse an /analyze upload.  Returns
+ * {
+ *   image:             { type, width, height, bytes },
+ *   palette:           dominant colours, largest first,
+ *   hair:              { hex, level, undertone, lightness, chroma, confidence },
+ *   nearestShades:     the closest Shades EQ shades,
+ *   neutralisingShade: a Shades EQ toner for yellow, orange or red warmth, or null,
+ *   summary:           one line for the stylist,
+ *   vision?:           the vision service's answer when ANALYZE_URL is set
+ * }.  HEIC photos only get a vision answer, so without ANALYZE_URL they
+ * fail like other undecodable images.  Throws a PhotoError for bad uploads.
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {Promise<Object>}
+ */
+async function analyseUpload(body, contentType) {
+  const imageBytes = uploadedImage(body, contentType);
+  const type = detectImageType(imageBytes);
+  const useVision = Boolean(process.env.ANALYZE_URL);
+  if (type === 'heic' && useVision) {
+    return {
+      image: { type, width: null, height: null, bytes: imageBytes.length },
+      palette: [],
+      hair: null,
+      nearestShades: [],
+      neutralisingShade: null,
+      summary: 'HEIC photos can’t be measured on this server; see the vision answer.',
+      vision: await visionAnalysis(body, contentType)
+    };
+  }
+  const analysis = analysePhoto(imageBytes);
+  const { hair } = analysis;
+  const nearestShades = nearestShadesForHair(hair);
+  const warmth = PHOTO_WARMTH[hair.undertone];
+  const neutralisingShade = warmth ? pickShadesEqShade(hair.level, CORRECTIVE_UNDERTONE_PREFS[warmth]) : null;
+  let summary = `Looks like level ${hair.level} with a ${hair.undertone} undertone (confidence ${hair.confidence}).`;
+  if (nearestShades.length) {
+    summary += ` Closest Shades EQ: ${nearestShades.map(s => `${s.code} ${s.name}`).join(', ')}.`;
+  }
+  if (neutralisingShade) {
+    summary += ` To neutralise ${warmth}: ${neutralisingShade.code} ${neutralisingShade.name}.`;
+  }
+  const result = {
+    image: { ...analysis.image, bytes: imageBytes.length },
+    palette: analysis.palette,
+    hair,
+    nearestShades,
+    neutralisingShade: neutralisingShade ? { ...neutralisingShade, neutralises: warmth } : null,
+    summary
+  };
+  if (useVision) result.vision = await visionAnalysis(body, contentType);
+  return result;
+}
+
+// ----------------------------------------------------------------------------
+// Helper: parse JSON body with size limit
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 1e6) {
+        req.socket.destroy();
+        reject(new Error('Payload too large'));
+      }
+    });
+    req.on('end', () => {
+      try {
+        const data = JSON.parse(body || '{}');
+        resolve(data);
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+// Helper: read a raw request body, rejecting with err.code 'too_large'
+// once it passes maxBytes.  The rest of an oversized body is read and
+// dropped rather than the socket destroyed, so the caller can still answer;
+// it should close the connection with that answer.
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    if (parseInt(req.headers['content-length'], 10) > maxBytes) {
+      reject(Object.assign(new Error('Payload too large'), { code: 'too_large' }));
+      return;
+    }
+    let chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      if (!chunks) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        chunks = null;
+        reject(Object.assign(new Error('Payload too large'), { code: 'too_large' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Helper: write a JSON response with the given status code
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Helper: whether a parsed JSON body is an object routes can read fields
+// from (not null, an array or a bare string or number)
+function isJsonObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Helper: decode one percent‑encoded path segment, or null when it is not
+// valid UTF‑8 ("%E0")
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    if (err instanceof URIError) return null;
+    throw err;
+  }
+}
+
+// Words that end a client name when extracting one: pronouns, time and
+// date words and filler.  Verbs, weekdays, months, services and brand words
+// are checked separately.
+const NAME_STOP_WORDS = new Set([
+  'how', 'what', 'who', 'when', 'where', 'why', 'show', 'tell', 'list', 'give', 'display', 'upcoming',
+  'and', 'or', 'with', 'to', 'from', 'by', 'about', 'around', 'please', 'her', 'his', 'him', 'this', 'that',
+  'next', 'last', 'today', 'tonight', 'tomorrow', 'yesterday', 'morning', 'afternoon', 'evening', 'night',
+  'noon', 'midnight', 'week', 'weekend', 'month', 'year', 'day', 'days', 'am', 'pm', 'half', 'quarter',
+  'past', 'same', 'time', 'usual', 'again', 'instead', 'named', 'called', 'someone', 'somebody', 'something',
+  'anyone', 'everyone', 'slot', 'appt',
+  ...SERVICE_KEYWORDS.flatMap(s => s.toLowerCase().split(/[\s‑-]+/))
+]);
+// Lowercase particles allowed inside a capitalised name ("Ana de la Cruz").
+const NAME_PARTICLES = new Set(['de', 'da', 'di', 'du', 'del', 'della', 'der', 'den', 'la', 'le', 'van', 'von', 'bin', 'ibn', 'al']);
+// Words after which a name may be typed in lowercase ("book maria",
+// "for zoë", "client named josé").
+const NAME_CUES = new Set(['for', 'named', 'called', 'book', 'schedule', 'reserve', 'cancel']);
+
+/**
+ * Capitalise a name typed in lowercase ("mary-ann o'neil" → "Mary-Ann
+ * O'Neil").  Names with any capitals are kept as typed ("McKenzie").
+ * @param {string} name
+ * @returns {string}
+ */
+function nameCase(name) {
+  if (name !== name.toLowerCase()) return name;
+  return name.replace(/(^|[\s'’-])(\p{Ll})/gu, (m, before, letter) => before + letter.toUpperCase());
+}
+
+// Extract potential client names from a message, in the order they
+// appear.  Names may span several words ("Mary Ann O'Neil"), contain
+// apostrophes, hyphens and accents ("Zoë", "José"), and are found in three
+// ways: names of known clients (full names, or a first name in any case),
+// words after a cue such as "for" or "client named" (lowercase allowed),
+// and runs of capitalised words.  The last are only guesses, so they are
+// skipped when a known client is mentioned; that way one message can't
+// create several bogus clients.  Brand words, verbs, dates and services
+// are never part of a name.
+function findPotentialNames(text, knownNames = []) {
+  const tokens = String(text || '').normalize('NFC').split(/\s+/).filter(Boolean).map(raw => {
+    let word = raw.replace(/^[^\p{L}]+|[^\p{L}\p{M}]+$/gu, '');
+    const possessive = /['’]s$/.test(word);
+    if (possessive) word = word.slice(0, -2);
+    const lower = word.toLowerCase();
+    const isName = /^\p{L}[\p{L}\p{M}'’-]*$/u.test(word) &&
+      !(VERB_SET.has(lower) || DAYS_OF_WEEK.includes(lower) || SERVICE_SET.has(lower) || GENERIC_WORDS.has(lower) ||
+        BRAND_WORDS_SET.has(lower) || MONTH_WORDS.has(lower) || NAME_STOP_WORDS.has(lower));
+    return {
+      word, lower, isName, key: normaliseName(word), used: false,
+      capitalised: /^\p{Lu}/u.test(word),
+      // A comma, full stop or possessive ends the name.
+      endsName: possessive || /[,.;:!?)]$/.test(raw)
+    };
+  });
+  const found = [];
+  // Known clients, longest names first so "Maria Lopez" wins over "Maria".
+  const known = [...new Set(knownNames)]
+    .map(name => ({ name, keys: normaliseName(name).split(' ').filter(Boolean) }))
+    .filter(k => k.keys.length)
+    .sort((x, y) => y.keys.length - x.keys.length);
+  tokens.forEach((t, i) => {
+    if (t.used) return;
+    const match = known.find(k => k.keys.length > 1 && k.keys.every((key, j) => tokens[i + j] && !tokens[i + j].used && tokens[i + j].key === key));
+    if (!match) return;
+    match.keys.forEach((_, j) => { tokens[i + j].used = true; });
+    found.push({ at: i, name: match.name });
+  });
+  tokens.forEach((t, i) => {
+    // "Sam Smith" isn't the known "Sam"; the run is read as a whole below.
+    const next = tokens[i + 1];
+    if (t.used || !t.isName || (t.capitalised && !t.endsName && next && next.isName && !next.used && next.capitalised)) return;
+    if (known.some(k => k.keys[0] === t.key || k.keys.join(' ') === t.key)) {
+      t.used = true;
+      const exact = known.find(k => k.keys.join(' ') === t.key);
+      found.push({ at: i, name: exact ? exact.name : nameCase(t.word) });
+    }
+  });
+  const knownFound = found.length > 0;
+  // Collect up to four name words from index i.  Lowercase words are only
+  // taken right after a cue; capitalised runs may include particles.
+  const takeName = (i, allowLowercase) => {
+    const words = [];
+    let j = i;
+    while (j < tokens.length && words.length < 4) {
+      const t = tokens[j];
+      if (t.used || !t.isName) break;
+      const particle = NAME_PARTICLES.has(t.lower) && !allowLowercase;
+      if (!allowLowercase && !t.capitalised && !(particle && words.length && tokens[j + 1] && tokens[j + 1].capitalised)) break;
+      words.push(t.word);
+      j++;
+      if (t.endsName) break;
+    }
+    if (!words.length) return;
+    for (let k = i; k < j; k++) tokens[k].used = true;
+    found.push({ at: i, name: nameCase(words.join(' ')) });
+  };
+  tokens.forEach((t, i) => {
+    if (!NAME_CUES.has(t.lower) || t.endsName) return;
+    if (!tokens[i + 1] || tokens[i + 1].used) return;
+    takeName(i + 1, true);
+  });
+  if (!knownFound) {
+    tokens.forEach((t, i) => {
+      if (!t.used && t.isName && t.capitalised) takeName(i, false);
+    });
+  }
+  // "new client Zoë" / "add a client named José": a word after "client"
+  // that isn't a cue itself.
+  tokens.forEach((t, i) => {
+    if (!/^clients?$/.test(t.lower) || t.endsName || !tokens[i + 1] || tokens[i + 1].used) return;
+    if (i > 0 && /^(?:new|add|a|create|register|delete|remove)$/.test(tokens[i - 1].lower)) takeName(i + 1, true);
+  });
+  const names = [];
+  found.sort((x, y) => x.at - y.at).forEach(({ name }) => {
+    if (!names.some(n => normaliseName(n) === normaliseName(name))) names.push(name);
+  });
+  return names;
+}
+
+// Extract service keyword from the message
+function extractService(msg) {
+  const lower = msg.toLowerCase();
+  // Sort by length descending to match multi‑word phrases first.
+  const sorted = [...SERVICE_KEYWORDS].sort((a, b) => b.length - a.length);
+  let found = null;
+  for (const s of sorted) {
+    if (lower.includes(s.toLowerCase())) {
+      found = s;
+      break;
+    }
+  }
+  if (!found) return null;
+  // If the matched term is a generic "appointment" but another specific service
+  // appears in the message, prefer the more specific one.  We re‑scan the
+  // sorted list (excluding "appointment") for any other hits and return the
+  // longest such term.  This prevents naming every booking as "Appointment".
+  if (found.toLowerCase() === 'appointment') {
+    for (const s of sorted) {
+      if (s.toLowerCase() === 'appointment') continue;
+      if (lower.includes(s.toLowerCase())) {
+        found = s;
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Combine the calendar day of one instant with a time of day, both in the
+ * stylist's timezone.  `time` is { hour, minute } or an ISO string whose
+ * local time of day is kept; without either the result is at noon.
+ * @param {string} dayISO
+ * @param {{hour:number, minute:number}|string|null} time
+ * @param {string} timezone
+ * @returns {string}
+ */
+function atTimeOfDay(dayISO, time, timezone) {
+  const [y, mo, d] = localDateKey(dayISO, timezone).split('-').map(n => parseInt(n, 10));
+  let minutes = 12 * 60;
+  if (typeof time === 'string') minutes = localClock(Date.parse(time), timezone).minutes;
+  else if (time) minutes = time.hour * 60 + time.minute;
+  return localTimeToUTCISO(y, mo, d, Math.floor(minutes / 60), minutes % 60, timezone);
+}
+
+/**
+ * Work out where an appointment moves to from text like "Friday 3pm",
+ * "Friday" (same time of day) or "4pm" (same day).  Returns the new ISO
+ * start, or null when the text names neither a day nor a time (or only a
+ * time and there is no current start to take the day from).
+ * @param {string|null} currentISO
+ * @param {string} text
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string|null}
+ */
+function rescheduleTarget(currentISO, text, timezone, nowIso) {
+  const dateISO = parseDateTime(text, timezone, nowIso);
+  const time = parseTimeOfDay(text);
+  if (dateISO) return time ? dateISO : atTimeOfDay(dateISO, currentISO || null, timezone);
+  if (time && currentISO) return atTimeOfDay(currentISO, time, timezone);
+  return null;
+}
+
+/**
+ * Parse the day (and optional time) a message names and return it as a
+ * UTC ISO string, or null when no day is given.  A day without a time of
+ * day falls at noon so it stays on the right date in any timezone; callers
+ * that need to know whether a time was given (or want ranges and
+ * confidence) use parseDateExpression() directly.
+ * @param {string} msg
+ * @param {string} timezone
+ * @param {string} [nowIso]
+ * @returns {string|null}
+ */
+function parseDateTime(msg, timezone, nowIso) {
+  return expressionToISO(parseDateExpression(msg, { timezone, now: nowIso }), timezone);
+}
+
+/**
+ * The single start instant of a parsed date expression: its time when one
+ * was given, otherwise noon on its day.  Null without a day.
+ * @param {Object|null} expr result of parseDateExpression()
+ * @param {string} timezone
+ * @returns {string|null}
+ */
+function expressionToISO(expr, timezone) {
+  if (!expr || !expr.hasDate) return null;
+  return expr.hasTime ? expr.start : atTimeOfDay(expr.start, null, timezone);
+}
+
+// Below this parseDateExpression() confidence a day or time is a guess
+// worth pointing out: "at 3" alone scores 0.56 (today, and 3 PM rather
+// than 3 AM), "tomorrow at half past two" 0.7.
+const DATE_GUESS_CONFIDENCE = 0.75;
+
+/**
+ * Warn when the day or time of proposed appointment actions was guessed
+ * from the message, naming how it was read so the stylist can check it
+ * before committing.  Returns a list of warning strings.
+ * @param {string} message
+ * @param {Array<{type:string,payload:Object}>} actions
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string[]}
+ */
+function dateGuessWarnings(message, actions, timezone, nowIso) {
+  const act = actions.find(a => a.payload && (a.payload.dateISO || (a.payload.changes && a.payload.changes.dateISO)));
+  if (!act) return [];
+  const when = parseDateExpression(message, { timezone, now: nowIso });
+  if (!when || when.confidence >= DATE_GUESS_CONFIDENCE) return [];
+  const changes = act.payload.changes || {};
+  const reading = changes.dateISO
+    ? formatDateForSummary(changes.dateISO, timezone, !changes.dateOnly)
+    : formatDateForSummary(act.payload.dateISO, timezone, !act.payload.dateOnly);
+  return [`⚠️ I read “${when.matched.join(' ')}” as ${reading}; check that’s right.`];
+}
+
+// Detect if the message is asking about a known hair colour brand.  Returns
+// an array of information strings or an empty array if none are found.
+function detectBrandInfo(msg) {
+  const lower = msg.toLowerCase();
+  const info = [];
+  for (const brand of Object.keys(BRAND_RULES)) {
+    if (lower.includes(brand.toLowerCase())) {
+      info.push(describeBrandRule(brand));
+    }
+  }
+  return info;
+}
+
+// Synthesize actions based on the message and context (clients + appointments)
+function extractActions(msg, context, timezone, nowIso) {
+  const actions = [];
+  const lower = msg.toLowerCase();
+  // Determine if the message is question‑like and whether it contains
+  // booking/cancel verbs or service keywords.  This guards against
+  // extracting actions from pure questions (e.g. "How many appointments")
+  // and ensures we only process messages that clearly intend to book
+  // appointments or mention a service.
+  const hasBookingVerb = BOOKING_PHRASES.some(ph => lower.includes(ph));
+  const hasServiceWord = SERVICE_KEYWORDS.some(k => lower.includes(k));
+  const hasCancelVerb = CANCEL_PHRASES.some(ph => lower.includes(ph));
+  const hasClientVerb = CREATE_CLIENT_PHRASES.some(ph => lower.includes(ph)) || DELETE_CLIENT_PHRASES.some(ph => lower.includes(ph));
+  const hasRescheduleVerb = RESCHEDULE_REGEX.test(lower);
+  const questiony = isQuestionLike(msg);
+  if (questiony && !hasBookingVerb && !hasRescheduleVerb) {
+    // Question without booking intent → no actions
+    return [];
+  }
+  if (!hasBookingVerb && !hasServiceWord && !hasCancelVerb && !hasClientVerb && !hasRescheduleVerb) {
+    // No actionable verbs or service words → skip
+    return [];
+  }
+  // Moving an existing appointment ("reschedule Maria to Friday 3pm") is
+  // its own action; "appointment" in the message must not also book one.
+  if (hasRescheduleVerb && !hasCancelVerb) {
+    const update = buildRescheduleAction(msg, context, timezone, nowIso);
+    return update ? [update] : [];
+  }
+  // Determine intent flags
+  const isCancelAppt = CANCEL_PHRASES.some(ph => lower.includes(ph));
+  // "remove appointment" mentions an appointment but isn't a booking.
+  const isBooking = BOOKING_PHRASES.some(ph => lower.includes(ph)) && !isCancelAppt;
+  const isCreateClient = CREATE_CLIENT_PHRASES.some(ph => lower.includes(ph));
+  const isDeleteClient = DELETE_CLIENT_PHRASES.some(ph => lower.includes(ph));
+  const names = findPotentialNames(msg, context.clients || []);
+  const service = extractService(msg);
+  // "every 6 weeks starting Oct 3" books a series; the repeat wording is
+  // removed before the start date is parsed.
+  const recurrence = parseRecurrence(msg, timezone, nowIso);
+  const when = parseDateExpression(recurrence ? recurrence.text : msg, { timezone, now: nowIso });
+  const dateISO = expressionToISO(when, timezone);
+  // Booking logic
+  if (isBooking) {
+    // Choose the last candidate name that is not a month name.  This avoids
+    // picking "September" from phrases like "on September 30".
+    let clientName = null;
+    const monthNames = ['january','february','march','april','may','june','july','august','september','october','november','december','jan','feb','mar','apr','jun','jul','aug','sep','sept','oct','nov','dec'];
+    for (let i = names.length - 1; i >= 0; i--) {
+      const nm = names[i];
+      if (!nm) continue;
+      const lowerNm = nm.toLowerCase();
+      if (!monthNames.includes(lowerNm)) {
+        clientName = nm;
+        break;
+      }
+    }
+    if (!clientName && names.length > 0) {
+      clientName = names[names.length - 1];
+    }
+    // Match the typed name against known clients ("Jen" → Jennifer Lopez);
+    // near‑ties are asked about instead of adding a new client.
+    const resolved = clientName ? resolveClientName(clientName, context.clients) : null;
+    const typedName = clientName;
+    if (resolved) clientName = resolved.name;
+    // Create client if unknown
+    if (resolved && resolved.status === 'new') {
+      actions.push({ type: 'createClient', payload: { name: clientName } });
+    }
+    // Build the appointment payload.  Prefer a properly cased service name
+    // over the generic "Appointment".  The title falls back to the
+    // service word when present; otherwise uses the word "Appointment".
+    const rawTitle = service ? service : 'Appointment';
+    const title = (rawTitle.toLowerCase() === 'appointment' && service)
+      ? properCase(service)
+      : properCase(rawTitle);
+    const payload = { title };
+    if (dateISO) payload.dateISO = dateISO;
+    if (clientName) payload.clientName = clientName;
+    if (resolved && resolved.status === 'ambiguous') {
+      payload.clientQuery = typedName;
+      payload.clientCandidates = resolved.candidates;
+    }
+    if (service) payload.serviceType = service;
+    // "3-5pm" books the whole range rather than the service's usual length.
+    if (dateISO && when.hasTime && when.end !== when.start) {
+      payload.durationMinutes = Math.round((Date.parse(when.end) - Date.parse(when.start)) / 60000);
+    }
+    if (recurrence) payload.recurrence = { ...recurrence.rule, timezone };
+    actions.push({ type: 'createAppointment', payload });
+  }
+  // Cancel appointment
+  if (isCancelAppt) {
+    let clientName = null;
+    const monthNames = ['january','february','march','april','may','june','july','august','september','october','november','december','jan','feb','mar','apr','jun','jul','aug','sep','sept','oct','nov','dec'];
+    for (let i = names.length - 1; i >= 0; i--) {
+      const nm = names[i];
+      if (!nm) continue;
+      const lowerNm = nm.toLowerCase();
+      if (!monthNames.includes(lowerNm)) {
         clientName = nm;
         break;
       }
     }
-    if (!clientName && names.length > 0) {
-      clientName = names[names.length - 1];
+    if (!clientName && names.length > 0) {
+      clientName = names[names.length - 1];
+    }
+    // "cancel Jen's trim" finds Jennifer Lopez's appointment.
+    if (clientName) {
+      clientName = resolveClientName(clientName, knownClientNames(context)).name || clientName;
+    }
+    // Build the appointment payload for deletion.  Like booking, prefer
+    // proper‑cased service names over the generic "Appointment".
+    const rawTitle = service ? service : 'Appointment';
+    const title = (rawTitle.toLowerCase() === 'appointment' && service)
+      ? properCase(service)
+      : properCase(rawTitle);
+    const payload = { title };
+    if (dateISO) payload.dateISO = dateISO;
+    // "cancel Maria on Friday" matches any time that day.
+    if (dateISO && !when.hasTime) payload.dateOnly = true;
+    if (clientName) payload.clientName = clientName;
+    // For a recurring booking: just this visit (default), this and every
+    // later visit, or the whole series.
+    if (/\b(?:all|every)\s+(?:the\s+)?(?:future|remaining|upcoming|later|following)\b|\bfrom (?:then|now) on\b/.test(lower)) {
+      payload.scope = 'future';
+    } else if (/\b(?:whole|entire)\s+series\b|\bthe series\b|\ball of (?:them|her|his)\b/.test(lower)) {
+      payload.scope = 'series';
+    }
+    actions.push({ type: 'deleteAppointment', payload });
+  }
+  // Create client (standalone).  A name close to an existing client's
+  // ("new client Jen" with Jennifer Lopez on file) is still proposed but
+  // carries the likely matches so the reply can warn about a duplicate.
+  if (isCreateClient && !isBooking) {
+    names.forEach(nm => {
+      const resolved = resolveClientName(nm, context.clients);
+      if (resolved.status === 'exact') return;
+      const payload = { name: nm };
+      if (resolved.status !== 'new') {
+        payload.clientQuery = nm;
+        payload.clientCandidates = resolved.status === 'ambiguous' ? resolved.candidates : [resolved.name];
+      }
+      actions.push({ type: 'createClient', payload });
+    });
+  }
+  // Delete client.  "delete client Jen" removes Jennifer Lopez; a name
+  // that could be several clients carries them instead of a name.
+  if (isDeleteClient) {
+    names.forEach(nm => {
+      const resolved = resolveClientName(nm, context.clients);
+      if (resolved.status === 'new') return;
+      const payload = resolved.status === 'ambiguous'
+        ? { clientQuery: nm, clientCandidates: resolved.candidates }
+        : { name: resolved.name };
+      actions.push({ type: 'deleteClient', payload });
+    });
+  }
+  return actions;
+}
+
+/**
+ * The fields that identify a stored appointment in an updateAppointment
+ * payload.
+ * @param {Object} appt
+ * @returns {{appointmentId?:string, title:string, clientName:?string, serviceType:?string, fromISO:string}}
+ */
+function appointmentIdentity(appt) {
+  const identity = { title: appt.title, clientName: appt.clientName || null, serviceType: appt.serviceType || null, fromISO: appt.dateISO };
+  if (appt.id) identity.appointmentId = appt.id;
+  return identity;
+}
+
+/**
+ * The fields that differ between two versions of an appointment, in the
+ * shape of updateAppointment's payload.changes.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Object}
+ */
+function appointmentChanges(before, after) {
+  const changes = {};
+  if (after.dateISO && Date.parse(after.dateISO) !== Date.parse(before.dateISO)) changes.dateISO = after.dateISO;
+  if (after.serviceType && String(after.serviceType).toLowerCase() !== String(before.serviceType || '').toLowerCase()) {
+    changes.serviceType = after.serviceType;
+    changes.title = after.title || properCase(after.serviceType);
+  }
+  if (after.clientName && String(after.clientName).toLowerCase() !== String(before.clientName || '').toLowerCase()) {
+    changes.clientName = after.clientName;
+  }
+  return changes;
+}
+
+/**
+ * Build an updateAppointment action from "reschedule Maria to Friday 3pm",
+ * "move Maria's Tuesday balayage to 4pm" or "change Jenna's trim to a
+ * blowout".  The text before "to" (or before the first "on/for/at" that is
+ * followed by a day or time) identifies the appointment by client, service
+ * and/or day; the rest gives the new day, time or service.  When exactly one
+ * appointment in context matches, its details fill the payload; otherwise
+ * the payload carries what was said and the commit matches it against the
+ * store.  Returns null when nothing would change.
+ * @param {string} msg
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {{type:string, payload:Object}|null}
+ */
+function buildRescheduleAction(msg, context, timezone, nowIso) {
+  let source = msg;
+  let target = '';
+  const toSplit = msg.match(/^(.*)\b(?:to|until|till)\b(.*)$/i);
+  if (toSplit) {
+    source = toSplit[1];
+    target = toSplit[2];
+  } else {
+    for (const m of msg.matchAll(/\b(?:on|for|at)\b/gi)) {
+      const rest = msg.slice(m.index + m[0].length);
+      if (parseDateTime(rest, timezone, nowIso) || parseTimeOfDay(rest)) {
+        source = msg.slice(0, m.index);
+        target = rest;
+        break;
+      }
+    }
+  }
+  const names = findPotentialNames(source, knownClientNames(context));
+  const typedName = names.length > 0 ? names[names.length - 1] : null;
+  const clientName = typedName ? resolveClientName(typedName, knownClientNames(context)).name || typedName : null;
+  const serviceOf = (text) => {
+    const found = extractService(text);
+    return found && found.toLowerCase() !== 'appointment' ? found : null;
+  };
+  const sourceService = serviceOf(source);
+  const targetService = serviceOf(target);
+  const sourceWhen = parseDateExpression(source, { timezone, now: nowIso });
+  const sourceISO = expressionToISO(sourceWhen, timezone);
+  const sourceDateOnly = !!sourceISO && !sourceWhen.hasTime;
+
+  // Without an original day, only upcoming appointments are candidates.
+  const now = Date.parse(nowIso || new Date().toISOString());
+  const pool = (context.appointments || []).filter(a => sourceISO || Date.parse(a.dateISO) >= now);
+  let found = null;
+  for (const serviceType of sourceService ? [sourceService, null] : [null]) {
+    try {
+      found = matchAppointment(pool, { clientName, serviceType, dateISO: sourceISO, dateOnly: sourceDateOnly }, timezone, nowIso);
+      break;
+    } catch (err) {
+      if (!(err instanceof StoreError)) throw err;
+    }
+  }
+  const current = found || {
+    title: properCase(sourceService || 'Appointment'),
+    clientName,
+    serviceType: sourceService,
+    dateISO: sourceISO
+  };
+  const after = { dateISO: rescheduleTarget(current.dateISO, target, timezone, nowIso) };
+  if (targetService) {
+    after.serviceType = targetService;
+    after.title = properCase(targetService);
+  }
+  const changes = appointmentChanges(current, after);
+  if (Object.keys(changes).length === 0) return null;
+  // Without a stored match the time of day isn't known yet: the commit
+  // matches on the day and a new day keeps the appointment's own time.
+  const timeKnown = !!found || (!!sourceISO && !sourceDateOnly);
+  if (changes.dateISO && !timeKnown && !parseTimeOfDay(target)) changes.dateOnly = true;
+  const identity = appointmentIdentity(current);
+  if (!found && sourceDateOnly) identity.fromDateOnly = true;
+  return { type: 'updateAppointment', payload: { ...identity, changes } };
+}
+
+// ---------------------------------------------------------------------------
+// Client name matching
+//
+// Stylists rarely type a client's full name the way it was saved: "Jen" for
+// Jennifer Lopez, "Maria's" for Maria, "Jenifer" for Jennifer.  Names from
+// a message are ranked against the known clients by exact name, first or
+// last name, nickname, prefix and edit distance; a clear winner is used as
+// is, and near‑ties are put back to the stylist instead of silently adding
+// a new client.  The same scores flag likely duplicate client records.
+const NICKNAMES = {
+  alexander: ['alex', 'al', 'xander'], alexandra: ['alex', 'lexi', 'sandra'], andrew: ['andy', 'drew'],
+  anthony: ['tony'], barbara: ['barb', 'babs'], benjamin: ['ben', 'benny'], catherine: ['cat', 'cathy', 'kate', 'katie'],
+  christina: ['chris', 'tina'], christopher: ['chris'], daniel: ['dan', 'danny'], deborah: ['deb', 'debbie'],
+  elizabeth: ['liz', 'lizzie', 'beth', 'betty', 'eliza'], jacqueline: ['jackie'], james: ['jim', 'jimmy', 'jamie'],
+  jennifer: ['jen', 'jenn', 'jenny'], jessica: ['jess', 'jessie'], joseph: ['joe', 'joey'], katherine: ['kate', 'katie', 'kathy', 'kat'],
+  kimberly: ['kim'], margaret: ['maggie', 'meg', 'peggy'], michael: ['mike', 'mikey'], nicholas: ['nick'],
+  nicole: ['nikki'], patricia: ['pat', 'patty', 'trish'], rebecca: ['becky', 'becca'], robert: ['rob', 'bob', 'bobby'],
+  samantha: ['sam', 'sammy'], stephanie: ['steph'], susan: ['sue', 'susie'], theresa: ['tess', 'terry'],
+  victoria: ['vicky', 'tori'], william: ['will', 'bill', 'billy']
+};
+// Matches scoring within this much of the best are treated as a tie.
+const CLIENT_MATCH_TIE = 0.05;
+const CLIENT_MATCH_MIN_SCORE = 0.6;
+
+/**
+ * Lower‑case a name, strip accents, a possessive "'s" and extra spaces.
+ * @param {string} name
+ * @returns {string}
+ */
+function normaliseName(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .replace(/'s?\b/g, '')
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether two first names are the same person's: one is a nickname of the
+ * other, or both are nicknames of the same name.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameGivenName(a, b) {
+  if (a === b) return true;
+  const formsOf = (n) => [n, ...(NICKNAMES[n] || []), ...Object.keys(NICKNAMES).filter(full => NICKNAMES[full].includes(n))];
+  const fa = formsOf(a);
+  return formsOf(b).some(f => fa.includes(f) && (NICKNAMES[f] || f === a || f === b));
+}
+
+/**
+ * Score one name word against another: 1 exact, 0.8 nickname, 0.75
+ * prefix of three letters or more, 0.7/0.65 for one/two typos (two only
+ * on longer names), else 0.
+ * @param {string} typed
+ * @param {string} known
+ * @returns {{score:number, reason:string}}
+ */
+function scoreNameWord(typed, known) {
+  if (typed === known) return { score: 1, reason: 'exact' };
+  if (sameGivenName(typed, known)) return { score: 0.8, reason: 'nickname' };
+  if (typed.length >= 3 && known.startsWith(typed)) return { score: 0.75, reason: 'prefix' };
+  const allowed = typed.length >= 7 ? 2 : typed.length >= 4 ? 1 : 0;
+  const dist = allowed ? editDistance(typed, known) : Infinity;
+  if (dist <= allowed) return { score: 0.75 - 0.05 * dist, reason: 'spelling' };
+  return { score: 0, reason: '' };
+}
+
+/**
+ * Rank known client names against a typed name, best first.  A one‑word
+ * name is compared with each client's first name (0.9 when equal) and last
+ * name (0.85); longer names word by word.  Only scores of at least
+ * CLIENT_MATCH_MIN_SCORE are returned.
+ * @param {string} typed
+ * @param {Array<string>} clients
+ * @returns {Array<{name:string, score:number, reason:string}>}
+ */
+function rankClientMatches(typed, clients) {
+  const q = normaliseName(typed);
+  if (!q) return [];
+  const qWords = q.split(' ');
+  const ranked = [];
+  for (const name of clients || []) {
+    const n = normaliseName(name);
+    if (!n) continue;
+    const nWords = n.split(' ');
+    let best = { score: 0, reason: '' };
+    if (q === n) {
+      best = { score: 1, reason: 'exact' };
+    } else if (qWords.length === 1) {
+      const first = scoreNameWord(q, nWords[0]);
+      best = first.reason === 'exact' ? { score: 0.9, reason: 'first name' } : first;
+      if (nWords.length > 1 && q === nWords[nWords.length - 1] && best.score < 0.85) {
+        best = { score: 0.85, reason: 'last name' };
+      }
+    } else if (qWords.length === nWords.length) {
+      const words = qWords.map((w, i) => scoreNameWord(w, nWords[i]));
+      const score = Math.min(...words.map(w => w.score));
+      const reason = words.find(w => w.reason !== 'exact');
+      if (score > 0) best = { score: Math.min(0.95, score + 0.05), reason: reason ? reason.reason : 'exact' };
+    }
+    if (best.score >= CLIENT_MATCH_MIN_SCORE) ranked.push({ name, score: Math.round(best.score * 100) / 100, reason: best.reason });
+  }
+  return ranked.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+/**
+ * Decide which known client a typed name refers to.  Returns { name,
+ * status, candidates } where status is 'exact', 'matched' (one clear
+ * fuzzy match; name is the stored spelling), 'ambiguous' (candidates lists
+ * the near‑ties and name is null) or 'new' (no match; name is as typed).
+ * @param {string} typed
+ * @param {Array<string>} clients
+ * @returns {{name:?string, status:string, candidates:Array<string>}}
+ */
+function resolveClientName(typed, clients) {
+  const ranked = rankClientMatches(typed, clients);
+  if (ranked.length === 0) return { name: typed, status: 'new', candidates: [] };
+  if (ranked[0].score === 1) return { name: ranked[0].name, status: 'exact', candidates: [] };
+  const close = ranked.filter(r => r.score >= Math.round((ranked[0].score - CLIENT_MATCH_TIE) * 100) / 100);
+  if (close.length > 1) return { name: null, status: 'ambiguous', candidates: close.map(r => r.name) };
+  return { name: ranked[0].name, status: 'matched', candidates: [] };
+}
+
+/**
+ * How likely two client records are the same person, 0–1, with the
+ * reason: same phone or email, the same name spelled differently, a
+ * nickname with the same last name, or a first name only.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {{score:number, reason:string}}
+ */
+function duplicateScore(a, b) {
+  const digits = (p) => String(p || '').replace(/\D/g, '').slice(-10);
+  if (a.phone && b.phone && digits(a.phone).length >= 7 && digits(a.phone) === digits(b.phone)) {
+    return { score: 0.95, reason: 'same phone' };
+  }
+  if (a.email && b.email && a.email.toLowerCase() === b.email.toLowerCase()) {
+    return { score: 0.95, reason: 'same email' };
+  }
+  const na = normaliseName(a.name);
+  const nb = normaliseName(b.name);
+  if (na === nb) return { score: 0.9, reason: 'same name' };
+  const wa = na.split(' ');
+  const wb = nb.split(' ');
+  if (wa.length === wb.length) {
+    const words = wa.map((w, i) => scoreNameWord(w, wb[i]).score || scoreNameWord(wb[i], w).score);
+    if (Math.min(...words) >= 0.7) {
+      const nick = wa.length > 1 && wa.slice(1).join(' ') === wb.slice(1).join(' ') && sameGivenName(wa[0], wb[0]);
+      return { score: 0.85, reason: nick ? 'nickname' : 'similar spelling' };
+    }
+  }
+  if ((wa.length === 1) !== (wb.length === 1)) {
+    const [single, full] = wa.length === 1 ? [wa[0], wb] : [wb[0], wa];
+    if (scoreNameWord(single, full[0]).score >= 0.8) return { score: 0.7, reason: 'first name only' };
+  }
+  return { score: 0, reason: '' };
+}
+
+/**
+ * Every client name the assistant knows of: the client list plus names on
+ * appointments (which may predate the client list).
+ * @param {Object} context
+ * @returns {Array<string>}
+ */
+function knownClientNames(context) {
+  const names = [...(context.clients || []), ...(context.appointments || []).map(a => a.clientName)];
+  const seen = new Set();
+  return names.filter(n => n && !seen.has(n.toLowerCase()) && seen.add(n.toLowerCase()));
+}
+
+/**
+ * Pairs of clients that are likely the same person, most likely first,
+ * for GET /clients/duplicates.
+ * @param {Array<Object>} clients
+ * @returns {Array<{clients:Array<{id:string, name:string}>, score:number, reason:string}>}
+ */
+function findDuplicateClients(clients) {
+  const pairs = [];
+  for (let i = 0; i < clients.length; i++) {
+    for (let j = i + 1; j < clients.length; j++) {
+      const { score, reason } = duplicateScore(clients[i], clients[j]);
+      if (score >= CLIENT_MATCH_MIN_SCORE) {
+        pairs.push({
+          clients: [clients[i], clients[j]].map(c => ({ id: c.id, name: c.name })),
+          score,
+          reason
+        });
+      }
+    }
+  }
+  return pairs.sort((a, b) => b.score - a.score || a.clients[0].name.localeCompare(b.clients[0].name));
+}
+
+// ---------------------------------------------------------------------------
+// Booking slot filling
+//
+// A booking needs a client, a date, a time and a service.  When any of
+// these is missing (or the client is ambiguous) the assistant asks for it
+// instead of proposing a half‑filled appointment.  The response carries a
+// `pending` object the app can render as quick‑reply chips:
+//   { intent: 'createAppointment',
+//     filled:   { clientName, serviceType, date: 'YYYY-MM-DD', time: 'HH:MM' },
+//     missing:  ['date', 'time'],       // slots still to fill
+//     ask:      'date',                 // slot the question is about
+//     question: 'What day should I book …?',
+//     options:  ['Today', 'Tomorrow', …],
+//     candidates?: ['Maria', 'Jenna'] } // when the client is ambiguous
+// The next reply fills whichever slots it mentions (see
+// continuePendingBooking()); once all are filled the booking is proposed
+// as usual.
+const BOOKING_SLOTS = ['client', 'date', 'time', 'service'];
+const TIME_OPTIONS = ['10am', '12pm', '2pm', '4pm'];
+const SERVICE_OPTIONS = ['Haircut', 'Color', 'Balayage', 'Highlights', 'Trim'];
+const MONTH_WORDS = new Set(['january','february','march','april','may','june','july','august','september','october','november','december','jan','feb','mar','apr','jun','jul','aug','sep','sept','oct','nov','dec']);
+
+/**
+ * Format an { hour, minute } time as 'HH:MM'.
+ * @param {{hour:number, minute:number}} time
+ * @returns {string}
+ */
+function formatSlotTime(time) {
+  return `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Quick‑reply date chips: today, tomorrow and the next few weekdays by name.
+ * @param {string} timezone
+ * @param {string} nowISO
+ * @returns {Array<string>}
+ */
+function dateOptions(timezone, nowISO) {
+  const now = new Date(nowISO || Date.now()).getTime();
+  const fmt = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'long' });
+  const options = ['Today', 'Tomorrow'];
+  for (let i = 2; i <= 4; i++) {
+    options.push(fmt.format(new Date(now + i * 24 * 60 * 60 * 1000)));
+  }
+  return options;
+}
+
+/**
+ * Work out which slots are still empty and phrase a question for the first
+ * one.  Returns null when the booking is complete.
+ * @param {{clientName:?string, serviceType:?string, date:?string, time:?string}} filled
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowISO
+ * @param {Array<string>} [candidates] client names to choose between
+ * @returns {Object|null} the pending object
+ */
+function buildPendingBooking(filled, context, timezone, nowISO, candidates = []) {
+  const missing = [];
+  if (!filled.clientName) missing.push('client');
+  if (!filled.date) missing.push('date');
+  if (!filled.time) missing.push('time');
+  if (!filled.serviceType) missing.push('service');
+  if (missing.length === 0) return null;
+  const ask = BOOKING_SLOTS.find(slot => missing.includes(slot));
+  const service = filled.serviceType ? properCase(filled.serviceType) : 'the appointment';
+  const who = filled.clientName ? ` for ${filled.clientName}` : '';
+  let question;
+  let options;
+  if (ask === 'client') {
+    if (candidates.length > 1) {
+      question = `Who is ${service} for — ${candidates.join(' or ')}?`;
+      options = candidates;
+    } else {
+      question = `Who is ${service} for?`;
+      options = (context.clients || []).slice(0, 5);
+    }
+  } else if (ask === 'date') {
+    question = `What day should I book ${service}${who}?`;
+    options = dateOptions(timezone, nowISO);
+  } else if (ask === 'time') {
+    question = `What time${who}?`;
+    options = TIME_OPTIONS;
+  } else {
+    question = `Which service should I book${who}?`;
+    options = SERVICE_OPTIONS;
+  }
+  const pending = { intent: 'createAppointment', filled, missing, ask, question, options };
+  if (ask === 'client' && candidates.length > 1) pending.candidates = candidates;
+  return pending;
+}
+
+/**
+ * Turn a completed set of slots into proposed actions (adding the client
+ * first when they're new).
+ * @param {Object} filled
+ * @param {Object} context
+ * @param {string} timezone
+ * @returns {Array<{type:string,payload:Object}>}
+ */
+function actionsForFilledBooking(filled, context, timezone) {
+  const actions = [];
+  const resolved = resolveClientName(filled.clientName, context.clients || []);
+  if (resolved.status === 'new') {
+    actions.push({ type: 'createClient', payload: { name: filled.clientName } });
+  }
+  const [y, mo, d] = filled.date.split('-').map(n => parseInt(n, 10));
+  const [h, mi] = filled.time.split(':').map(n => parseInt(n, 10));
+  const payload = {
+    title: properCase(filled.serviceType),
+    ...(resolved.name ? { clientName: resolved.name } : {}),
+    serviceType: filled.serviceType,
+    dateISO: localTimeToUTCISO(y, mo, d, h, mi, timezone),
+    ...(filled.durationMinutes ? { durationMinutes: filled.durationMinutes } : {}),
+    ...(filled.recurrence ? { recurrence: filled.recurrence } : {})
+  };
+  if (resolved.status === 'ambiguous') {
+    payload.clientQuery = filled.clientName;
+    payload.clientCandidates = resolved.candidates;
+  }
+  actions.push({ type: 'createAppointment', payload });
+  return actions;
+}
+
+/**
+ * Warnings for proposed actions whose typed client name matched the
+ * client list only loosely (payload.clientQuery and clientCandidates): a
+ * new client who may already be on file, or a name that could be more
+ * than one client.
+ * @param {Array<{type:string,payload:Object}>} actions
+ * @returns {string[]}
+ */
+function clientMatchWarnings(actions) {
+  return actions.filter(a => a.payload && a.payload.clientCandidates).map(a => {
+    const { clientQuery, clientCandidates } = a.payload;
+    return a.type === 'createClient'
+      ? `⚠️ “${clientQuery}” may already be a client: ${clientCandidates.join(', ')}.`
+      : `⚠️ “${clientQuery}” matches more than one client: ${clientCandidates.join(', ')}.`;
+  });
+}
+
+/**
+ * Check a freshly extracted booking for missing or ambiguous slots.
+ * Returns the pending object to ask about, or null when the booking can be
+ * proposed as is.
+ * @param {string} msg
+ * @param {Object} payload createAppointment payload from extractActions()
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowISO
+ * @returns {Object|null}
+ */
+function pendingForBooking(msg, payload, context, timezone, nowISO) {
+  const time = parseTimeOfDay(msg);
+  const candidates = payload.clientCandidates || findPotentialNames(msg, context.clients || []);
+  const ambiguous = candidates.length > 1;
+  const filled = {
+    clientName: ambiguous ? null : (payload.clientName || null),
+    serviceType: payload.serviceType && payload.serviceType.toLowerCase() !== 'appointment' ? payload.serviceType : null,
+    date: payload.dateISO ? localDateKey(payload.dateISO, timezone) : null,
+    time: time ? formatSlotTime(time) : null
+  };
+  if (payload.durationMinutes) filled.durationMinutes = payload.durationMinutes;
+  if (payload.recurrence) filled.recurrence = payload.recurrence;
+  return buildPendingBooking(filled, context, timezone, nowISO, ambiguous ? candidates : []);
+}
+
+/**
+ * Fill a pending booking from the stylist's next reply.  Every slot the
+ * reply mentions is taken, with bare answers ("3", "maria", "a gloss")
+ * accepted for the slot that was asked about.  Returns an assistant result
+ * (another question, or the proposed actions once complete), or null when
+ * the reply doesn't answer the question so it can be handled normally.
+ * @param {string} message
+ * @param {Object} pending
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowISO
+ * @returns {Object|null}
+ */
+function continuePendingBooking(message, pending, context, timezone, nowISO) {
+  const lower = message.toLowerCase().replace(/[’‘]/g, "'").trim();
+  if (/^(?:never ?mind|forget it|cancel|stop|no thanks)\b/.test(lower)) {
+    return { reply: '👍 Okay, I won’t book that.', actions: [], warnings: [] };
+  }
+  // A question of its own drops the open one (finish() clears it) rather
+  // than having its dates read as answers.
+  if (isStandaloneQuery(message, context, timezone, nowISO)) return null;
+  const words = lower.split(/\s+/).filter(Boolean);
+  const filled = { ...pending.filled };
+  let answered = false;
+
+  const dateISO = parseDateTime(message, timezone, nowISO);
+  if (dateISO) {
+    filled.date = localDateKey(dateISO, timezone);
+    answered = true;
+  }
+  let time = parseTimeOfDay(message);
+  if (!time && pending.ask === 'time') {
+    // A bare hour: "3".  Small hours mean afternoon.
+    const m = lower.match(/^(\d{1,2})$/);
+    if (m && parseInt(m[1], 10) <= 23) {
+      let hour = parseInt(m[1], 10);
+      if (hour >= 1 && hour <= 7) hour += 12;
+      time = { hour, minute: 0 };
+    }
+  }
+  if (time) {
+    filled.time = formatSlotTime(time);
+    answered = true;
+  }
+  const service = extractService(message);
+  if (service && service.toLowerCase() !== 'appointment') {
+    filled.serviceType = service;
+    answered = true;
+  } else if (pending.ask === 'service' && !answered && words.length <= 3 && !isQuestionLike(message)) {
+    filled.serviceType = lower.replace(/^(?:an?|the)\s+/, '');
+    answered = true;
+  }
+  let names = findPotentialNames(message, context.clients || []);
+  if (pending.candidates) {
+    // "Maria Lopez", or just "Lopez", picks one of the offered clients.
+    const picked = pending.candidates.find(c => lower.includes(c.toLowerCase()))
+      || resolveClientName(lower, pending.candidates).name;
+    if (picked && pending.candidates.includes(picked)) names = [picked];
+  }
+  let candidates = [];
+  const takeClient = (typed) => {
+    const resolved = resolveClientName(typed, context.clients || []);
+    filled.clientName = resolved.name;
+    candidates = resolved.candidates;
+    answered = true;
+  };
+  if (names.length > 0 && (pending.ask === 'client' || /\bfor\b/.test(lower))) {
+    takeClient(names[names.length - 1]);
+  } else if (pending.ask === 'client' && !answered && words.length <= 3 && /^[\p{L}\p{M}'’ -]+$/u.test(lower) && !isQuestionLike(message)) {
+    takeClient(nameCase(lower));
+  }
+  if (!answered) return null;
+
+  const next = buildPendingBooking(filled, context, timezone, nowISO, candidates);
+  if (next) {
+    return { reply: next.question, actions: [], warnings: [], pending: next };
+  }
+  const actions = actionsForFilledBooking(filled, context, timezone);
+  return { reply: summarizeActions(actions, timezone), actions, warnings: clientMatchWarnings(actions) };
+}
+
+// Compose a reply and actions for /assistant requests
+function assistantResponse(body) {
+  const message = (body.message || '').trim();
+  const timezone = body.timezone || 'America/Los_Angeles';
+  const nowISO = body.nowISO || new Date().toISOString();
+  const context = body.context || {};
+  context.clients = context.clients || [];
+  context.appointments = context.appointments || [];
+  if (!message) {
+    return { reply: 'Missing message', actions: [], warnings: [] };
+  }
+  // Client formula history and patch tests ("what did I use on Maria last
+  // time?"), ahead of the shade and brand Q&A that would otherwise answer
+  // "what toner did I use on Maria?".
+  const profileReply = handleClientProfile(message.toLowerCase().replace(/[’‘]/g, "'"), context, timezone, nowISO);
+  if (profileReply) {
+    return { reply: profileReply, actions: [], warnings: [] };
+  }
+  // Mixing calculator ("how much developer for 45g Majirel?")
+  const mixReply = handleMixing(message.toLowerCase().replace(/[’‘]/g, "'"));
+  if (mixReply) {
+    return { reply: mixReply, actions: [], warnings: [] };
+  }
+  // Shades EQ catalogue Q&A (codes, names, level/undertone questions)
+  const shadeReply = handleShades(message.toLowerCase().replace(/[’‘]/g, "'"));
+  if (shadeReply) {
+    return { reply: shadeReply, actions: [], warnings: [] };
+  }
+  // Hair formula Q&A
+  const info = detectBrandInfo(message);
+  if (info.length > 0) {
+    return { reply: info.join('\n'), actions: [], warnings: [] };
+  }
+  // Abilities question
+  let lower = message.toLowerCase();
+  // Normalise curly apostrophes to straight quotes for consistent intent matching.
+  lower = lower.replace(/[’‘]/g, "'");
+  if (lower.includes('abilities') || lower.includes('what can you do')) {
+    const reply = 'I can answer questions about hair colour brands and formulas. I can also help you add, remove or view clients, and schedule, modify or cancel appointments. Just ask me what you need.';
+    return { reply, actions: [], warnings: [] };
+  }
+
+  // -----------------------------------------------------------------------
+  // Pre‑LLM lightweight intent detection
+  // Before extracting actions or invoking the language model, we handle
+  // simple analytical queries directly.  These cover free time ("when can
+  // I fit a colour this week?"), counts (how many clients/appointments),
+  // listings (upcoming or next appointments and
+  // appointments on specific dates), aggregates (most booked client this
+  // month/week) and analytics (busiest day, service mix, rebooking…).  If
+  // any of these helpers return a reply, we return it immediately without
+  // actions.
+  {
+    // Use the existing lowercase message for matching.  When context is
+    // missing, fall back to empty arrays.
+    const availabilityReply = handleAvailability(lower, context, timezone, nowISO);
+    if (availabilityReply) {
+      return { reply: availabilityReply, actions: [], warnings: [] };
+    }
+    const countsReply = handleCounts(lower, context, timezone, nowISO);
+    if (countsReply) {
+      return { reply: countsReply, actions: [], warnings: [] };
+    }
+    const listingsReply = handleListings(lower, context, timezone, nowISO);
+    if (listingsReply) {
+      return { reply: listingsReply, actions: [], warnings: [] };
+    }
+    const aggregatesReply = handleAggregates(lower, context, timezone, nowISO);
+    if (aggregatesReply) {
+      return { reply: aggregatesReply, actions: [], warnings: [] };
+    }
+    const statsReply = handleStats(lower, context, timezone, nowISO);
+    if (statsReply) {
+      return { reply: statsReply, actions: [], warnings: [] };
+    }
+  }
+
+  // After handling counts/listings/aggregates, if the message is still
+  // question‑like and lacks explicit booking or cancel verbs, skip
+  // action extraction and respond with the friendly fallback.  This
+  // prevents queries like "How many appointments" from creating
+  // bogus clients or appointments.
+  {
+    const questiony = isQuestionLike(message);
+    const hasBookingVerb = BOOKING_PHRASES.some(ph => lower.includes(ph));
+    const hasCancelVerb = CANCEL_PHRASES.some(ph => lower.includes(ph));
+    const hasRescheduleVerb = RESCHEDULE_REGEX.test(lower);
+    if (questiony && !hasBookingVerb && !hasCancelVerb && !hasRescheduleVerb) {
+      return { reply: "Hmm, I didn’t catch that. Try asking me about formulas, clients, or appointments.", actions: [], warnings: [] };
+    }
+  }
+  // Synthesize actions
+  const actions = extractActions(message, context, timezone, nowISO);
+  if (actions.length === 0) {
+    return { reply: "Hmm, I didn’t catch that. Try asking me about formulas, clients, or appointments.", actions: [], warnings: [] };
+  }
+  // Ask for any missing booking details before proposing anything.
+  const booking = actions.find(a => a.type === 'createAppointment');
+  if (booking) {
+    const pending = pendingForBooking(message, booking.payload, context, timezone, nowISO);
+    if (pending) {
+      return { reply: pending.question, actions: [], warnings: clientMatchWarnings([booking]), pending };
+    }
+  }
+  // A removal that could be more than one client is asked about rather
+  // than proposed.
+  const warnings = clientMatchWarnings(actions);
+  const proposed = actions.filter(a => a.type !== 'deleteClient' || a.payload.name);
+  if (proposed.length === 0) {
+    return { reply: `Which client should I remove — ${actions[0].payload.clientCandidates.join(' or ')}?`, actions: [], warnings };
+  }
+  // Build a friendly summary of the actions instead of a generic heading
+  const summary = summarizeActions(proposed, timezone);
+  return { reply: summary, actions: proposed, warnings: [...warnings, ...dateGuessWarnings(message, proposed, timezone, nowISO)] };
+}
+
+// ---------------------------------------------------------------------------
+// Client profiles and formula history
+//
+// Client records carry contact details, notes, allergies, the last patch
+// test and the formulas used at past visits (see store.mjs).  The assistant
+// answers "what did I use on Maria last time?" from that history; /assistant
+// reads the profiles from the store as context.clientProfiles.
+const FORMULA_QUESTION_REGEX = /\b(?:what (?:did i|have i|we) (?:use|used|mix|mixed|do|did)|what (?:formula|colou?r|shades?|toner) (?:did|have) (?:i|we) (?:use|used|mix|mixed)|(?:last|previous|usual) (?:formula|colou?r|toner|mix)|formula (?:history|log)|formulas? (?:for|on))\b/;
+const PATCH_TEST_QUESTION_REGEX = /\b(?:allerg\w*|patch[- ]?test\w*|sensitiv\w*)\b/;
+// Patch tests are redone after six months.
+const PATCH_TEST_VALID_DAYS = 183;
+
+/**
+ * Find the client a message is about: a full name, or a first name that
+ * only one client has.
+ * @param {string} lower
+ * @param {Array<Object>} profiles
+ * @returns {Object|null}
+ */
+function findClientProfile(lower, profiles) {
+  const mentions = (name) => new RegExp(`(?:^|[^a-z])${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:'s)?(?![a-z])`).test(lower);
+  const full = profiles.filter(p => p.name && mentions(p.name)).sort((a, b) => b.name.length - a.name.length);
+  if (full.length) return full[0];
+  const byFirst = profiles.filter(p => p.name && mentions(p.name.split(/\s+/)[0]));
+  return byFirst.length === 1 ? byFirst[0] : null;
+}
+
+/**
+ * One line describing a formula: "Redken Shades EQ 09V + 09T, Processing
+ * Solution, 20 min".
+ * @param {Object} formula
+ * @returns {string}
+ */
+function describeFormula(formula) {
+  const parts = [`${formula.brand} ${formula.shades.join(' + ')}`];
+  if (formula.developer) parts.push(formula.developer);
+  if (formula.processingMinutes) parts.push(formatMinutes(formula.processingMinutes));
+  return parts.join(', ');
+}
+
+/**
+ * Describe a client's allergies and patch test, flagging a missing or
+ * stale test.  Returns '' when there is nothing to say.
+ * @param {Object} profile
+ * @param {string} nowIso
+ * @returns {string}
+ */
+function describePatchTest(profile, nowIso) {
+  const lines = [];
+  if (profile.allergies) lines.push(`⚠️ Allergies: ${profile.allergies}.`);
+  if (profile.patchTestDate) {
+    const age = Math.floor((Date.parse(nowIso || new Date().toISOString()) - Date.parse(profile.patchTestDate)) / 86400000);
+    const when = formatDateForSummary(`${profile.patchTestDate}T12:00:00Z`, 'UTC').split(' •')[0];
+    lines.push(age > PATCH_TEST_VALID_DAYS
+      ? `⚠️ Last patch test ${when} — over six months ago, so redo it before colouring.`
+      : `Patch test ${when}.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Handle questions about a client's formula history ("what did I use on
+ * Maria last time?", "Maria's formula history") and allergies or patch
+ * test.  Returns a reply string or null.
+ * @param {string} lower
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowIso
+ * @returns {string|null}
+ */
+function handleClientProfile(lower, context, timezone, nowIso) {
+  const asksFormula = FORMULA_QUESTION_REGEX.test(lower);
+  const asksPatchTest = PATCH_TEST_QUESTION_REGEX.test(lower) && !asksFormula;
+  if (!asksFormula && !asksPatchTest) return null;
+  const profile = findClientProfile(lower, Array.isArray(context.clientProfiles) ? context.clientProfiles : []);
+  if (!profile) return null;
+  const patchTest = describePatchTest(profile, nowIso);
+  if (asksPatchTest) {
+    return patchTest || `No allergies or patch test recorded for ${profile.name}.`;
+  }
+  const formulas = [...(profile.formulas || [])].sort((a, b) => Date.parse(b.dateISO) - Date.parse(a.dateISO));
+  if (formulas.length === 0) {
+    return `No formulas recorded for ${profile.name} yet.` + (patchTest ? `\n${patchTest}` : '');
+  }
+  const day = (f) => formatDateForSummary(f.dateISO, timezone).split(' •')[0];
+  let reply;
+  if (/\b(?:history|log|all|every)\b|\bformulas\b/.test(lower)) {
+    const MAX_LINES = 5;
+    const lines = formulas.slice(0, MAX_LINES).map(f => `${day(f)} • ${describeFormula(f)}${f.notes ? ` — ${f.notes}` : ''}`);
+    if (formulas.length > MAX_LINES) lines.push(`…and ${formulas.length - MAX_LINES} earlier.`);
+    reply = `Formula history for ${profile.name}:\n` + lines.join('\n');
+  } else {
+    const last = formulas[0];
+    reply = `Last time (${day(last)}) you used ${describeFormula(last)} on ${profile.name}.`;
+    if (last.notes) reply += `\nResult: ${last.notes}`;
+  }
+  return patchTest ? `${reply}\n${patchTest}` : reply;
+}
+
+/**
+ * Serve a client's formula history:
+ *   GET    /clients/:id/formulas             → { formulas } newest first
+ *   POST   /clients/:id/formulas             → the new formula (201)
+ *   DELETE /clients/:id/formulas/:formulaId  → { ok: true }
+ * The brand must be one of BRAND_RULES (any casing or a unique fragment).
+ * Returns false when the path isn't a formula route.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function handleFormulaRoutes(req, res, path) {
+  const m = path.match(/^\/clients\/([^/]+)\/formulas(?:\/([^/]+))?\/?$/);
+  if (!m) return false;
+  const clientId = decodePathSegment(m[1]);
+  const formulaId = m[2] ? decodePathSegment(m[2]) : null;
+  if (clientId === null || (m[2] && formulaId === null)) {
+    sendJson(res, 400, { error: 'invalid_path', detail: 'client and formula ids must be URL-encoded UTF-8' });
+    return true;
+  }
+  try {
+    if (!formulaId && req.method === 'GET') {
+      const formulas = await store.listFormulas(clientId);
+      if (formulas) sendJson(res, 200, { formulas });
+      else sendJson(res, 404, { error: 'client_not_found' });
+    } else if (!formulaId && req.method === 'POST') {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: 'invalid_json' });
+        return true;
+      }
+      if (!isJsonObject(body)) {
+        sendJson(res, 400, { error: 'invalid_json', detail: 'body must be a JSON object' });
+        return true;
+      }
+      const brand = resolveBrand(body.brand || '');
+      if (!brand) {
+        sendJson(res, 400, { error: 'invalid_brand', detail: `Brand must be one of: ${Object.keys(BRAND_RULES).join(', ')}` });
+        return true;
+      }
+      const formula = await store.addFormula(clientId, { ...body, brand });
+      if (formula) sendJson(res, 201, formula);
+      else sendJson(res, 404, { error: 'client_not_found' });
+    } else if (formulaId && req.method === 'DELETE') {
+      const removed = await store.deleteFormula(clientId, formulaId);
+      if (removed) sendJson(res, 200, { ok: true });
+      else sendJson(res, 404, { error: 'formula_not_found' });
+    } else {
+      sendJson(res, 405, { error: 'method_not_allowed' });
+    }
+  } catch (err) {
+    if (err instanceof StoreError) {
+      sendJson(res, err.status, { error: err.code, detail: err.message });
+    } else {
+      throw err;
     }
-    // Create client if unknown
-    if (clientName && !context.clients.some(n => n.toLowerCase() === clientName.toLowerCase())) {
-      actions.push({ type: 'createClient', payload: { name: clientName } });
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Client and appointment store
+//
+// Clients and appointments persist server‑side so every device sees the same
+// calendar.  STORE_FILE points at the JSON file (default ./data/store.json).
+const store = createFileStore(process.env.STORE_FILE || fileURLToPath(new URL('./data/store.json', import.meta.url)));
+
+/**
+ * Build an assistant context ({ clients, appointments }) from the store, in
+ * the same shape the app sends: client names plus appointment summaries.
+ * @returns {Promise<Object>}
+ */
+async function contextFromStore() {
+  const clients = await store.listClients();
+  const appointments = await store.listAppointments();
+  return {
+    clients: clients.map(c => c.name),
+    appointments: appointments.map(a => ({
+      id: a.id,
+      dateISO: a.dateISO,
+      title: a.title,
+      clientName: a.clientName,
+      serviceType: a.serviceType,
+      durationMinutes: a.durationMinutes,
+      recurrence: a.recurrence
+    }))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Action proposals
+//
+// /assistant never changes data by itself.  When it proposes actions it
+// returns a proposalId; the app then calls
+// POST /assistant/actions/:id/commit to apply them to the store as one
+// transaction (all or nothing), or /discard to drop them.  Proposals live
+// in memory and expire after PROPOSAL_TTL_MS.
+const PROPOSAL_TTL_MS = 30 * 60 * 1000;
+const proposals = new Map();
+
+/**
+ * Register proposed actions and return the proposal record.  Its status
+ * moves from 'pending' to 'committed' or 'discarded'; committed proposals
+ * keep their results so conversations can refer back to them.
+ * @param {Array<{type:string,payload:Object}>} actions
+ * @param {string} timezone
+ * @param {string} [nowISO] the request's "now", used again when committing
+ * @returns {{id:string, actions:Array, timezone:string, nowISO:?string, createdAt:number, status:string}}
+ */
+function createProposal(actions, timezone, nowISO) {
+  const now = Date.now();
+  for (const [id, p] of proposals) {
+    if (now - p.createdAt > PROPOSAL_TTL_MS) proposals.delete(id);
+  }
+  const proposal = { id: randomUUID(), actions, timezone, nowISO: nowISO || null, createdAt: now, status: 'pending' };
+  proposals.set(proposal.id, proposal);
+  return proposal;
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of an instant in the given timezone.
+ * @param {string|Date} iso
+ * @param {string} timezone
+ * @returns {string}
+ */
+function localDateKey(iso, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(iso));
+}
+
+/**
+ * Find the single stored appointment an action refers to, narrowing by
+ * client, day and service (and the exact time, unless payload.dateOnly
+ * says only the day was named).  Throws a StoreError when none or several
+ * match.
+ * @param {Array<Object>} appointments
+ * @param {Object} payload
+ * @param {string} timezone
+ * @param {string} [nowISO] the request's "now", for picking a series' next visit
+ * @returns {Object}
+ */
+function matchAppointment(appointments, payload, timezone, nowISO) {
+  let candidates = appointments;
+  if (payload.clientName) {
+    const name = payload.clientName.toLowerCase();
+    candidates = candidates.filter(a => String(a.clientName || '').toLowerCase() === name);
+  }
+  if (payload.dateISO) {
+    const day = localDateKey(payload.dateISO, timezone);
+    candidates = candidates.filter(a => localDateKey(a.dateISO, timezone) === day);
+  }
+  const service = String(payload.serviceType || payload.title || '').toLowerCase();
+  if (service && service !== 'appointment' && candidates.length > 1) {
+    const byService = candidates.filter(a => [a.serviceType, a.title].some(v => String(v || '').toLowerCase() === service));
+    if (byService.length > 0) candidates = byService;
+  }
+  if (candidates.length > 1 && payload.dateISO && !payload.dateOnly) {
+    const exact = candidates.filter(a => new Date(a.dateISO).getTime() === new Date(payload.dateISO).getTime());
+    if (exact.length === 1) candidates = exact;
+  }
+  if (candidates.length > 1 && candidates.every(a => a.seriesId && a.seriesId === candidates[0].seriesId)) {
+    // Visits of one series: "Maria's root touch up" means the next one.
+    const now = Date.parse(nowISO || new Date().toISOString());
+    candidates = [candidates.find(a => Date.parse(a.dateISO) >= now) || candidates[candidates.length - 1]];
+  }
+  if (candidates.length === 0) {
+    throw new StoreError('appointment_not_found', 'no matching appointment', 404);
+  }
+  if (candidates.length > 1) {
+    throw new StoreError('appointment_ambiguous', `${candidates.length} appointments match; be more specific`, 409);
+  }
+  return candidates[0];
+}
+
+/**
+ * Apply one proposed action inside a store transaction.  Returns the
+ * result entry ({ status: 'applied' | 'unchanged', detail?, record? });
+ * throws a StoreError when the action cannot be applied.
+ * @param {Object} tx
+ * @param {{type:string,payload:Object}} act
+ * @param {string} timezone
+ * @param {string} [nowISO] the "now" of the request that proposed it
+ * @returns {Promise<Object>}
+ */
+async function applyAction(tx, act, timezone, nowISO) {
+  const payload = act.payload || {};
+  const nowMs = Date.parse(nowISO || new Date().toISOString());
+  switch (act.type) {
+    case 'createClient': {
+      const existing = await tx.findClientByName(payload.name || '');
+      if (existing) return { status: 'unchanged', detail: 'already a client', record: existing };
+      return { status: 'applied', record: await tx.createClient({ name: payload.name }) };
     }
-    // Build the appointment payload.  Prefer a properly cased service name
-    // over the generic "Appointment".  The title falls back to the
-    // service word when present; otherwise uses the word "Appointment".
-    const rawTitle = service ? service : 'Appointment';
-    const title = (rawTitle.toLowerCase() === 'appointment' && service)
-      ? properCase(service)
-      : properCase(rawTitle);
-    const payload = { title };
-    if (dateISO) payload.dateISO = dateISO;
-    if (clientName) payload.clientName = clientName;
-    if (service) payload.serviceType = service;
-    actions.push({ type: 'createAppointment', payload });
+    case 'deleteClient': {
+      const client = await tx.findClientByName(payload.name || '');
+      if (!client) throw new StoreError('client_not_found', 'no client with that name', 404);
+      await tx.deleteClient(client.id);
+      return { status: 'applied', record: client };
+    }
+    case 'createAppointment': {
+      if (!payload.dateISO) throw new StoreError('invalid_appointment', 'no date or time given');
+      return { status: 'applied', record: await tx.createAppointment(payload) };
+    }
+    case 'deleteAppointment': {
+      const stored = await tx.listAppointments();
+      const appointment = matchAppointment(expandAroundNow(stored, nowMs), payload, timezone, nowISO);
+      if (!appointment.seriesId) {
+        await tx.deleteAppointment(appointment.id);
+        return { status: 'applied', record: appointment };
+      }
+      const series = stored.find(a => a.id === appointment.seriesId);
+      if (payload.scope === 'series' || (payload.scope === 'future' && appointment.occurrence === 0)) {
+        await tx.deleteAppointment(series.id);
+      } else if (payload.scope === 'future') {
+        // End the series just before this visit.
+        const until = new Date(Date.parse(appointment.dateISO) - 60000).toISOString();
+        await tx.updateAppointment(series.id, { recurrence: { ...series.recurrence, until } });
+      } else {
+        const exdates = [...(series.recurrence.exdates || []), appointment.dateISO];
+        await tx.updateAppointment(series.id, { recurrence: { ...series.recurrence, exdates } });
+      }
+      return { status: 'applied', record: appointment };
+    }
+    case 'updateAppointment': {
+      const stored = await tx.listAppointments();
+      const visits = expandAroundNow(stored, nowMs);
+      const appointment = (payload.appointmentId && (stored.find(a => a.id === payload.appointmentId) || visits.find(a => a.id === payload.appointmentId)))
+        || matchAppointment(visits, { clientName: payload.clientName, serviceType: payload.serviceType, title: payload.title, dateISO: payload.fromISO, dateOnly: payload.fromDateOnly }, timezone, nowISO);
+      const { dateOnly, ...changes } = payload.changes || {};
+      // A new day without a time keeps the appointment's time of day.
+      if (dateOnly && changes.dateISO) changes.dateISO = atTimeOfDay(changes.dateISO, appointment.dateISO, timezone);
+      if (Object.keys(changes).length === 0) {
+        return { status: 'unchanged', detail: 'nothing to change', record: appointment };
+      }
+      const previous = { ...appointment };
+      if (appointment.seriesId) {
+        // Moving one visit of a series: skip it in the series and book it
+        // on its own at the new time.
+        const series = stored.find(a => a.id === appointment.seriesId);
+        const exdates = [...(series.recurrence.exdates || []), appointment.dateISO];
+        await tx.updateAppointment(series.id, { recurrence: { ...series.recurrence, exdates } });
+        const { title, clientName, serviceType, dateISO, durationMinutes } = appointment;
+        const record = await tx.createAppointment({ title, clientName, serviceType, dateISO, durationMinutes, ...changes });
+        return { status: 'applied', record, previous };
+      }
+      return { status: 'applied', record: await tx.updateAppointment(appointment.id, changes), previous };
+    }
+    default:
+      throw new StoreError('unknown_action', `unsupported action ${act.type}`);
+  }
+}
+
+/**
+ * Commit a proposal: apply all of its actions in one transaction.  If any
+ * action fails, the transaction rolls back and every result reports what
+ * would have happened.  Returns { committed, results, reply }.
+ * @param {Object} proposal
+ * @returns {Promise<Object>}
+ */
+async function commitProposal(proposal) {
+  const results = [];
+  let committed = true;
+  try {
+    await store.transaction(async (tx) => {
+      let failed = false;
+      for (const act of proposal.actions) {
+        if (failed) {
+          results.push({ ...act, status: 'skipped', detail: 'not attempted' });
+          continue;
+        }
+        try {
+          results.push({ ...act, ...(await applyAction(tx, act, proposal.timezone, proposal.nowISO)) });
+        } catch (err) {
+          if (!(err instanceof StoreError)) throw err;
+          results.push({ ...act, status: 'failed', error: err.code, detail: err.message });
+          failed = true;
+        }
+      }
+      if (failed) throw new StoreError('proposal_failed', 'rolled back');
+    });
+  } catch (err) {
+    if (!(err instanceof StoreError)) throw err;
+    committed = false;
+    // Nothing was persisted, so earlier successes were undone.
+    for (const r of results) {
+      if (r.status === 'applied') {
+        r.status = 'rolled_back';
+        delete r.record;
+        delete r.previous;
+      }
+    }
+  }
+  return { committed, results, reply: summarizeResults(results, proposal.timezone, committed) };
+}
+
+// ---------------------------------------------------------------------------
+// Conversation sessions
+//
+// /assistant returns a sessionId for the app to send with its next message
+// and keeps recent turns server‑side.  IDs are only ever issued by the
+// server: an unknown or expired ID starts a new session under a fresh one,
+// so a guessed ID can't reach someone else's thread.  Short follow‑ups such as "make it 3pm
+// instead", "for Jenna" or "cancel that one" are resolved against the
+// previous turn's proposal, and the LLM fallback receives recent turns as
+// context.  Sessions live in memory, expire after SESSION_TTL_MS and are
+// kept only once a turn is recorded; past MAX_SESSIONS the least recently
+// used is dropped.
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_SESSIONS = 1000;
+const MAX_SESSION_TURNS = 20;
+const LLM_HISTORY_TURNS = 6;
+// Sessions by ID, least recently used first.
+const sessions = new Map();
+
+/**
+ * Fetch the session for an ID the server issued, or start a new one under
+ * a fresh ID when it is missing, unknown or expired.  A new session is
+ * stored by recordTurn().
+ * @param {string} [sessionId]
+ * @returns {{id:string, turns:Array, lastProposal:Object|null, pending:Object|null, updatedAt:number}}
+ */
+function getSession(sessionId) {
+  const now = Date.now();
+  for (const [id, sess] of sessions) {
+    if (now - sess.updatedAt > SESSION_TTL_MS) sessions.delete(id);
+  }
+  const session = typeof sessionId === 'string' ? sessions.get(sessionId) : null;
+  return session || { id: randomUUID(), turns: [], lastProposal: null, pending: null, updatedAt: now };
+}
+
+/**
+ * Append a user message and the assistant's reply to a session, storing
+ * the session if it is new.
+ * @param {Object} session
+ * @param {string} message
+ * @param {string} reply
+ */
+function recordTurn(session, message, reply) {
+  session.turns.push({ role: 'user', content: message }, { role: 'assistant', content: reply });
+  if (session.turns.length > MAX_SESSION_TURNS) {
+    session.turns.splice(0, session.turns.length - MAX_SESSION_TURNS);
+  }
+  session.updatedAt = Date.now();
+  // Re‑inserting keeps the Map in least‑recently‑used order.
+  sessions.delete(session.id);
+  sessions.set(session.id, session);
+  while (sessions.size > MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+}
+
+/**
+ * The appointment a follow‑up refers to: the booking or move proposed in
+ * the last turn (pending) or, once committed, the stored record.  Returns
+ * { payload, appointment, committed } where payload is the appointment as
+ * it would be after the proposal and appointment identifies the stored
+ * appointment (null for a new booking), or null.
+ * @param {Object} proposal
+ * @returns {{payload:Object, appointment:Object|null, committed:boolean}|null}
+ */
+function lastBooking(proposal) {
+  if (!proposal) return null;
+  const isAppointmentAction = (a) => a.type === 'createAppointment' || a.type === 'updateAppointment';
+  if (proposal.status === 'pending') {
+    const act = proposal.actions.find(isAppointmentAction);
+    if (!act) return null;
+    if (act.type === 'createAppointment') return { payload: act.payload, appointment: null, committed: false };
+    const { changes = {}, ...identity } = act.payload;
+    return {
+      payload: {
+        title: changes.title || identity.title,
+        clientName: changes.clientName || identity.clientName,
+        serviceType: changes.serviceType || identity.serviceType,
+        dateISO: changes.dateISO || identity.fromISO
+      },
+      appointment: identity,
+      committed: false
+    };
+  }
+  if (proposal.status === 'committed') {
+    const r = (proposal.results || []).find(x => isAppointmentAction(x) && x.record);
+    if (!r) return null;
+    const { title, clientName, serviceType, dateISO } = r.record;
+    return { payload: { title, clientName, serviceType, dateISO }, appointment: appointmentIdentity(r.record), committed: true };
+  }
+  return null;
+}
+
+/**
+ * Whether a message asks something of its own — a question, or a count,
+ * listing, aggregate or stats query — rather than replying to the last
+ * turn.  Follow‑ups and answers to an open question check this first, so
+ * "on Friday how many appointments do I have?" isn't read as "move it to
+ * Friday".
+ * @param {string} message
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowISO
+ * @returns {boolean}
+ */
+function isStandaloneQuery(message, context, timezone, nowISO) {
+  const lower = message.toLowerCase().replace(/[’‘]/g, "'").trim();
+  return isQuestionLike(lower)
+    || handleCounts(lower, context, timezone, nowISO) !== null
+    || handleListings(lower, context, timezone, nowISO) !== null
+    || handleAggregates(lower, context, timezone, nowISO) !== null
+    || handleStats(lower, context, timezone, nowISO) !== null;
+}
+
+/**
+ * Resolve a short follow‑up against the session's previous proposal.
+ * Handles "cancel that one" / "undo" and changes to the time, date, client
+ * or service of the last booking.  Returns an assistant result
+ * ({ reply, actions, warnings }) or null when the message is not a
+ * follow‑up, including any isStandaloneQuery().
+ * @param {string} message
+ * @param {Object} session
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowISO
+ * @returns {Object|null}
+ */
+function resolveFollowUp(message, session, context, timezone, nowISO) {
+  const last = session.lastProposal;
+  if (!last || isStandaloneQuery(message, context, timezone, nowISO)) return null;
+  const lower = message.toLowerCase().replace(/[’‘]/g, "'").trim();
+  const words = lower.split(/\s+/).filter(Boolean);
+  if (words.length > 10) return null;
+
+  // "cancel that one", "undo", "scratch that"
+  const isUndo = /^(?:no[,\s]+)?(?:undo|never ?mind|scratch that|forget (?:it|that))\b/.test(lower)
+    || /^(?:no[,\s]+)?(?:cancel|remove|delete|drop)\s+(?:that|it|this)(?:\s+one)?\b/.test(lower);
+  if (isUndo) {
+    if (last.status === 'pending') {
+      proposals.delete(last.id);
+      last.status = 'discarded';
+      const lines = last.actions
+        .map(act => describeAction(act, timezone))
+        .filter(Boolean)
+        .map(d => `👍 Okay, I won’t ${d.verb.toLowerCase()} ${d.what}.`);
+      return { reply: lines.join('\n') || '👍 Okay, dropped that.', actions: [], warnings: [] };
+    }
+    const booking = lastBooking(last);
+    if (!booking) return null;
+    const actions = [{ type: 'deleteAppointment', payload: booking.payload }];
+    return { reply: summarizeActions(actions, timezone), actions, warnings: [] };
+  }
+
+  // Changes to the last booking: "make it 3pm instead", "for Jenna",
+  // "move it to Friday", "actually a trim"
+  const isChange = /^(?:(?:no|actually|oh|sorry|wait|ok|okay)[,\s]+)*(?:make it|change it|move it|switch it|do it|for|at|on|to)\b/.test(lower)
+    || /\binstead\b/.test(lower);
+  if (!isChange) return null;
+  const booking = lastBooking(last);
+  if (!booking) return null;
+  const updated = { ...booking.payload };
+  let changed = false;
+
+  const newDateISO = rescheduleTarget(updated.dateISO || null, message, timezone, nowISO);
+  if (newDateISO) {
+    updated.dateISO = newDateISO;
+    changed = true;
+  }
+  const service = extractService(message);
+  if (service && service.toLowerCase() !== 'appointment') {
+    updated.serviceType = service;
+    updated.title = properCase(service);
+    delete updated.durationMinutes;
+    changed = true;
+  }
+  // "for Jen" is matched against the client list like a new booking; a
+  // name that could be several clients leaves the client as it was and
+  // carries the candidates so the reply can ask.
+  const names = findPotentialNames(message, context.clients || []);
+  if (/\bfor\b/.test(lower) && names.length > 0) {
+    const typed = names[names.length - 1];
+    const resolved = resolveClientName(typed, context.clients || []);
+    delete updated.clientQuery;
+    delete updated.clientCandidates;
+    if (resolved.status === 'ambiguous') {
+      updated.clientQuery = typed;
+      updated.clientCandidates = resolved.candidates;
+    } else {
+      updated.clientName = resolved.name;
+      changed = true;
+    }
+  }
+  if (!changed) {
+    if (!updated.clientCandidates) return null;
+    return {
+      reply: `Who is it for — ${updated.clientCandidates.join(' or ')}?`,
+      actions: [],
+      warnings: clientMatchWarnings([{ type: 'createAppointment', payload: updated }])
+    };
+  }
+
+  const actions = [];
+  if (updated.clientName && resolveClientName(updated.clientName, context.clients || []).status === 'new') {
+    actions.push({ type: 'createClient', payload: { name: updated.clientName } });
+  }
+  if (!booking.committed) {
+    // Replace the pending proposal rather than stacking a second one.
+    proposals.delete(last.id);
+    last.status = 'discarded';
+  }
+  if (booking.appointment) {
+    const { fromISO, ...identity } = booking.appointment;
+    const changes = appointmentChanges({ ...identity, dateISO: fromISO }, updated);
+    if (Object.keys(changes).length === 0) {
+      return { reply: '👍 Okay, I’ll leave it as it was.', actions: [], warnings: [] };
+    }
+    actions.push({ type: 'updateAppointment', payload: { ...booking.appointment, changes } });
+  } else {
+    actions.push({ type: 'createAppointment', payload: updated });
+  }
+  return { reply: summarizeActions(actions, timezone), actions, warnings: clientMatchWarnings([{ type: 'createAppointment', payload: updated }]) };
+}
+
+/**
+ * Serve the /clients and /appointments REST routes:
+ *   GET    /clients                 list clients
+ *   POST   /clients                 create { name }
+ *   GET    /clients/:id             fetch one
+ *   PATCH  /clients/:id (or PUT)    update fields
+ *   DELETE /clients/:id             remove
+ *   GET    /appointments?from&to&client&expand (expand=1 lists each visit
+ *                                    of a recurring series)
+ *   POST   /appointments            create { dateISO, title, clientName, serviceType }
+ *   GET|PATCH|PUT|DELETE /appointments/:id
+ * Returns true when the request was handled.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} path
+ * @param {URLSearchParams} params
+ * @returns {Promise<boolean>}
+ */
+async function handleStoreRoutes(req, res, path, params) {
+  const m = path.match(/^\/(clients|appointments)(?:\/([^/]+))?\/?$/);
+  if (!m) return false;
+  const kind = m[1];
+  const id = m[2] ? decodePathSegment(m[2]) : null;
+  if (m[2] && id === null) {
+    sendJson(res, 400, { error: 'invalid_path', detail: 'ids must be URL-encoded UTF-8' });
+    return true;
+  }
+  const isClients = kind === 'clients';
+  const notFound = isClients ? 'client_not_found' : 'appointment_not_found';
+  let body = {};
+  if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
+    try {
+      body = await readJson(req);
+    } catch (err) {
+      sendJson(res, 400, { error: 'invalid_json' });
+      return true;
+    }
+    if (!isJsonObject(body)) {
+      sendJson(res, 400, { error: 'invalid_json', detail: 'body must be a JSON object' });
+      return true;
+    }
+  }
+  try {
+    if (!id && req.method === 'GET') {
+      let items = isClients
+        ? await store.listClients()
+        : await store.listAppointments({ from: params.get('from'), to: params.get('to'), client: params.get('client') });
+      if (!isClients && ['1', 'true'].includes(params.get('expand'))) {
+        // Recurring series as individual visits within from/to.
+        const from = params.get('from') ? Date.parse(params.get('from')) : NaN;
+        const to = params.get('to') ? Date.parse(params.get('to')) : NaN;
+        items = isNaN(from) && isNaN(to)
+          ? expandAroundNow(items)
+          : expandAppointments(items, isNaN(from) ? -Infinity : from, isNaN(to) ? Infinity : to);
+      }
+      sendJson(res, 200, { [kind]: items });
+    } else if (!id && req.method === 'POST') {
+      const item = isClients ? await store.createClient(body) : await store.createAppointment(body);
+      sendJson(res, 201, item);
+    } else if (id && req.method === 'GET') {
+      const item = isClients ? await store.getClient(id) : await store.getAppointment(id);
+      if (item) sendJson(res, 200, item);
+      else sendJson(res, 404, { error: notFound });
+    } else if (id && (req.method === 'PUT' || req.method === 'PATCH')) {
+      const item = isClients ? await store.updateClient(id, body) : await store.updateAppointment(id, body);
+      if (item) sendJson(res, 200, item);
+      else sendJson(res, 404, { error: notFound });
+    } else if (id && req.method === 'DELETE') {
+      const removed = isClients ? await store.deleteClient(id) : await store.deleteAppointment(id);
+      if (removed) sendJson(res, 200, { ok: true });
+      else sendJson(res, 404, { error: notFound });
+    } else {
+      sendJson(res, 405, { error: 'method_not_allowed' });
+    }
+  } catch (err) {
+    if (err instanceof StoreError) {
+      sendJson(res, err.status, { error: err.code, detail: err.message });
+    } else {
+      throw err;
+    }
+  }
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// LLM tools
+//
+// The fallback model is offered tools: read‑only lookups over the
+// request's context (clients, appointments, client profiles) and proposals
+// for createClient, createAppointment, deleteAppointment and deleteClient.
+// A proposal is checked the way a local one is — names resolved with
+// resolveClientName(), bookings built by actionsForFilledBooking(),
+// cancellations pinned to one visit with matchAppointment() — and a call
+// that doesn't check out is answered with { error, detail } so the model
+// can correct it or ask.  Accepted proposals are worded by
+// summarizeActions() and confirmed like any other; the model never changes
+// the calendar itself.  LLM_TOOLS=0 turns tools off for models without
+// function calling.
+
+const LLM_TOOLS_ENABLED = process.env.LLM_TOOLS !== '0';
+// Model turns per message; the last one is offered no tools so it answers.
+const LLM_TOOL_ROUNDS = 4;
+// Most results a lookup returns.
+const LLM_LOOKUP_LIMIT = 25;
+const LLM_TOOLS_PROMPT = `You can look up the stylist's clients, appointments and client profiles, and propose calendar changes, with the tools provided. Today is {{today}}; dates and times are local to {{timezone}}. Look things up rather than guessing (for example who usually comes in on a given weekday), only propose changes the stylist asked for, and ask when the client, service, day or time is unclear. Proposals are shown to the stylist to confirm; nothing changes until they do.`;
+const DAY_ARGUMENT = { type: 'string', description: 'Local date, YYYY-MM-DD' };
+const LLM_TOOLS = [
+  llmTool('findClients', 'Search the stylist\'s clients by name (forgiving of typos and nicknames). An empty query lists them all.', {
+    query: { type: 'string', description: 'Full or partial client name' }
+  }),
+  llmTool('listAppointments', 'List appointments, oldest first, optionally narrowed by date range, client and weekday.', {
+    from: { ...DAY_ARGUMENT, description: 'First local date to include, YYYY-MM-DD' },
+    to: { ...DAY_ARGUMENT, description: 'Last local date to include, YYYY-MM-DD' },
+    clientName: { type: 'string' },
+    weekday: { type: 'string', description: 'Day of the week, e.g. "Thursday"' }
+  }),
+  llmTool('getClientProfile', 'A client\'s notes, allergies, patch test date and recent colour formulas.', {
+    name: { type: 'string' }
+  }, ['name']),
+  llmTool('createClient', 'Propose adding a new client.', {
+    name: { type: 'string', description: 'Full name' }
+  }, ['name']),
+  llmTool('createAppointment', 'Propose booking an appointment. A client who isn\'t on the list yet is added with it.', {
+    clientName: { type: 'string' },
+    service: { type: 'string', description: 'e.g. "gloss", "haircut", "balayage"' },
+    date: DAY_ARGUMENT,
+    time: { type: 'string', description: 'Local start time, 24-hour HH:MM' },
+    durationMinutes: { type: 'integer', description: 'Only when the stylist gave a length' }
+  }, ['clientName', 'service', 'date', 'time']),
+  llmTool('deleteAppointment', 'Propose cancelling one upcoming appointment, or one on the given date.', {
+    clientName: { type: 'string' },
+    date: DAY_ARGUMENT,
+    time: { type: 'string', description: 'Local start time, 24-hour HH:MM' },
+    service: { type: 'string' }
+  }, ['clientName']),
+  llmTool('deleteClient', 'Propose removing a client.', {
+    name: { type: 'string' }
+  }, ['name'])
+];
+
+/**
+ * An OpenAI function definition for LLM_TOOLS.
+ * @param {string} name
+ * @param {string} description
+ * @param {Object} properties JSON Schema properties of the arguments
+ * @param {Array<string>} [required]
+ * @returns {Object}
+ */
+function llmTool(name, description, properties, required = []) {
+  return {
+    type: 'function',
+    function: { name, description, parameters: { type: 'object', properties, required, additionalProperties: false } }
+  };
+}
+
+/**
+ * Check a 'YYYY-MM-DD' tool argument or query parameter.  Returns it, or
+ * null when it isn't a real date.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function dayArgument(value) {
+  const m = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3] ? m[0] : null;
+}
+
+/**
+ * Check an 'HH:MM' (24‑hour) tool argument.  Returns it zero‑padded, or
+ * null.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function timeArgument(value) {
+  const m = String(value || '').trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return m ? `${m[1].padStart(2, '0')}:${m[2]}` : null;
+}
+
+/**
+ * Resolve a client name from a tool call against known names.  Returns
+ * { name } for a known client, { name, isNew: true } for an unknown one, or
+ * { error, detail } when the name is missing or matches several clients.
+ * @param {*} typed
+ * @param {Array<string>} names
+ * @returns {Object}
+ */
+function resolveToolClient(typed, names) {
+  const text = typeof typed === 'string' ? typed.trim().replace(/\s+/g, ' ') : '';
+  if (!text || text.length > 100) return { error: 'invalid_client', detail: 'give the client\'s name' };
+  const match = resolveClientName(text, names);
+  if (match.status === 'ambiguous') {
+    return { error: 'client_ambiguous', detail: `"${text}" could be ${match.candidates.join(', ')}; ask which one` };
   }
-  // Cancel appointment
-  if (isCancelAppt) {
-    let clientName = null;
-    const monthNames = ['january','february','march','april','may','june','july','august','september','october','november','december','jan','feb','mar','apr','jun','jul','aug','sep','sept','oct','nov','dec'];
-    for (let i = names.length - 1; i >= 0; i--) {
-      const nm = names[i];
-      if (!nm) continue;
-      const lowerNm = nm.toLowerCase();
-      if (!monthNames.includes(lowerNm)) {
-        clientName = nm;
-        break;
+  return match.status === 'new' ? { name: nameCase(text), isNew: true } : { name: match.name };
+}
+
+/**
+ * Run one tool call from the model against the request's context.
+ * Returns { result } to send back to the model and, for an accepted
+ * proposal, the actions it adds.  Invalid calls get { error, detail }.
+ * @param {{name:string, arguments:?Object}} call
+ * @param {Object} context
+ * @param {string} timezone
+ * @param {string} nowISO the request's "now"
+ * @returns {{result:Object, actions?:Array<Object>}}
+ */
+function runLLMTool(call, context, timezone, nowISO) {
+  const args = call.arguments;
+  if (!args) return { result: { error: 'invalid_arguments', detail: 'arguments must be a JSON object' } };
+  const clients = context.clients || [];
+  const appointments = context.appointments || [];
+  const propose = (actions) => ({ result: { proposed: summarizeActions(actions, timezone) }, actions });
+  switch (call.name) {
+    case 'findClients': {
+      const known = knownClientNames(context);
+      const query = typeof args.query === 'string' ? args.query.trim() : '';
+      const names = query ? rankClientMatches(query, known).map(r => r.name) : [...known].sort((a, b) => a.localeCompare(b));
+      return { result: { clients: names.slice(0, LLM_LOOKUP_LIMIT), total: names.length } };
+    }
+    case 'listAppointments': {
+      const from = args.from ? dayArgument(args.from) : null;
+      const to = args.to ? dayArgument(args.to) : null;
+      if ((args.from && !from) || (args.to && !to)) return { result: { error: 'invalid_date', detail: 'dates must be YYYY-MM-DD' } };
+      const weekday = args.weekday ? String(args.weekday).trim().toLowerCase().slice(0, 3) : null;
+      if (weekday && !WEEKDAY_KEYS.includes(weekday)) return { result: { error: 'invalid_weekday', detail: 'use a day name such as "Thursday"' } };
+      let client = null;
+      if (args.clientName) {
+        client = resolveToolClient(args.clientName, knownClientNames(context));
+        if (client.error) return { result: client };
       }
+      const found = appointments
+        .map(a => ({ appt: a, clock: localClock(Date.parse(a.dateISO), timezone) }))
+        .filter(({ appt, clock }) => !isNaN(Date.parse(appt.dateISO))
+          && (!from || clock.dateKey >= from) && (!to || clock.dateKey <= to)
+          && (!weekday || clock.weekday === weekday)
+          && (!client || String(appt.clientName || '').toLowerCase() === client.name.toLowerCase()))
+        .sort((a, b) => Date.parse(a.appt.dateISO) - Date.parse(b.appt.dateISO));
+      return {
+        result: {
+          appointments: found.slice(0, LLM_LOOKUP_LIMIT).map(({ appt, clock }) => ({
+            clientName: appt.clientName || null,
+            service: appt.serviceType || appt.title || 'Appointment',
+            date: clock.dateKey,
+            time: `${String(Math.floor(clock.minutes / 60)).padStart(2, '0')}:${String(clock.minutes % 60).padStart(2, '0')}`,
+            weekday: properCase(DAYS_OF_WEEK[WEEKDAY_KEYS.indexOf(clock.weekday)]),
+            durationMinutes: appointmentDuration(appt)
+          })),
+          total: found.length
+        }
+      };
     }
-    if (!clientName && names.length > 0) {
-      clientName = names[names.length - 1];
+    case 'getClientProfile': {
+      const profiles = Array.isArray(context.clientProfiles) ? context.clientProfiles : [];
+      const client = resolveToolClient(args.name, profiles.map(p => p.name).filter(Boolean));
+      if (client.error) return { result: client };
+      const profile = profiles.find(p => p.name === client.name);
+      if (!profile) return { result: { error: 'client_not_found', detail: `no profile for ${client.name}` } };
+      const formulas = [...(profile.formulas || [])].sort((a, b) => Date.parse(b.dateISO) - Date.parse(a.dateISO));
+      return {
+        result: {
+          name: profile.name,
+          notes: profile.notes || null,
+          allergies: profile.allergies || null,
+          patchTestDate: profile.patchTestDate || null,
+          formulas: formulas.slice(0, 5).map(f => ({
+            date: localDateKey(f.dateISO, timezone),
+            formula: describeFormula(f),
+            ...(f.notes ? { notes: f.notes } : {})
+          }))
+        }
+      };
     }
-    // Build the appointment payload for deletion.  Like booking, prefer
-    // proper‑cased service names over the generic "Appointment".
-    const rawTitle = service ? service : 'Appointment';
-    const title = (rawTitle.toLowerCase() === 'appointment' && service)
-      ? properCase(service)
-      : properCase(rawTitle);
-    const payload = { title };
-    if (dateISO) payload.dateISO = dateISO;
-    if (clientName) payload.clientName = clientName;
-    actions.push({ type: 'deleteAppointment', payload });
-  }
-  // Create client (standalone)
-  if (isCreateClient && !isBooking) {
-    names.forEach(nm => {
-      if (!context.clients.some(c => c.toLowerCase() === nm.toLowerCase())) {
-        actions.push({ type: 'createClient', payload: { name: nm } });
+    case 'createClient': {
+      const client = resolveToolClient(args.name, clients);
+      if (client.error) return { result: client };
+      if (!client.isNew) return { result: { error: 'client_exists', detail: `${client.name} is already a client` } };
+      return propose([{ type: 'createClient', payload: { name: client.name } }]);
+    }
+    case 'createAppointment': {
+      const client = resolveToolClient(args.clientName, clients);
+      if (client.error) return { result: client };
+      const service = typeof args.service === 'string' ? args.service.trim().toLowerCase() : '';
+      const date = dayArgument(args.date);
+      const time = timeArgument(args.time);
+      if (!service) return { result: { error: 'missing_service', detail: 'ask which service' } };
+      if (!date) return { result: { error: 'invalid_date', detail: 'date must be YYYY-MM-DD' } };
+      if (!time) return { result: { error: 'invalid_time', detail: 'time must be 24-hour HH:MM' } };
+      const duration = args.durationMinutes;
+      if (duration !== undefined && duration !== null && !(Number.isInteger(duration) && duration >= 5 && duration <= 720)) {
+        return { result: { error: 'invalid_duration', detail: 'durationMinutes must be a whole number from 5 to 720' } };
       }
-    });
-  }
-  // Delete client
-  if (isDeleteClient) {
-    names.forEach(nm => {
-      if (context.clients.some(c => c.toLowerCase() === nm.toLowerCase())) {
-        actions.push({ type: 'deleteClient', payload: { name: nm } });
+      return propose(actionsForFilledBooking({
+        clientName: client.name,
+        serviceType: service,
+        date,
+        time,
+        ...(duration ? { durationMinutes: duration } : {})
+      }, context, timezone));
+    }
+    case 'deleteAppointment': {
+      const client = resolveToolClient(args.clientName, knownClientNames(context));
+      if (client.error) return { result: client };
+      const date = args.date ? dayArgument(args.date) : null;
+      const time = args.time ? timeArgument(args.time) : null;
+      if (args.date && !date) return { result: { error: 'invalid_date', detail: 'date must be YYYY-MM-DD' } };
+      if (args.time && !(time && date)) return { result: { error: 'invalid_time', detail: 'give a date with a 24-hour HH:MM time' } };
+      const [y, mo, d] = date ? date.split('-').map(Number) : [];
+      const [h, mi] = (time || '12:00').split(':').map(Number);
+      // As with "cancel Maria's trim": without a date only upcoming visits.
+      const now = Date.parse(nowISO || new Date().toISOString());
+      const pool = date ? appointments : appointments.filter(a => Date.parse(a.dateISO) >= now);
+      let appt;
+      try {
+        appt = matchAppointment(pool, {
+          clientName: client.name,
+          serviceType: typeof args.service === 'string' ? args.service.trim() : undefined,
+          dateISO: date ? localTimeToUTCISO(y, mo, d, h, mi, timezone) : undefined,
+          dateOnly: !!date && !time
+        }, timezone, nowISO);
+      } catch (err) {
+        if (!(err instanceof StoreError)) throw err;
+        return { result: { error: err.code, detail: err.message } };
       }
-    });
+      return propose([{
+        type: 'deleteAppointment',
+        payload: { title: appt.title, clientName: appt.clientName, serviceType: appt.serviceType, dateISO: appt.dateISO }
+      }]);
+    }
+    case 'deleteClient': {
+      const client = resolveToolClient(args.name, clients);
+      if (client.error) return { result: client };
+      if (client.isNew) return { result: { error: 'client_not_found', detail: `no client named ${client.name}` } };
+      return propose([{ type: 'deleteClient', payload: { name: client.name } }]);
+    }
+    default:
+      return { result: { error: 'unknown_tool', detail: `no tool named ${call.name}` } };
   }
-  return actions;
 }
 
-// Compose a reply and actions for /assistant requests
-function assistantResponse(body) {
-  const message = (body.message || '').trim();
-  const timezone = body.timezone || 'America/Los_Angeles';
-  const nowISO = body.nowISO || new Date().toISOString();
-  const context = body.context || {};
-  context.clients = context.clients || [];
-  context.appointments = context.appointments || [];
-  if (!message) {
-    return { reply: 'Missing message', actions: [], warnings: [] };
+// ---------------------------------------------------------------------------
+// LLM grounding
+//
+// Rather than the whole catalogue, the model is given the facts for what
+// the conversation mentions: the BRAND_RULES of each brand named (with its
+// line exceptions) and the shades_eq_catalog.json entry of each shade.
+// Its answer is then read back against the same catalogue, sentence by
+// sentence with the last brand named as the subject: mixing ratios,
+// developer volumes and developers that a brand's rule doesn't allow, and
+// Shades EQ codes that don't exist or are given another shade's name,
+// become ⚠️ warnings for the stylist to check before mixing.
+
+// Developer strengths written as percentages, by volume.
+const PERCENT_VOLUMES = { 1.9: 6, 2: 7, 3: 10, 4: 13, 6: 20, 9: 30, 12: 40 };
+// Words for either side of a mix: "1 part colour to 2 parts developer".
+const REPLY_COLOUR_WORD = 'colou?r|tint|toner|gloss|dye|lightener|bleach|powder';
+const REPLY_DEVELOPER_WORD = 'developer|activator|emulsion|lotion|peroxide|oxidant|oxidi[sz]er';
+const REPLY_MIX_WORD = `(?:${REPLY_COLOUR_WORD}|${REPLY_DEVELOPER_WORD})`;
+// "1:1.5", "2 to 1 ratio", "1 part colour to 2 parts developer" (groups:
+// first number, its word, separator, second number, its word); times
+// ("10:30", "2:00 pm") and ranges of units are not ratios.
+const REPLY_RATIO_REGEX = new RegExp(`(?<![\\d.:])(\\d(?:\\.\\d+)?)(?:\\s*parts?\\b(?:\\s+(${REPLY_MIX_WORD}))?)?\\s*(:|\\bto\\b)\\s*(\\d(?:\\.\\d+)?)(?:\\s*parts?\\b(?:\\s+(${REPLY_MIX_WORD}))?)?(?![\\d.:])(?!\\s*(?:am|pm|min|minutes?|hours?|hrs?|h|oz|g|grams?|ml|levels?|inch(?:es)?|weeks?|days?)\\b)`, 'gi');
+// "developer:colour" or "colour to developer" labelling a ratio next to it.
+const REPLY_RATIO_LABEL_AFTER = new RegExp(`^\\s*\\(?\\s*(${REPLY_MIX_WORD})\\s*(?::|to)\\s*${REPLY_MIX_WORD}`, 'i');
+const REPLY_RATIO_LABEL_BEFORE = new RegExp(`(${REPLY_MIX_WORD})\\s*(?::|to)\\s*${REPLY_MIX_WORD}(?:\\s+ratio)?(?:\\s+(?:of|is|at))?\\s*[:=]?\\s*$`, 'i');
+const REPLY_VOLUME_REGEX = /\b(\d{1,2})\s*-?\s*vol(?:ume)?s?\b/gi;
+const REPLY_PERCENT_REGEX = /(?<![\d.])(\d{1,2}(?:\.\d)?)\s*%/g;
+// Letters after a number that make it a quantity rather than a shade code.
+const NOT_SHADE_SUFFIXES = new Set(['v', 'vol', 'g', 'ml', 'oz', 'min', 'h', 'hr', 'hrs', 'am', 'pm', 'x', 'st', 'nd', 'rd', 'th', 'wk', 'wks', 'cm', 'mm', 'in']);
+
+/**
+ * The catalogue facts for a conversation: describeBrandRule() lines for
+ * every brand named (Shades EQ too when one of its shades is) and
+ * describeShade() lines for every Shades EQ shade named.  When no brand is
+ * named the model gets the brand list instead, so it knows to ask.
+ * @param {Array<string>} texts the message and earlier user turns
+ * @returns {{brandRules:string, shades:string}}
+ */
+function catalogueFactsFor(texts) {
+  const brands = new Set();
+  const shades = [];
+  for (const text of texts) {
+    findBrandsInMessage(text).forEach(b => brands.add(b));
+    for (const shade of findShadesInMessage(text)) {
+      if (!shades.includes(shade)) shades.push(shade);
+    }
   }
-  // Hair formula Q&A
-  const info = detectBrandInfo(message);
-  if (info.length > 0) {
-    return { reply: info.join('\n'), actions: [], warnings: [] };
+  if (shades.length && BRAND_RULES[SHADES_EQ_BRAND]) brands.add(SHADES_EQ_BRAND);
+  const named = Object.keys(BRAND_RULES).filter(b => brands.has(b));
+  return {
+    brandRules: named.length
+      ? named.map(describeBrandRule).join('\n')
+      : `No brand was named. Brands in the catalogue: ${Object.keys(BRAND_RULES).join(', ')}.`,
+    shades: shades.length ? shades.map(describeShade).join('\n') : 'No Shades EQ shade was named.'
+  };
+}
+
+/**
+ * Developer names in a BRAND_RULES developer field as { name, key }, key
+ * normalised for searching: "IGORA VIBRANCE Activator Gel (1.9%/4%) OR
+ * Activator Lotion" gives two, "None" none.
+ * @param {string} developer
+ * @returns {Array<{name:string, key:string}>}
+ */
+function developerNames(developer) {
+  return String(developer || '')
+    .split(/\s+(?:or|\|\|)\s+/i)
+    .map(part => part.replace(/\([^)]*\)/g, '').replace(/\d+(?:\.\d+)?\s*%/g, '').trim())
+    .map(name => ({ name, key: normaliseForSearch(name) }))
+    .filter(({ key }) => key.length >= 6 && key !== 'none');
+}
+
+/**
+ * The mixing ratios written in a sentence as { a, b, order }: the numbers
+ * as written and, when the sentence says which side is which ("2 parts
+ * developer to 1 part colour", "1:2 (colour:developer)"), order set to
+ * 'color:developer' or 'developer:color'; otherwise order is null.  "N to
+ * M" only counts with parts, a colour or developer word, "mix"/"ratio" or
+ * "with" next to it, or at the end of a clause, so "3 to 4 foils" isn't a
+ * ratio.
+ * @param {string} sentence
+ * @returns {Array<{a:number, b:number, order:?string}>}
+ */
+function replyRatios(sentence) {
+  const isDeveloper = (word) => new RegExp(`^(?:${REPLY_DEVELOPER_WORD})$`, 'i').test(word);
+  const ratios = [];
+  for (const m of sentence.matchAll(REPLY_RATIO_REGEX)) {
+    const a = parseFloat(m[1]);
+    const b = parseFloat(m[4]);
+    if (!(a > 0 && b > 0)) continue;
+    const before = sentence.slice(0, m.index);
+    const after = sentence.slice(m.index + m[0].length);
+    const label = after.match(REPLY_RATIO_LABEL_AFTER) || before.match(REPLY_RATIO_LABEL_BEFORE);
+    if (m[3] !== ':' && !/\bparts?\b/i.test(m[0]) && !m[2] && !m[5] && !label
+      && !/^\s*(?:ratio\b|with\b|[,.;)]|$)/i.test(after) && !/\b(?:mix(?:ed|ing)?|ratio)(?:\s+(?:it|of|at))?\s*$/i.test(before)) continue;
+    let developerFirst = null;
+    if (m[2]) developerFirst = isDeveloper(m[2]);
+    else if (m[5]) developerFirst = !isDeveloper(m[5]);
+    else if (label) developerFirst = isDeveloper(label[1]);
+    ratios.push({ a, b, order: developerFirst === null ? null : developerFirst ? 'developer:color' : 'color:developer' });
   }
-  // Abilities question
-  let lower = message.toLowerCase();
-  // Normalise curly apostrophes to straight quotes for consistent intent matching.
-  lower = lower.replace(/[’‘]/g, "'");
-  if (lower.includes('abilities') || lower.includes('what can you do')) {
-    const reply = 'I can answer questions about hair colour brands and formulas. I can also help you add, remove or view clients, and schedule, modify or cancel appointments. Just ask me what you need.';
-    return { reply, actions: [], warnings: [] };
+  return ratios;
+}
+
+/**
+ * Whether a ratio written in a reply agrees with a BRAND_RULES ratio.  The
+ * numbers are read in the rule's own order unless the reply said which
+ * side is developer, so "2:1" for a 1:2 colour:developer rule is a
+ * contradiction while "2 parts developer to 1 part colour" is not.
+ * @param {{a:number, b:number, order:?string}} written from replyRatios()
+ * @param {string} ratio
+ * @param {string} [ratioOrder] the rule's ratioOrder
+ * @returns {boolean}
+ */
+function ratioAgrees(written, ratio, ratioOrder) {
+  const parsed = parseMixingRatio(ratio, ratioOrder);
+  if (!parsed || parsed.rtu) return false;
+  const developerFirst = (written.order || ratioOrder) === 'developer:color';
+  const color = developerFirst ? written.b : written.a;
+  const developer = developerFirst ? written.a : written.b;
+  return Math.abs(color / developer - parsed.color / parsed.developer) < 0.01;
+}
+
+/**
+ * Check one sentence of a reply against a brand's rule.  Returns warnings.
+ * @param {string} brand
+ * @param {string} sentence
+ * @returns {Array<string>}
+ */
+function brandRuleContradictions(brand, sentence) {
+  const base = BRAND_RULES[brand];
+  const line = findBrandLineInMessage(brand, sentence);
+  const rule = resolveBrandRule(brand, line);
+  const label = line ? `${brand} ${line}` : brand;
+  const warnings = [];
+  const readyToUse = /^rtu$/i.test(rule.ratio);
+  const ratios = replyRatios(sentence);
+  const volumes = [
+    ...[...sentence.matchAll(REPLY_VOLUME_REGEX)].map(m => parseInt(m[1], 10)),
+    ...[...sentence.matchAll(REPLY_PERCENT_REGEX)].map(m => PERCENT_VOLUMES[parseFloat(m[1])]).filter(Boolean)
+  ];
+  if (readyToUse) {
+    if (ratios.length || volumes.length) warnings.push(`⚠️ ${label} is ready to use — it isn't mixed with developer.`);
+    return warnings;
+  }
+  // Without a line named, any of the brand's lines may be meant.
+  const allowed = line ? [rule] : [rule, ...Object.keys(base.lines || {}).map(name => resolveBrandRule(brand, name))];
+  for (const written of ratios) {
+    if (!allowed.some(r => ratioAgrees(written, r.ratio, r.ratioOrder))) {
+      const order = rule.ratioOrder === 'developer:color' ? ' (developer:colour)' : '';
+      const writtenOrder = written.order ? ` (${written.order.replace('color', 'colour')})` : '';
+      warnings.push(`⚠️ ${label} mixes ${rule.ratio}${order}, not ${written.a}:${written.b}${writtenOrder}.`);
+    }
+  }
+  const allowedVolumes = rule.developerVolumes || [];
+  for (const volume of volumes) {
+    if (allowedVolumes.length && !allowedVolumes.includes(volume)) {
+      warnings.push(`⚠️ ${label} takes ${allowedVolumes.join('/')} vol developer, not ${volume} vol.`);
+    }
   }
+  const own = developerNames(rule.developer).map(d => d.key).join(' ');
+  const normalised = ` ${normaliseForSearch(sentence)} `;
+  const others = Object.keys(BRAND_RULES).filter(b => b !== brand).flatMap(b => developerNames(BRAND_RULES[b].developer));
+  const wrong = new Set(others.filter(d => !own.includes(d.key) && normalised.includes(` ${d.key} `)).map(d => d.name));
+  for (const name of wrong) warnings.push(`⚠️ ${label} is mixed with ${rule.developer}, not ${name}.`);
+  return warnings;
+}
 
-  // -----------------------------------------------------------------------
-  // Pre‑LLM lightweight intent detection
-  // Before extracting actions or invoking the language model, we handle
-  // simple analytical queries directly.  These cover counts (how many
-  // clients/appointments), listings (upcoming or next appointments and
-  // appointments on specific dates) and aggregates (most booked client this
-  // month/week).  If any of these helpers return a reply, we return it
-  // immediately without actions.
-  {
-    // Use the existing lowercase message for matching.  When context is
-    // missing, fall back to empty arrays.
-    const countsReply = handleCounts(lower, context, timezone);
-    if (countsReply) {
-      return { reply: countsReply, actions: [], warnings: [] };
+/**
+ * Check one sentence's Shades EQ codes: a known code followed by another
+ * shade's name ("09V Chrome") and, when strict, a code that isn't in the
+ * catalogue.  Numbers with NOT_SHADE_SUFFIXES ("20v", "2h") are quantities.
+ * @param {string} sentence
+ * @param {boolean} strict Shades EQ is the subject, so any code is one of its
+ * @returns {Array<string>}
+ */
+function shadeCodeContradictions(sentence, strict) {
+  const catalog = shadeCatalogFor();
+  const warnings = [];
+  for (const m of sentence.matchAll(/\b(0*(\d{1,2})([a-z]{1,3}))\b|\b000\b/gi)) {
+    const token = m[0];
+    const code = normaliseShadeCode(token);
+    const shade = catalog.find(s => normaliseShadeCode(s.code) === code);
+    if (!shade) {
+      const level = m[2] ? parseInt(m[2], 10) : 0;
+      if (strict && level >= 1 && level <= 10 && !NOT_SHADE_SUFFIXES.has(String(m[3]).toLowerCase())) {
+        warnings.push(`⚠️ ${token} isn't in the Shades EQ catalogue.`);
+      }
+      continue;
     }
-    const listingsReply = handleListings(lower, context, timezone, nowISO);
-    if (listingsReply) {
-      return { reply: listingsReply, actions: [], warnings: [] };
+    const after = ` ${normaliseForSearch(sentence.slice(m.index + token.length, m.index + token.length + 40))} `;
+    const own = normaliseForSearch(shade.name);
+    if (after.startsWith(` ${own} `)) continue;
+    const named = catalog
+      .filter(s => s !== shade && normaliseForSearch(s.name).length >= 4 && after.startsWith(` ${normaliseForSearch(s.name)} `))
+      .sort((a, b) => b.name.length - a.name.length)[0];
+    if (named) warnings.push(`⚠️ ${shade.code} is ${shade.name}; ${named.name} is ${named.code}.`);
+  }
+  return warnings;
+}
+
+/**
+ * Read a model's reply back against the catalogue.  Each sentence is
+ * checked against the brand it names (or the last brand named before it;
+ * a sentence naming several brands is skipped as a comparison), and its
+ * shade codes against the Shades EQ catalogue unless another brand is the
+ * subject.  Returns de‑duplicated warnings.
+ * @param {string} reply
+ * @returns {Array<string>}
+ */
+function catalogueContradictions(reply) {
+  const warnings = new Set();
+  let subject = null;
+  for (const sentence of String(reply || '').split(/(?<=[.!?])\s+|\n+/)) {
+    const brands = findBrandsInMessage(sentence);
+    if (brands.length > 1) {
+      subject = null;
+      continue;
     }
-    const aggregatesReply = handleAggregates(lower, context);
-    if (aggregatesReply) {
-      return { reply: aggregatesReply, actions: [], warnings: [] };
+    if (brands.length === 1) subject = brands[0];
+    if (subject) brandRuleContradictions(subject, sentence).forEach(w => warnings.add(w));
+    if (!subject || subject === SHADES_EQ_BRAND) {
+      shadeCodeContradictions(sentence, subject === SHADES_EQ_BRAND).forEach(w => warnings.add(w));
     }
   }
+  return [...warnings];
+}
 
-  // After handling counts/listings/aggregates, if the message is still
-  // question‑like and lacks explicit booking or cancel verbs, skip
-  // action extraction and respond with the friendly fallback.  This
-  // prevents queries like "How many appointments" from creating
-  // bogus clients or appointments.
-  {
-    const questiony = isQuestionLike(message);
-    const hasBookingVerb = BOOKING_PHRASES.some(ph => lower.includes(ph));
-    const hasCancelVerb = CANCEL_PHRASES.some(ph => lower.includes(ph));
-    if (questiony && !hasBookingVerb && !hasCancelVerb) {
-      return { reply: "Hmm, I didn’t catch that. Try asking me about formulas, clients, or appointments.", actions: [], warnings: [] };
+// ---------------------------------------------------------------------------
+// LLM fallback
+//
+// Messages the local handlers can't answer go to the language model set up
+// through llm.mjs (LLM_PROVIDER, LLM_MODEL, LLM_BASE_URL and friends; see
+// llmConfigFromEnv()).  LLM_PROMPT_FILE replaces the system prompt: a text
+// file applies to every provider, and a JSON file maps provider names (and
+// "default") to prompts so a small local model can get a shorter one.
+// "{{brandRules}}" in a prompt becomes the mixing rules of the brands the
+// conversation names and "{{shades}}" the catalogue entries of the shades
+// it names (see "LLM grounding"); the reply's contradictions of them come
+// back as warnings.  When tools are offered (see "LLM tools"), LLM_TOOLS_PROMPT is
+// added with today's date and the stylist's timezone.
+
+const LLM_PROMPT_FILE = process.env.LLM_PROMPT_FILE || null;
+const NO_ANSWER_REPLY = 'I couldn’t find an answer. Try rephrasing or ask a specific brand question.';
+const DEFAULT_SYSTEM_PROMPT = `You are StylistSync, an expert salon assistant. Give brand-accurate, manufacturer-safe guidance. When asked for formulas, include brand-correct mixing ratios and developers; include timing ranges, strand tests, and caveats. For pricing questions: outline factors and a reasonable range; do not guarantee outcomes. Never invent developer ratios against manufacturer rules: quote only the ratios, developers and shade codes given below, and for a brand or shade not listed say to check the manufacturer's chart. Add a brief disclaimer for chemical services. If asked non-cosmetology trivia like 'who is Paul Mitchell', just answer normally.
+
+Manufacturer mixing rules for the brands mentioned (authoritative):
+{{brandRules}}
+
+Shades EQ catalogue entries for the shades mentioned (authoritative):
+{{shades}}`;
+// Prompt templates by provider name ("default" for any); filled by loadLLM().
+const LLM_PROMPTS = {};
+// The configured provider, or null; llmSetupError explains a bad setup.
+let llm = null;
+let llmSetupError = null;
+
+/**
+ * Create the LLM provider from the environment and read LLM_PROMPT_FILE.
+ * Problems are logged; the assistant then answers without a model and
+ * reports llm_not_configured.
+ */
+function loadLLM() {
+  try {
+    llm = createProvider(llmConfigFromEnv(process.env));
+  } catch (err) {
+    if (!(err instanceof LLMError)) throw err;
+    llmSetupError = err;
+    console.error(`LLM: ${err.message}; the assistant will answer without a model.`);
+  }
+  if (!LLM_PROMPT_FILE) return;
+  try {
+    const text = readFileSync(LLM_PROMPT_FILE, 'utf8');
+    let prompts;
+    try {
+      prompts = JSON.parse(text);
+    } catch {
+      prompts = { default: text };
     }
+    if (!prompts || typeof prompts !== 'object' || !Object.values(prompts).every(v => typeof v === 'string')) {
+      throw new Error('expected text or a JSON object of prompt strings');
+    }
+    Object.assign(LLM_PROMPTS, prompts);
+  } catch (err) {
+    console.error(`LLM: ${LLM_PROMPT_FILE}: ${err.message}; using the built-in prompt.`);
   }
-  // Synthesize actions
-  const actions = extractActions(message, context, timezone, nowISO);
-  if (actions.length === 0) {
-    return { reply: "Hmm, I didn’t catch that. Try asking me about formulas, clients, or appointments.", actions: [], warnings: [] };
+}
+
+/**
+ * The system prompt for a provider, with the catalogue facts from
+ * catalogueFactsFor() filled in.  With tools it ends with LLM_TOOLS_PROMPT
+ * for the given day and timezone.
+ * @param {string} providerName
+ * @param {{brandRules:string, shades:string}} facts
+ * @param {{timezone:string, nowISO:string}} [tools]
+ * @returns {string}
+ */
+function systemPromptFor(providerName, facts, tools) {
+  const template = LLM_PROMPTS[providerName] || LLM_PROMPTS.default || DEFAULT_SYSTEM_PROMPT;
+  const prompt = template
+    .replace(/\{\{brandRules\}\}/g, () => facts.brandRules)
+    .replace(/\{\{shades\}\}/g, () => facts.shades);
+  if (!tools) return prompt;
+  const today = localClock(Date.parse(tools.nowISO), tools.timezone);
+  return `${prompt}\n\n${LLM_TOOLS_PROMPT
+    .replace('{{today}}', `${properCase(DAYS_OF_WEEK[WEEKDAY_KEYS.indexOf(today.weekday)])} ${today.dateKey}`)
+    .replace('{{timezone}}', tools.timezone)}`;
+}
+
+/**
+ * Ask the configured model about a message, with the session's recent
+ * turns as context.  Given the request's context the model may call
+ * LLM_TOOLS, for up to LLM_TOOL_ROUNDS turns; the actions it proposes are
+ * returned with a summarizeActions() reply (after anything it said).  What
+ * it said is checked with catalogueContradictions() for warnings.
+ * With onText the answer is streamed, onText receiving each piece as it
+ * arrives.  signal cancels the request (the client went away).  Resolves
+ * to an assistant result; failures resolve to the no‑answer reply (or the
+ * text streamed so far) with the LLMError's code and status.
+ * @param {string} message
+ * @param {Object} session
+ * @param {{context?:Object, timezone?:string, nowISO?:string, signal?:AbortSignal, onText?:Function}} [options]
+ * @returns {Promise<{status:number, result:Object}>}
+ */
+async function llmFallback(message, session, { context, timezone, nowISO, signal, onText } = {}) {
+  if (!llm) {
+    return llmSetupError
+      ? { status: llmSetupError.status, result: { reply: NO_ANSWER_REPLY, actions: [], warnings: [], error: llmSetupError.code, detail: llmSetupError.message } }
+      : { status: 200, result: { reply: NO_ANSWER_REPLY, actions: [], warnings: [] } };
   }
-  // Build a friendly summary of the actions instead of a generic heading
-  const summary = summarizeActions(actions, timezone);
-  return { reply: summary, actions, warnings: [] };
+  const tools = LLM_TOOLS_ENABLED && context ? LLM_TOOLS : null;
+  const history = session.turns.slice(-LLM_HISTORY_TURNS);
+  const facts = catalogueFactsFor([...history.filter(t => t.role === 'user').map(t => t.content), message]);
+  const messages = [
+    { role: 'system', content: systemPromptFor(llm.name, facts, tools ? { timezone, nowISO } : null) },
+    ...history,
+    { role: 'user', content: message }
+  ];
+  const actions = [];
+  let said = '';
+  let streamed = '';
+  try {
+    for (let round = 1; round <= LLM_TOOL_ROUNDS; round++) {
+      const offered = tools && round < LLM_TOOL_ROUNDS ? tools : undefined;
+      let text = '';
+      let toolCalls = [];
+      if (onText) {
+        for await (const piece of llm.stream({ messages, tools: offered, signal })) {
+          if (piece.toolCalls) {
+            toolCalls = piece.toolCalls;
+            continue;
+          }
+          text += piece.text;
+          streamed += piece.text;
+          onText(piece.text);
+        }
+      } else {
+        ({ text, toolCalls } = await llm.complete({ messages, tools: offered, signal }));
+      }
+      if (text.trim()) said += `${said ? '\n' : ''}${text.trim()}`;
+      if (!offered || toolCalls.length === 0) break;
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        tool_calls: toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.raw } }))
+      });
+      // Lookups and rejected proposals go back to the model; a turn of
+      // accepted proposals is the answer.
+      let settled = true;
+      for (const call of toolCalls) {
+        const outcome = runLLMTool(call, context, timezone, nowISO);
+        if (outcome.actions) {
+          for (const act of outcome.actions) {
+            const repeat = actions.some(a => a.type === act.type && JSON.stringify(a.payload) === JSON.stringify(act.payload));
+            if (!repeat) actions.push(act);
+          }
+        } else {
+          settled = false;
+        }
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(outcome.result) });
+      }
+      if (settled) break;
+    }
+    const warnings = catalogueContradictions(said);
+    if (actions.length === 0) {
+      return { status: 200, result: { reply: said || NO_ANSWER_REPLY, actions: [], warnings } };
+    }
+    const summary = summarizeActions(actions, timezone);
+    if (onText) onText(streamed.trim() ? `\n${summary}` : summary);
+    return { status: 200, result: { reply: said ? `${said}\n${summary}` : summary, actions, warnings } };
+  } catch (err) {
+    if (!(err instanceof LLMError)) throw err;
+    return { status: err.status, result: { reply: streamed.trim() || NO_ANSWER_REPLY, actions: [], warnings: catalogueContradictions(streamed), error: err.code, detail: err.message } };
+  }
+}
+
+// Load the catalogue and schedule before accepting requests
+loadCatalog();
+loadSchedule();
+loadLLM();
+if (process.env.CATALOG_WATCH !== '0') {
+  watchCatalog();
 }
 
 // HTTP server
@@ -944,8 +5262,8 @@ const server = http.createServer(async (req, res) => {
     const path = urlObj.pathname;
     // Set CORS headers for browser clients
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     if (req.method === 'OPTIONS') {
       res.writeHead(204);
       return res.end();
@@ -957,56 +5275,200 @@ const server = http.createServer(async (req, res) => {
     }
     if (req.method === 'GET' && path === '/brands') {
       res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ demi: DEMI_LIST, permanent: PERMANENT_BRANDS, semi: SEMI_BRANDS }));
+      res.end(JSON.stringify({
+        demi: brandsInCategory('demi'),
+        permanent: brandsInCategory('permanent'),
+        semi: brandsInCategory('semi'),
+        rules: BRAND_RULES
+      }));
+      return;
+    }
+    // Reload the brand/shade catalogue from disk.  Requires ADMIN_TOKEN to
+    // be set and sent as a bearer token.
+    if (req.method === 'POST' && path === '/admin/catalog/reload') {
+      const adminToken = process.env.ADMIN_TOKEN;
+      if (!adminToken) {
+        sendJson(res, 403, { error: 'admin_disabled' });
+        return;
+      }
+      if (req.headers.authorization !== `Bearer ${adminToken}`) {
+        sendJson(res, 401, { error: 'unauthorized' });
+        return;
+      }
+      const status = loadCatalog();
+      sendJson(res, status.ok ? 200 : 422, status);
+      return;
+    }
+    // Shade catalogue search.  Query parameters: brand (default Shades EQ),
+    // q, level, family, undertone.  See searchShades() for matching rules.
+    if (req.method === 'GET' && path === '/shades') {
+      const params = urlObj.searchParams;
+      const shades = searchShades({
+        brand: params.get('brand') ? resolveBrand(params.get('brand')) : undefined,
+        q: params.get('q') || undefined,
+        level: params.get('level') || undefined,
+        family: params.get('family') || undefined,
+        undertone: params.get('undertone') || undefined
+      });
+      sendJson(res, 200, { count: shades.length, shades });
+      return;
+    }
+    if (req.method === 'GET' && path.startsWith('/shades/')) {
+      const code = decodePathSegment(path.slice('/shades/'.length));
+      if (code === null) {
+        sendJson(res, 400, { error: 'invalid_path', detail: 'shade code must be URL-encoded UTF-8' });
+        return;
+      }
+      const brandParam = urlObj.searchParams.get('brand');
+      // A code or a whole name; /shades?q= is the fuzzy search.
+      const shade = findShade(code, brandParam ? resolveBrand(brandParam) : undefined, { exact: true });
+      if (!shade) {
+        sendJson(res, 404, { error: 'shade_not_found' });
+        return;
+      }
+      sendJson(res, 200, shade);
+      return;
+    }
+    // Deterministic toner formula for a demi‑permanent brand.  See
+    // buildTonerFormula() for the request fields.
+    if (req.method === 'POST' && path === '/formula/toner') {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: 'invalid_json' });
+        return;
+      }
+      if (!isJsonObject(body)) {
+        sendJson(res, 400, { error: 'invalid_json', detail: 'body must be a JSON object' });
+        return;
+      }
+      const formula = buildTonerFormula(body);
+      sendJson(res, formula.error ? 400 : 200, formula);
+      return;
+    }
+    // Mixing calculator: developer and bowl amounts for a brand's ratio.
+    // See calculateMix() for the request fields.
+    if (req.method === 'POST' && path === '/mix') {
+      let body;
+      try {
+        body = await readJson(req);
+      } catch (err) {
+        sendJson(res, 400, { error: 'invalid_json' });
+        return;
+      }
+      if (!isJsonObject(body)) {
+        sendJson(res, 400, { error: 'invalid_json', detail: 'body must be a JSON object' });
+        return;
+      }
+      const mix = calculateMix(body);
+      sendJson(res, mix.error ? 400 : 200, mix);
       return;
     }
-    // Proxy Formula Guru photo analysis to external service.  When a POST
-    // request is made to /analyze, forward the multipart body and headers
-    // to the configured upstream ANALYZE_URL (default: hairhub-server.onrender.com/analyze).
+    // Calendar analytics for the dashboard.  See computeStats() for the
+    // query parameters (rebookWeeks sets rebookAfterWeeks).
+    if (req.method === 'GET' && path === '/stats') {
+      const params = urlObj.searchParams;
+      const result = computeStats({
+        appointments: expandAroundNow(await store.listAppointments()),
+        timezone: params.get('timezone') || 'America/Los_Angeles',
+        from: params.get('from') || undefined,
+        days: params.has('days') ? params.get('days') : undefined,
+        rebookAfterWeeks: params.has('rebookWeeks') ? params.get('rebookWeeks') : undefined
+      });
+      sendJson(res, result.error ? 400 : 200, result);
+      return;
+    }
+    // Open gaps in the stylist's calendar.  See computeAvailability() for
+    // the query parameters.
+    if (req.method === 'GET' && path === '/availability') {
+      const params = urlObj.searchParams;
+      const result = computeAvailability({
+        appointments: expandAroundNow(await store.listAppointments()),
+        timezone: params.get('timezone') || 'America/Los_Angeles',
+        from: params.get('from') || undefined,
+        days: params.has('days') ? params.get('days') : undefined,
+        service: params.get('service') || undefined,
+        durationMinutes: params.has('duration') ? params.get('duration') : undefined,
+        partOfDay: params.get('part') || undefined
+      });
+      sendJson(res, result.error ? 400 : 200, result);
+      return;
+    }
+    // Client and appointment CRUD backed by the server‑side store
+    if (await handleFormulaRoutes(req, res, path)) {
+      return;
+    }
+    // Likely duplicate client records, most likely first, for merging.
+    if (req.method === 'GET' && path === '/clients/duplicates') {
+      sendJson(res, 200, { duplicates: findDuplicateClients(await store.listClients()) });
+      return;
+    }
+    if (await handleStoreRoutes(req, res, path, urlObj.searchParams)) {
+      return;
+    }
+    // Formula Guru photo analysis: level, undertone, palette and the
+    // nearest Shades EQ shades, worked out locally (see analyseUpload()).
     if (req.method === 'POST' && path === '/analyze') {
-      // Read the entire request body into a Buffer.  This is safe for the small images
-      // used by the app but may need streaming for very large payloads.
-      const chunks = [];
+      let body;
       try {
-        for await (const chunk of req) {
-          chunks.push(chunk);
-        }
+        body = await readBody(req, ANALYZE_MAX_BYTES);
       } catch (err) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'proxy_error', detail: 'Failed to read request body' }));
+        if (err.code === 'too_large') {
+          // Don't wait for the rest of an oversized upload.
+          res.setHeader('Connection', 'close');
+          sendJson(res, 413, { error: 'image_too_large', detail: `uploads are limited to ${Math.round(ANALYZE_MAX_BYTES / 1024 / 1024)} MB` });
+        } else {
+          sendJson(res, 400, { error: 'invalid_upload', detail: 'failed to read request body' });
+        }
         return;
       }
-      const bodyBuffer = Buffer.concat(chunks);
-      const upstream = process.env.ANALYZE_URL || 'https://hairhub-server.onrender.com/analyze';
-      // Use fetch to proxy the request to the upstream analysis service.  Preserve
-      // the original Content-Type so that multipart boundaries are forwarded
-      // correctly.
       try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 10000);
-        const upstreamRes = await fetch(upstream, {
-          method: 'POST',
-          headers: {
-            'Content-Type': req.headers['content-type'] || 'application/octet-stream'
-          },
-          body: bodyBuffer,
-          signal: controller.signal
-        });
-        clearTimeout(timeout);
-        const respBuffer = Buffer.from(await upstreamRes.arrayBuffer());
-        // Mirror the upstream status and content-type
-        res.writeHead(upstreamRes.status, {
-          'Content-Type': upstreamRes.headers.get('content-type') || 'application/json'
-        });
-        res.end(respBuffer);
+        sendJson(res, 200, await analyseUpload(body, req.headers['content-type']));
       } catch (err) {
-        const status = err.name === 'AbortError' ? 504 : 502;
-        res.writeHead(status, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'analyze_proxy_failed', detail: String(err.message || err) }));
+        if (!(err instanceof PhotoError)) throw err;
+        sendJson(res, err.status, { error: err.code, detail: err.message });
+      }
+      return;
+    }
+    // Commit or discard the actions proposed by an /assistant reply.
+    const proposalMatch = path.match(/^\/assistant\/actions\/([^/]+)\/(commit|discard)$/);
+    if (req.method === 'POST' && proposalMatch) {
+      const id = decodePathSegment(proposalMatch[1]);
+      if (id === null) {
+        sendJson(res, 400, { error: 'invalid_path', detail: 'proposal id must be URL-encoded UTF-8' });
+        return;
+      }
+      const proposal = proposals.get(id);
+      if (!proposal) {
+        sendJson(res, 404, { error: 'proposal_not_found' });
+        return;
       }
+      if (proposalMatch[2] === 'discard') {
+        proposals.delete(id);
+        proposal.status = 'discarded';
+        sendJson(res, 200, { discarded: true });
+        return;
+      }
+      // Remove before applying so a double tap can't apply it twice.
+      proposals.delete(id);
+      const outcome = await commitProposal(proposal);
+      if (outcome.committed) {
+        proposal.status = 'committed';
+        proposal.results = outcome.results;
+      } else {
+        proposals.set(id, proposal);
+      }
+      sendJson(res, outcome.committed ? 200 : 409, { proposalId: id, ...outcome });
       return;
     }
-    if (req.method === 'POST' && path === '/assistant') {
+    // /assistant/stream (or /assistant with Accept: text/event-stream)
+    // answers as Server‑Sent Events: "delta" events carry reply text as it
+    // is produced (a local reply arrives as one delta) and a final "done"
+    // event carries the whole result — reply, actions, warnings, pending,
+    // proposalId, sessionId and any error code.
+    if (req.method === 'POST' && (path === '/assistant' || path === '/assistant/stream')) {
+      const streaming = path === '/assistant/stream' || /\btext\/event-stream\b/.test(req.headers.accept || '');
       let body;
       try {
         body = await readJson(req);
@@ -1015,63 +5477,104 @@ const server = http.createServer(async (req, res) => {
         res.end(JSON.stringify({ error: 'invalid_json' }));
         return;
       }
-      // Compute the local response synchronously
-      const local = assistantResponse(body);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        sendJson(res, 400, { error: 'invalid_json', detail: 'body must be a JSON object' });
+        return;
+      }
+      // The timezone and "now" shape every date the assistant reads, so bad
+      // values are refused here rather than failing halfway through a reply.
+      if (body.timezone) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: body.timezone });
+        } catch (err) {
+          sendJson(res, 400, { error: 'invalid_timezone', detail: `Unknown timezone ${body.timezone}` });
+          return;
+        }
+      }
+      if (body.nowISO && (typeof body.nowISO !== 'string' || isNaN(Date.parse(body.nowISO)))) {
+        sendJson(res, 400, { error: 'invalid_now', detail: 'nowISO must be an ISO date-time like 2025-09-30T14:00:00Z' });
+        return;
+      }
+      // Without a context from the app, answer against the server‑side store.
+      if (!body.context || (!Array.isArray(body.context.clients) && !Array.isArray(body.context.appointments))) {
+        body.context = await contextFromStore();
+      }
+      // Profiles (formulas, allergies) always come from the store, never
+      // from the request.
+      body.context.clientProfiles = await store.listClients();
+      const timezone = body.timezone || 'America/Los_Angeles';
+      const message = String(body.message || '').trim();
+      const nowISO = body.nowISO || new Date().toISOString();
+      const session = getSession(body.sessionId);
+      // Recurring series answer as their individual visits.
+      if (Array.isArray(body.context.appointments)) {
+        body.context.appointments = expandAroundNow(body.context.appointments, Date.parse(nowISO));
+      }
+      // A client that disconnects cancels the LLM request.
+      const abort = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) abort.abort();
+      });
+      let streamedText = false;
+      const sendEvent = (event, data) => {
+        if (!res.headersSent) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+      // Send a reply, registering any proposed actions (checked against the
+      // schedule) and recording the turn in the session history.
+      const finish = (status, result) => {
+        if (result.actions && result.actions.length > 0) {
+          addScheduleWarnings(result, body.context, timezone, nowISO);
+          const proposal = createProposal(result.actions, timezone, nowISO);
+          result.proposalId = proposal.id;
+          session.lastProposal = proposal;
+        }
+        // A clarifying question stays open until the next reply.
+        session.pending = result.pending || null;
+        if (message) recordTurn(session, message, result.reply);
+        if (!streaming) {
+          sendJson(res, status, { ...result, sessionId: session.id });
+          return;
+        }
+        if (!streamedText) sendEvent('delta', { text: result.reply });
+        sendEvent('done', { ...result, sessionId: session.id });
+        res.end();
+      };
+      // Answers to an open question fill its slots; follow‑ups ("make it
+      // 3pm instead") resolve against the last turn; otherwise compute the
+      // local response synchronously.
+      const local = (message && session.pending && continuePendingBooking(message, session.pending, body.context, timezone, nowISO))
+        || (message && resolveFollowUp(message, session, body.context, timezone, nowISO))
+        || assistantResponse(body);
       // If there are actions or a meaningful local reply, return immediately.
       // Use the same fallback message as assistantResponse.
       const fallback = "Hmm, I didn’t catch that. Try asking me about formulas, clients, or appointments.";
       if (local.actions && local.actions.length > 0) {
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify(local));
+        finish(200, local);
         return;
       }
       if (local.reply && local.reply.trim() && local.reply !== fallback) {
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify(local));
+        finish(200, local);
         return;
       }
-      // No actions and fallback reply → call OpenAI for a richer answer.
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ reply: "I couldn’t find an answer. Try rephrasing or ask a specific brand question.", actions: [], warnings: [] }));
-        return;
-      }
-      const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-      const systemPrompt = `You are StylistSync, an expert salon assistant. Give brand-accurate, manufacturer-safe guidance. When asked for formulas, include brand-correct mixing ratios and developers; include timing ranges, strand tests, and caveats. For pricing questions: outline factors and a reasonable range; do not guarantee outcomes. Never invent developer ratios against manufacturer rules. Add a brief disclaimer for chemical services. If asked non-cosmetology trivia like 'who is Paul Mitchell', just answer normally.`;
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: String(body.message || '') }
-      ];
-      try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 10000);
-        const gptRes = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-          },
-          body: JSON.stringify({
-            model,
-            messages,
-            temperature: 0.3
-          }),
-          signal: controller.signal
-        });
-        clearTimeout(timeout);
-        if (!gptRes.ok) {
-          throw new Error(`OpenAI HTTP ${gptRes.status}`);
-        }
-        const gptData = await gptRes.json();
-        const reply = gptData.choices?.[0]?.message?.content?.trim() || "I couldn’t find an answer. Try rephrasing or ask a specific brand question.";
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ reply, actions: [], warnings: [] }));
-      } catch (err) {
-        const status = err.name === 'AbortError' ? 504 : 502;
-        res.writeHead(status, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ reply: "I couldn’t find an answer. Try rephrasing or ask a specific brand question.", actions: [], warnings: [] }));
-      }
+      // No actions and fallback reply → ask the LLM for a richer answer.
+      const { status, result } = await llmFallback(message, session, {
+        context: body.context,
+        timezone,
+        nowISO,
+        signal: abort.signal,
+        onText: streaming
+          ? (text) => {
+            streamedText = true;
+            sendEvent('delta', { text });
+          }
+          : undefined
+      });
+      // Nobody is left to answer.
+      if (abort.signal.aborted) return;
+      finish(status, result);
       return;
     }
     // Unknown endpoint
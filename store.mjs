@@ -0,0 +1,449 @@
+// store.mjs — Persistent client and appointment storage for StylistSync
+//
+// The server talks to storage only through the interface below so the
+// backing implementation can change without touching the HTTP layer.  The
+// file store keeps everything in one JSON document and rewrites it
+// atomically (write to a temp file, then rename) after each change, which
+// is plenty for a single salon's calendar.  Every method returns a Promise
+// so a database‑backed store can slot in with the same shape.
+//
+// Store interface:
+//   listClients()                          → Array<Client>
+//   getClient(id)                          → Client | null
+//   findClientByName(name)                 → Client | null
+//   createClient({ name, ... })            → Client
+//   updateClient(id, fields)               → Client | null
+//   deleteClient(id)                       → boolean
+//   listFormulas(clientId)                 → Array<Formula> | null
+//   addFormula(clientId, { brand, ... })   → Formula | null
+//   deleteFormula(clientId, formulaId)     → boolean
+//   listAppointments({ from, to, client }) → Array<Appointment>
+//   getAppointment(id)                     → Appointment | null
+//   createAppointment({ dateISO, ... })    → Appointment
+//   updateAppointment(id, fields)          → Appointment | null
+//   deleteAppointment(id)                  → boolean
+//   transaction(fn)                        → whatever fn returns; fn gets
+//                                            the methods above and its
+//                                            changes commit all‑or‑nothing
+//
+// Clients carry contact details, notes, allergies and the date of their
+// last patch test, plus a formula history (newest first from
+// listFormulas()) recording what was mixed at each colour visit.
+//
+// Recurring appointments are stored once, as a series carrying a
+// `recurrence` rule (see pickRecurrence()); server.mjs expands the series
+// into individual visits.
+//
+// Validation failures throw a StoreError whose `code` maps onto the JSON
+// error codes used by server.mjs (e.g. 'invalid_client', 'client_exists').
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Error raised for invalid or conflicting writes.  `status` is the HTTP
+ * status the server should answer with.
+ */
+export class StoreError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'StoreError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Optional free‑text client fields; null or '' clears them.
+const CLIENT_TEXT_FIELDS = ['phone', 'email', 'notes', 'allergies'];
+
+/**
+ * Normalise a client record from user input.  Only known fields are kept;
+ * patchTestDate is stored as 'YYYY-MM-DD'.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function pickClientFields(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new StoreError('invalid_client', 'client must be an object');
+  }
+  const out = {};
+  if (input.name !== undefined) out.name = String(input.name).trim();
+  for (const field of CLIENT_TEXT_FIELDS) {
+    if (input[field] !== undefined) out[field] = input[field] === null ? null : String(input[field]).trim() || null;
+  }
+  if (out.email && !/^[^\s@]+@[^\s@]+$/.test(out.email)) {
+    throw new StoreError('invalid_client', 'email must look like name@example.com');
+  }
+  if (input.patchTestDate !== undefined) {
+    if (input.patchTestDate === null || input.patchTestDate === '') {
+      out.patchTestDate = null;
+    } else {
+      const d = new Date(input.patchTestDate);
+      if (isNaN(d.getTime())) {
+        throw new StoreError('invalid_client', 'patchTestDate must be a valid date');
+      }
+      out.patchTestDate = /^\d{4}-\d{2}-\d{2}$/.test(String(input.patchTestDate)) ? String(input.patchTestDate) : d.toISOString().slice(0, 10);
+    }
+  }
+  return out;
+}
+
+/**
+ * Normalise a formula record from user input.  shades may be a list or a
+ * string like "09V + 09T"; processingMinutes is the timing in minutes.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function pickFormulaFields(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new StoreError('invalid_formula', 'formula must be an object');
+  }
+  const out = {};
+  const d = input.dateISO === undefined ? new Date() : new Date(input.dateISO);
+  if (isNaN(d.getTime())) {
+    throw new StoreError('invalid_formula', 'dateISO must be a valid ISO date');
+  }
+  out.dateISO = d.toISOString();
+  out.brand = input.brand ? String(input.brand).trim() : '';
+  if (!out.brand) {
+    throw new StoreError('invalid_formula', 'brand is required');
+  }
+  const shades = Array.isArray(input.shades) ? input.shades : String(input.shades || '').split(/\s*(?:\+|,|&)\s*/);
+  out.shades = shades.map(sh => String(sh).trim()).filter(Boolean);
+  if (out.shades.length === 0) {
+    throw new StoreError('invalid_formula', 'shades must list at least one shade');
+  }
+  out.developer = input.developer ? String(input.developer).trim() : null;
+  if (input.processingMinutes !== undefined && input.processingMinutes !== null) {
+    const minutes = Number(input.processingMinutes);
+    if (!Number.isInteger(minutes) || minutes <= 0 || minutes > 240) {
+      throw new StoreError('invalid_formula', 'processingMinutes must be a whole number of minutes up to 240');
+    }
+    out.processingMinutes = minutes;
+  } else {
+    out.processingMinutes = null;
+  }
+  out.notes = input.notes ? String(input.notes).trim() : null;
+  out.appointmentId = input.appointmentId ? String(input.appointmentId) : null;
+  return out;
+}
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Normalise a recurrence rule.  Rules are RRULE‑like: { freq, interval,
+ * count?, until?, timezone?, exdates? } where freq is daily, weekly or
+ * monthly, count caps the number of visits, until is the last allowed
+ * start, timezone keeps visits at the same local time across DST changes
+ * and exdates lists the starts of cancelled single visits.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function pickRecurrence(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new StoreError('invalid_appointment', 'recurrence must be an object');
+  }
+  if (!RECURRENCE_FREQUENCIES.includes(input.freq)) {
+    throw new StoreError('invalid_appointment', `recurrence.freq must be one of ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+  const rule = { freq: input.freq, interval: input.interval === undefined ? 1 : Number(input.interval) };
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52) {
+    throw new StoreError('invalid_appointment', 'recurrence.interval must be a whole number from 1 to 52');
+  }
+  if (input.count !== undefined && input.count !== null) {
+    rule.count = Number(input.count);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 520) {
+      throw new StoreError('invalid_appointment', 'recurrence.count must be a whole number from 1 to 520');
+    }
+  }
+  if (input.until !== undefined && input.until !== null) {
+    const until = new Date(input.until);
+    if (isNaN(until.getTime())) {
+      throw new StoreError('invalid_appointment', 'recurrence.until must be a valid ISO date');
+    }
+    rule.until = until.toISOString();
+  }
+  if (input.timezone !== undefined && input.timezone !== null) {
+    rule.timezone = String(input.timezone);
+  }
+  if (input.exdates !== undefined) {
+    if (!Array.isArray(input.exdates) || input.exdates.some(d => isNaN(new Date(d).getTime()))) {
+      throw new StoreError('invalid_appointment', 'recurrence.exdates must be a list of ISO dates');
+    }
+    rule.exdates = input.exdates.map(d => new Date(d).toISOString());
+  }
+  return rule;
+}
+
+/**
+ * Normalise an appointment record from user input.  Only known fields are
+ * kept; dates are stored as full ISO strings and durations as whole
+ * minutes (null means the service's default length).  An appointment with
+ * a recurrence rule is a series whose dateISO is the first visit.
+ * @param {Object} input
+ * @returns {Object}
+ */
+function pickAppointmentFields(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new StoreError('invalid_appointment', 'appointment must be an object');
+  }
+  const out = {};
+  if (input.title !== undefined) out.title = String(input.title).trim();
+  if (input.clientName !== undefined) out.clientName = input.clientName ? String(input.clientName).trim() : null;
+  if (input.serviceType !== undefined) out.serviceType = input.serviceType ? String(input.serviceType).trim() : null;
+  if (input.dateISO !== undefined) {
+    const d = new Date(input.dateISO);
+    if (isNaN(d.getTime())) {
+      throw new StoreError('invalid_appointment', 'dateISO must be a valid ISO date');
+    }
+    out.dateISO = d.toISOString();
+  }
+  if (input.durationMinutes !== undefined && input.durationMinutes !== null) {
+    const minutes = Number(input.durationMinutes);
+    if (!Number.isInteger(minutes) || minutes <= 0 || minutes > 24 * 60) {
+      throw new StoreError('invalid_appointment', 'durationMinutes must be a whole number of minutes up to 24 hours');
+    }
+    out.durationMinutes = minutes;
+  } else if (input.durationMinutes === null) {
+    out.durationMinutes = null;
+  }
+  if (input.recurrence !== undefined) {
+    out.recurrence = input.recurrence === null ? null : pickRecurrence(input.recurrence);
+  }
+  return out;
+}
+
+// Operations on the in‑memory document.  They run synchronously against a
+// loaded document so a transaction can apply several of them and persist
+// (or roll back) once.
+const byName = (list, name) => list.find(c => c.name.toLowerCase() === String(name).trim().toLowerCase()) || null;
+
+const OPERATIONS = {
+  listClients(db) {
+    return [...db.clients].sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  getClient(db, id) {
+    return db.clients.find(c => c.id === id) || null;
+  },
+
+  findClientByName(db, name) {
+    return byName(db.clients, name);
+  },
+
+  createClient(db, input = {}) {
+    const fields = pickClientFields(input);
+    if (!fields.name) {
+      throw new StoreError('invalid_client', 'name is required');
+    }
+    if (byName(db.clients, fields.name)) {
+      throw new StoreError('client_exists', `A client named ${fields.name} already exists`, 409);
+    }
+    const now = new Date().toISOString();
+    const client = {
+      id: randomUUID(),
+      phone: null,
+      email: null,
+      notes: null,
+      allergies: null,
+      patchTestDate: null,
+      ...fields,
+      formulas: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    db.clients.push(client);
+    return client;
+  },
+
+  updateClient(db, id, input = {}) {
+    const client = db.clients.find(c => c.id === id);
+    if (!client) return null;
+    const fields = pickClientFields(input);
+    if (fields.name !== undefined && !fields.name) {
+      throw new StoreError('invalid_client', 'name cannot be empty');
+    }
+    if (fields.name) {
+      const clash = byName(db.clients, fields.name);
+      if (clash && clash.id !== id) {
+        throw new StoreError('client_exists', `A client named ${fields.name} already exists`, 409);
+      }
+      // Keep the calendar pointing at the renamed client.
+      for (const appt of db.appointments) {
+        if (appt.clientName && appt.clientName.toLowerCase() === client.name.toLowerCase()) {
+          appt.clientName = fields.name;
+        }
+      }
+    }
+    Object.assign(client, fields, { updatedAt: new Date().toISOString() });
+    return client;
+  },
+
+  deleteClient(db, id) {
+    const index = db.clients.findIndex(c => c.id === id);
+    if (index === -1) return false;
+    db.clients.splice(index, 1);
+    return true;
+  },
+
+  listFormulas(db, clientId) {
+    const client = db.clients.find(c => c.id === clientId);
+    if (!client) return null;
+    return [...(client.formulas || [])].sort((a, b) => new Date(b.dateISO) - new Date(a.dateISO));
+  },
+
+  addFormula(db, clientId, input = {}) {
+    const client = db.clients.find(c => c.id === clientId);
+    if (!client) return null;
+    const formula = { id: randomUUID(), ...pickFormulaFields(input), createdAt: new Date().toISOString() };
+    // Clients saved before formula history existed have no list yet.
+    if (!Array.isArray(client.formulas)) client.formulas = [];
+    client.formulas.push(formula);
+    client.updatedAt = formula.createdAt;
+    return formula;
+  },
+
+  deleteFormula(db, clientId, formulaId) {
+    const client = db.clients.find(c => c.id === clientId);
+    const index = client && Array.isArray(client.formulas) ? client.formulas.findIndex(f => f.id === formulaId) : -1;
+    if (index === -1) return false;
+    client.formulas.splice(index, 1);
+    client.updatedAt = new Date().toISOString();
+    return true;
+  },
+
+  listAppointments(db, filters = {}) {
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+    const client = filters.client ? String(filters.client).toLowerCase() : null;
+    return db.appointments
+      .filter(a => {
+        const d = new Date(a.dateISO);
+        if (from && !isNaN(from.getTime())) {
+          // A series stays listed while later visits could fall in range.
+          const last = a.recurrence ? (a.recurrence.until ? new Date(a.recurrence.until) : null) : d;
+          if (last && last < from) return false;
+        }
+        if (to && !isNaN(to.getTime()) && d >= to) return false;
+        if (client && String(a.clientName || '').toLowerCase() !== client) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(a.dateISO) - new Date(b.dateISO));
+  },
+
+  getAppointment(db, id) {
+    return db.appointments.find(a => a.id === id) || null;
+  },
+
+  createAppointment(db, input = {}) {
+    const fields = pickAppointmentFields(input);
+    if (!fields.dateISO) {
+      throw new StoreError('invalid_appointment', 'dateISO is required');
+    }
+    const now = new Date().toISOString();
+    const appointment = {
+      id: randomUUID(),
+      title: fields.title || 'Appointment',
+      clientName: fields.clientName || null,
+      serviceType: fields.serviceType || null,
+      dateISO: fields.dateISO,
+      durationMinutes: fields.durationMinutes || null,
+      recurrence: fields.recurrence || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    db.appointments.push(appointment);
+    return appointment;
+  },
+
+  updateAppointment(db, id, input = {}) {
+    const appointment = db.appointments.find(a => a.id === id);
+    if (!appointment) return null;
+    const fields = pickAppointmentFields(input);
+    if (fields.title !== undefined && !fields.title) fields.title = 'Appointment';
+    Object.assign(appointment, fields, { updatedAt: new Date().toISOString() });
+    return appointment;
+  },
+
+  deleteAppointment(db, id) {
+    const index = db.appointments.findIndex(a => a.id === id);
+    if (index === -1) return false;
+    db.appointments.splice(index, 1);
+    return true;
+  }
+};
+const READ_OPERATIONS = new Set(['listClients', 'getClient', 'findClientByName', 'listFormulas', 'listAppointments', 'getAppointment']);
+
+/**
+ * Create a store backed by a JSON file.  The file (and its directory) is
+ * created on the first write; a missing file reads as an empty store.
+ * Besides the interface methods it offers transaction(fn): fn receives the
+ * same methods, every change it makes is saved together, and if it (or the
+ * save) throws the document is restored and nothing is written.  Each
+ * write method on its own runs as a transaction.
+ * @param {string} file
+ * @returns {Object} an object implementing the store interface
+ */
+export function createFileStore(file) {
+  let data = null;
+  // Writes (and transactions) run one at a time so a rollback never
+  // discards another request's change.
+  let queue = Promise.resolve();
+
+  function exclusive(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function load() {
+    if (data) return data;
+    try {
+      const parsed = JSON.parse(await readFile(file, 'utf8'));
+      data = {
+        clients: Array.isArray(parsed.clients) ? parsed.clients : [],
+        appointments: Array.isArray(parsed.appointments) ? parsed.appointments : []
+      };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      data = { clients: [], appointments: [] };
+    }
+    return data;
+  }
+
+  async function save() {
+    await mkdir(dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(data, null, 2));
+    await rename(tmp, file);
+  }
+
+  const api = {};
+  for (const [name, op] of Object.entries(OPERATIONS)) {
+    // A single write is a transaction of one, so a failed save leaves the
+    // cached document as it was on disk.
+    api[name] = READ_OPERATIONS.has(name)
+      ? async (...args) => op(await load(), ...args)
+      : (...args) => api.transaction(tx => tx[name](...args));
+  }
+
+  api.transaction = (fn) => exclusive(async () => {
+    const db = await load();
+    const snapshot = structuredClone(db);
+    const tx = {};
+    for (const [name, op] of Object.entries(OPERATIONS)) {
+      tx[name] = async (...args) => op(db, ...args);
+    }
+    try {
+      const result = await fn(tx);
+      await save();
+      return result;
+    } catch (err) {
+      data = snapshot;
+      throw err;
+    }
+  });
+
+  return api;
+}
@@ -0,0 +1,122 @@
+// Tests for the file store in store.mjs.  Run with `npm test`.
+//
+// Each test gets its own store file in a temporary directory.
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore, StoreError } from './store.mjs';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'stylistsync-store-'));
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+let file;
+let store;
+let count = 0;
+beforeEach(() => {
+  file = join(dataDir, `store-${++count}.json`);
+  store = createFileStore(file);
+});
+
+// Helper: make the next save fail by putting a directory where save()
+// writes its temporary file
+function blockSave() {
+  const tmp = `${file}.${process.pid}.tmp`;
+  mkdirSync(tmp);
+  writeFileSync(join(tmp, 'keep'), '');
+}
+
+// ----------------------------------------------------------------------------
+// Transactions
+// ----------------------------------------------------------------------------
+
+test('a write that throws inside transaction() rolls back the earlier ones', async () => {
+  await store.createClient({ name: 'Maria Garcia' });
+  const before = readFileSync(file, 'utf8');
+  await assert.rejects(
+    store.transaction(async (tx) => {
+      await tx.createClient({ name: 'Jennifer Lopez' });
+      await tx.createAppointment({ title: 'Trim', clientName: 'Jennifer Lopez', dateISO: '2026-10-20T22:00:00Z' });
+      await tx.createClient({ name: 'maria garcia' });
+    }),
+    (err) => err instanceof StoreError && err.code === 'client_exists'
+  );
+  assert.deepEqual((await store.listClients()).map(c => c.name), ['Maria Garcia']);
+  assert.deepEqual(await store.listAppointments(), []);
+  assert.equal(readFileSync(file, 'utf8'), before);
+});
+
+test('a transaction whose save fails leaves the cache and file unchanged', async () => {
+  await store.createClient({ name: 'Maria Garcia' });
+  const before = readFileSync(file, 'utf8');
+  blockSave();
+  await assert.rejects(store.transaction(async (tx) => {
+    await tx.createClient({ name: 'Jennifer Lopez' });
+    await tx.createAppointment({ title: 'Trim', clientName: 'Jennifer Lopez', dateISO: '2026-10-20T22:00:00Z' });
+  }), { code: 'EISDIR' });
+  assert.deepEqual((await store.listClients()).map(c => c.name), ['Maria Garcia']);
+  assert.deepEqual(await store.listAppointments(), []);
+  assert.equal(readFileSync(file, 'utf8'), before);
+});
+
+test('a single write whose save fails leaves the cache and file unchanged', async () => {
+  const maria = await store.createClient({ name: 'Maria Garcia' });
+  const before = readFileSync(file, 'utf8');
+  blockSave();
+  await assert.rejects(store.updateClient(maria.id, { notes: 'prefers mornings' }), { code: 'EISDIR' });
+  assert.equal((await store.getClient(maria.id)).notes, null);
+  assert.equal(readFileSync(file, 'utf8'), before);
+});
+
+test('writes queue behind a failed one', async () => {
+  await store.createClient({ name: 'Maria Garcia' });
+  await assert.rejects(store.createClient({ name: '' }), { code: 'invalid_client' });
+  await store.createClient({ name: 'Jennifer Lopez' });
+  const saved = JSON.parse(readFileSync(file, 'utf8'));
+  assert.deepEqual(saved.clients.map(c => c.name), ['Maria Garcia', 'Jennifer Lopez']);
+});
+
+// ----------------------------------------------------------------------------
+// Client renames
+// ----------------------------------------------------------------------------
+
+test('renaming a client renames their appointments', async () => {
+  const maria = await store.createClient({ name: 'Maria Garcia' });
+  await store.createClient({ name: 'Jennifer Lopez' });
+  await store.createAppointment({ title: 'Trim', clientName: 'Maria Garcia', dateISO: '2026-10-20T22:00:00Z' });
+  await store.createAppointment({ title: 'Gloss', clientName: 'maria garcia', dateISO: '2026-10-27T22:00:00Z' });
+  await store.createAppointment({ title: 'Balayage', clientName: 'Jennifer Lopez', dateISO: '2026-10-21T17:00:00Z' });
+
+  await store.updateClient(maria.id, { name: 'Maria Garcia-Ruiz' });
+
+  const names = (appointments) => appointments.map(a => `${a.title}: ${a.clientName}`).sort();
+  const expected = ['Balayage: Jennifer Lopez', 'Gloss: Maria Garcia-Ruiz', 'Trim: Maria Garcia-Ruiz'];
+  assert.deepEqual(names(await store.listAppointments()), expected);
+  // Saved too: a fresh store reads the same from the file.
+  assert.deepEqual(names(await createFileStore(file).listAppointments()), expected);
+});
+
+test('a rename that clashes with another client changes nothing', async () => {
+  const maria = await store.createClient({ name: 'Maria Garcia' });
+  await store.createClient({ name: 'Jennifer Lopez' });
+  await store.createAppointment({ title: 'Trim', clientName: 'Maria Garcia', dateISO: '2026-10-20T22:00:00Z' });
+  await assert.rejects(store.updateClient(maria.id, { name: 'jennifer lopez' }), { code: 'client_exists', status: 409 });
+  assert.equal((await store.getClient(maria.id)).name, 'Maria Garcia');
+  assert.equal((await store.listAppointments())[0].clientName, 'Maria Garcia');
+});
+
+// ----------------------------------------------------------------------------
+// Input validation
+// ----------------------------------------------------------------------------
+
+test('non-object input is refused with a StoreError', async () => {
+  const maria = await store.createClient({ name: 'Maria Garcia' });
+  for (const input of [null, [], 'Maria', 5]) {
+    await assert.rejects(store.createClient(input), { name: 'StoreError', code: 'invalid_client' });
+    await assert.rejects(store.updateClient(maria.id, input), { name: 'StoreError', code: 'invalid_client' });
+    await assert.rejects(store.createAppointment(input), { name: 'StoreError', code: 'invalid_appointment' });
+    await assert.rejects(store.addFormula(maria.id, input), { name: 'StoreError', code: 'invalid_formula' });
+  }
+});